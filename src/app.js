@@ -1,42 +1,123 @@
 import express from "express";
+import {createRenderCache, RenderCache} from "./cache/index.js";
+import {proxyConfig} from "./config/proxyConfig.js";
+import {renderConfig} from "./config/renderConfig.js";
 import {HttpError} from "./errors/httpError.js";
+import {renderMetrics} from "./metrics/index.js";
+import {createApiKeyAuth} from "./middleware/apiAuth.js";
+import {createPrerenderProxy} from "./middleware/prerenderProxy.js";
+import {createCacheRouter} from "./routes/cacheRoute.js";
+import {createHealthRouter} from "./routes/healthRoute.js";
+import {createMetricsRouter} from "./routes/metricsRoute.js";
 import {createRenderRouter} from "./routes/renderRoute.js";
+import {ApiKeyRegistry, loadApiKeys} from "./services/apiKeys.js";
+import {JobStore} from "./services/jobStore.js";
 import {PageRenderer} from "./services/pageRenderer.js";
+import {createBotMatcher} from "./utils/botDetection.js";
 import {ProcessTracker} from "./utils/processTracker.js";
 
+// Large enough for sitemap-sized URL lists posted to /render/batch.
+const BODY_LIMIT = "10mb";
+
 /**
  * Wires up the express application with routes and error handling.
- * @param {{pageRenderer: PageRenderer, processTracker: ProcessTracker}} deps
+ * With apiKeys, every route but the health probes and /metrics requires an API key.
+ * @param {{pageRenderer: PageRenderer, processTracker: ProcessTracker, jobStore?: JobStore, renderCache?: RenderCache, apiKeys?: ApiKeyRegistry}} deps
  * @returns {import("express").Application}
  */
-export const createApp = ({pageRenderer, processTracker}) => {
+export const createApp = ({
+  pageRenderer,
+  processTracker,
+  jobStore,
+  renderCache,
+  apiKeys,
+}) => {
   const app = express();
 
   app.use(express.urlencoded({extended: false}));
+  app.use(express.json({limit: BODY_LIMIT}));
+  app.use(express.text({limit: BODY_LIMIT}));
+
+  // Probes and scrapers stay unauthenticated.
+  app.use(createMetricsRouter(processTracker));
+  app.use(createHealthRouter(pageRenderer, processTracker));
+  if (apiKeys) {
+    app.use(createApiKeyAuth(apiKeys));
+  }
 
-  app.use(createRenderRouter(pageRenderer, processTracker));
+  app.use(
+    createRenderRouter(pageRenderer, processTracker, jobStore, renderCache)
+  );
+  if (renderCache) {
+    app.use(createCacheRouter(renderCache));
+  }
 
   // Ensure unknown routes return JSON instead of Express HTML 404 page
   app.use((_req, res) => res.status(404).json({error: "Not found"}));
 
-  app.use((err, _req, res, _next) => {
-    const {statusCode, message} = normalizeError(err);
-    if (statusCode >= 500) {
-      console.error(err);
-    }
+  app.use(handleError);
 
-    const clientMessage = statusCode >= 500 ? "Internal server error" : message;
-    res.status(statusCode).json({error: clientMessage});
-  });
+  return app;
+};
+
+/**
+ * Builds the reverse-proxy app: bots get prerendered HTML, everyone else the origin.
+ * It has no API routes so every path of the origin stays reachable.
+ * @param {{origin: string, pageRenderer: PageRenderer, processTracker: ProcessTracker, renderCache?: RenderCache, botUserAgents?: string[]}} deps
+ * @returns {import("express").Application}
+ */
+export const createProxyApp = ({
+  origin,
+  pageRenderer,
+  processTracker,
+  renderCache,
+  botUserAgents,
+}) => {
+  const app = express();
+
+  app.use(
+    createPrerenderProxy({
+      origin,
+      pageRenderer,
+      processTracker,
+      renderCache,
+      isBot: createBotMatcher(botUserAgents),
+    })
+  );
+
+  app.use(handleError);
 
   return app;
 };
 
+function handleError(err, _req, res, _next) {
+  const {statusCode, message, headers} = normalizeError(err);
+  renderMetrics.httpErrors.inc({status: statusCode});
+  if (statusCode >= 500) {
+    console.error(err);
+  }
+
+  const clientMessage = statusCode >= 500 ? "Internal server error" : message;
+  res.set(headers);
+  res.status(statusCode).json({error: clientMessage});
+}
+
 function normalizeError(err) {
   if (err instanceof HttpError) {
     return err;
   }
 
+  // Body parser failures (malformed JSON, oversized payloads) carry a 4xx status.
+  const status = err?.statusCode ?? err?.status;
+  if (
+    err instanceof Error &&
+    Number.isInteger(status) &&
+    status >= 400 &&
+    status < 500
+  ) {
+    return new HttpError(status, err.message);
+  }
+
   if (err instanceof Error) {
     return new HttpError(500, err.message);
   }
@@ -47,9 +128,37 @@ function normalizeError(err) {
 /**
  * Builds an app instance with freshly constructed dependencies.
  * @param {ProcessTracker} processTracker
+ * @param {PageRenderer} [pageRenderer] shared renderer, so the caller can close its browser pool
+ * @param {RenderCache} [renderCache] shared with the proxy app when both run
+ * @param {ApiKeyRegistry} [apiKeys] defaults to the keys in renderConfig.auth.keysFile
  * @returns {import("express").Application}
  */
-export const bootstrapApp = (processTracker) => {
-  const pageRenderer = new PageRenderer();
-  return createApp({pageRenderer, processTracker});
-};
+export const bootstrapApp = (
+  processTracker,
+  pageRenderer = new PageRenderer(),
+  renderCache = createRenderCache(renderConfig.cache),
+  apiKeys = loadApiKeys(renderConfig.auth.keysFile)
+) =>
+  createApp({
+    pageRenderer,
+    processTracker,
+    jobStore: new JobStore(renderConfig.jobs),
+    renderCache,
+    apiKeys,
+  });
+
+/**
+ * Builds the reverse-proxy app from proxyConfig.
+ * @param {ProcessTracker} processTracker
+ * @param {PageRenderer} pageRenderer
+ * @param {RenderCache} [renderCache]
+ * @returns {import("express").Application}
+ */
+export const bootstrapProxyApp = (processTracker, pageRenderer, renderCache) =>
+  createProxyApp({
+    origin: proxyConfig.origin,
+    pageRenderer,
+    processTracker,
+    renderCache,
+    botUserAgents: proxyConfig.botUserAgents,
+  });
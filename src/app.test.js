@@ -1,8 +1,10 @@
 import { strict as assert } from "assert";
+import { once } from "node:events";
 import { test } from "node:test";
 import { createApp, bootstrapApp } from "./app.js";
 import { HttpError } from "./errors/httpError.js";
 import { ValidationError } from "./errors/validationError.js";
+import { createApiKeys } from "./services/apiKeys.js";
 import { ProcessTracker } from "./utils/processTracker.js";
 
 class MockResponse {
@@ -47,6 +49,10 @@ class MockProcessTracker {
   async getProgress() {
     return 0;
   }
+
+  getStats() {
+    return { queued: 0, running: 0 };
+  }
 }
 
 test("app - createApp returns Express application", () => {
@@ -164,3 +170,39 @@ test("app - bootstrapApp creates independent app instances", () => {
 
   assert.notEqual(app1, app2);
 });
+
+test("app - requires an API key on the API but not on /metrics", async (t) => {
+  const key = "seo-team-key-0123456789";
+  const app = createApp({
+    pageRenderer: new MockPageRenderer(),
+    processTracker: new MockProcessTracker(),
+    apiKeys: createApiKeys({
+      keys: [
+        { id: "app-test", key, rateLimit: { requests: 1, intervalMs: 30_000 } },
+      ],
+    }),
+  });
+  const server = app.listen(0, "127.0.0.1");
+  t.after(() => server.close());
+  await once(server, "listening");
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const anonymous = await fetch(`${base}/progress`);
+  assert.equal(anonymous.status, 401);
+  assert.match(anonymous.headers.get("www-authenticate"), /^Bearer /);
+  assert.deepEqual(await anonymous.json(), { error: "API key required." });
+
+  const metrics = await fetch(`${base}/metrics`);
+  assert.equal(metrics.status, 200);
+
+  const first = await fetch(`${base}/render`, {
+    headers: { "X-Api-Key": key },
+  });
+  assert.equal(first.status, 400);
+
+  const limited = await fetch(`${base}/render`, {
+    headers: { "X-Api-Key": key },
+  });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get("retry-after"), "30");
+});
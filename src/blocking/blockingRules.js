@@ -0,0 +1,322 @@
+import {readFileSync} from "fs";
+import path from "path";
+import {logger} from "../services/logger.js";
+import {RESOURCE_TYPES} from "../utils/renderOptions.js";
+import {parseFilterList} from "./filterList.js";
+
+export const DEFAULT_BLOCKED_RESOURCE_TYPES = [
+  "font",
+  "stylesheet",
+  "media",
+  "xhr",
+  "websocket",
+  "ping",
+];
+
+/**
+ * Used when no BLOCK_RULES_FILE is configured.
+ */
+export const DEFAULT_BLOCKING_CONFIG = {
+  resourceTypes: DEFAULT_BLOCKED_RESOURCE_TYPES,
+  block: [
+    {
+      id: "analytics",
+      domains: [
+        "google-analytics.com",
+        "analytics.google.com",
+        "googletagmanager.com",
+        "doubleclick.net",
+        "hotjar.com",
+        "optimizely.com",
+      ],
+    },
+  ],
+  allow: [],
+};
+
+/**
+ * Decides which requests a render may make.
+ * A request is blocked when its resource type is in the blocked list or when a
+ * block rule matches it, unless an allow rule also matches; allow rules always win.
+ * Rules anchored to a host are indexed by that host and cost a few map lookups
+ * per request; all other rules (`url` globs, regexes, unanchored filters) are
+ * tested one by one against every request, so their number drives the cost.
+ * Every decision made by a rule is counted.
+ */
+export class BlockingRules {
+  /**
+   * @param {{resourceTypes?: string[], rules?: object[]}} [options] rules as
+   *   produced by compileRule or parseFilterList
+   */
+  constructor({resourceTypes = [], rules = []} = {}) {
+    this.resourceTypes = resourceTypes;
+    this.rulesByHost = new Map();
+    this.genericRules = [];
+    this.hits = new Map();
+    this.size = 0;
+    rules.forEach((rule) => this.add(rule));
+  }
+
+  add(rule) {
+    const hosts =
+      rule.anchorHosts ?? (rule.anchorHost ? [rule.anchorHost] : []);
+    if (hosts.length === 0) {
+      this.genericRules.push(rule);
+    }
+    hosts.forEach((host) => {
+      const rules = this.rulesByHost.get(host) ?? [];
+      rules.push(rule);
+      this.rulesByHost.set(host, rules);
+    });
+    this.size += 1;
+  }
+
+  /**
+   * @param {{url: string, resourceType: string, pageUrl?: string}} request
+   * @param {string[]} [blockedTypes] per-render override of the blocked resource types
+   * @returns {{blocked: boolean, ruleId?: string, source?: string}} ruleId
+   *   names the deciding rule, source where it comes from: the filter list's
+   *   file name, the id of a config rule or `type:<resourceType>`
+   */
+  match(request, blockedTypes = this.resourceTypes) {
+    const context = buildContext(request);
+    const typeBlock = `type:${request.resourceType}`;
+    let blockedBy = blockedTypes.includes(request.resourceType)
+      ? {id: typeBlock, source: typeBlock}
+      : undefined;
+
+    for (const rule of this.candidates(context.hostname)) {
+      if (!matchesRule(rule, context)) {
+        continue;
+      }
+      if (rule.action === "allow") {
+        this.recordHit(rule.id);
+        return {blocked: false, ruleId: rule.id, source: rule.source};
+      }
+      blockedBy ??= rule;
+    }
+
+    if (blockedBy) {
+      this.recordHit(blockedBy.id);
+      return {blocked: true, ruleId: blockedBy.id, source: blockedBy.source};
+    }
+    return {blocked: false};
+  }
+
+  /**
+   * Cumulative hits per rule id, most frequent first.
+   * @returns {Record<string, number>}
+   */
+  getHitCounts() {
+    return Object.fromEntries(
+      Array.from(this.hits.entries()).sort((a, b) => b[1] - a[1])
+    );
+  }
+
+  recordHit(ruleId) {
+    this.hits.set(ruleId, (this.hits.get(ruleId) ?? 0) + 1);
+  }
+
+  *candidates(hostname) {
+    yield* this.genericRules;
+
+    // Walk "a.b.example.com", "b.example.com", "example.com", "com".
+    let host = hostname;
+    while (host) {
+      yield* this.rulesByHost.get(host) ?? [];
+      const dotIndex = host.indexOf(".");
+      host = dotIndex === -1 ? "" : host.slice(dotIndex + 1);
+    }
+  }
+}
+
+/**
+ * Validates a rule from the JSON config and compiles it for BlockingRules.
+ * A rule needs at least one of `domains`, `url` (glob, `*` matches anything) or
+ * `regex`; `resourceTypes` and `thirdParty` narrow it further.
+ * @param {object} definition
+ * @param {"block" | "allow"} action
+ * @param {string} fallbackId
+ */
+export function compileRule(definition, action, fallbackId) {
+  if (typeof definition !== "object" || definition === null) {
+    throw new Error(`Rule ${fallbackId} must be an object.`);
+  }
+
+  const id = definition.id ?? fallbackId;
+  const {domains, url, regex, resourceTypes, thirdParty} = definition;
+  if (domains === undefined && url === undefined && regex === undefined) {
+    throw new Error(`Rule ${id} needs "domains", "url" or "regex".`);
+  }
+  if (
+    domains !== undefined &&
+    (!Array.isArray(domains) ||
+      domains.length === 0 ||
+      !domains.every((domain) => typeof domain === "string" && domain !== ""))
+  ) {
+    throw new Error(`Rule ${id}: "domains" must be a non-empty string array.`);
+  }
+  if (url !== undefined && (typeof url !== "string" || url === "")) {
+    throw new Error(`Rule ${id}: "url" must be a non-empty glob string.`);
+  }
+  if (thirdParty !== undefined && typeof thirdParty !== "boolean") {
+    throw new Error(`Rule ${id}: "thirdParty" must be a boolean.`);
+  }
+  validateResourceTypes(resourceTypes, `Rule ${id}`);
+
+  let compiledRegex;
+  try {
+    if (regex !== undefined) {
+      compiledRegex = new RegExp(regex, "i");
+    } else if (url !== undefined) {
+      compiledRegex = globToRegExp(url);
+    }
+  } catch (error) {
+    throw new Error(`Rule ${id}: invalid regex (${error.message}).`);
+  }
+
+  return {
+    id,
+    source: id,
+    action,
+    anchorHosts: domains?.map((domain) => domain.trim().toLowerCase()),
+    regex: compiledRegex,
+    resourceTypes,
+    thirdParty,
+  };
+}
+
+/**
+ * Builds the rule set from a JSON config file, or the defaults when no file is set.
+ * Filter list paths are resolved relative to the config file.
+ * @param {string} [file]
+ * @returns {BlockingRules}
+ * @throws {Error} when the file or one of its filter lists is unreadable or invalid.
+ */
+export function loadBlockingRules(file) {
+  if (!file) {
+    return createBlockingRules(DEFAULT_BLOCKING_CONFIG);
+  }
+
+  try {
+    const config = JSON.parse(readFileSync(file, "utf-8"));
+    return createBlockingRules(config, path.dirname(file));
+  } catch (error) {
+    throw new Error(`[blockingRules] ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {{resourceTypes?: string[], block?: object[], allow?: object[], filterLists?: string[]}} config
+ * @param {string} [baseDir] directory filter list paths are relative to
+ */
+export function createBlockingRules(config, baseDir = process.cwd()) {
+  const {
+    resourceTypes = DEFAULT_BLOCKED_RESOURCE_TYPES,
+    block = [],
+    allow = [],
+    filterLists = [],
+  } = config ?? {};
+  validateResourceTypes(resourceTypes, '"resourceTypes"');
+  if (![block, allow, filterLists].every(Array.isArray)) {
+    throw new Error('"block", "allow" and "filterLists" must be arrays.');
+  }
+
+  const rules = [
+    ...block.map((rule, index) =>
+      compileRule(rule, "block", `block-${index + 1}`)
+    ),
+    ...allow.map((rule, index) =>
+      compileRule(rule, "allow", `allow-${index + 1}`)
+    ),
+  ];
+
+  filterLists.forEach((listPath) => {
+    const resolved = path.resolve(baseDir, listPath);
+    const {rules: listRules, skipped} = parseFilterList(
+      readFileSync(resolved, "utf-8"),
+      {source: path.basename(resolved)}
+    );
+    logger.info(
+      `Loaded ${listRules.length} rules from ${resolved} (${skipped} unsupported filters skipped)`
+    );
+    rules.push(...listRules);
+  });
+
+  return new BlockingRules({resourceTypes, rules});
+}
+
+function validateResourceTypes(resourceTypes, label) {
+  if (resourceTypes === undefined) {
+    return;
+  }
+  if (
+    !Array.isArray(resourceTypes) ||
+    !resourceTypes.every((type) => RESOURCE_TYPES.includes(type))
+  ) {
+    throw new Error(
+      `${label} must be an array of: ${RESOURCE_TYPES.join(", ")}.`
+    );
+  }
+}
+
+function buildContext({url, resourceType, pageUrl}) {
+  const hostname = parseHostname(url);
+  const pageHostname = parseHostname(pageUrl);
+  return {
+    url,
+    resourceType,
+    hostname,
+    isThirdParty:
+      Boolean(pageHostname) && siteOf(hostname) !== siteOf(pageHostname),
+  };
+}
+
+function matchesRule(rule, context) {
+  if (rule.anchorHosts && !matchesHost(rule.anchorHosts, context.hostname)) {
+    return false;
+  }
+  if (
+    rule.resourceTypes &&
+    !rule.resourceTypes.includes(context.resourceType)
+  ) {
+    return false;
+  }
+  if (
+    rule.thirdParty !== undefined &&
+    rule.thirdParty !== context.isThirdParty
+  ) {
+    return false;
+  }
+  return !rule.regex || rule.regex.test(context.url);
+}
+
+function matchesHost(hosts, hostname) {
+  return hosts.some(
+    (host) => hostname === host || hostname.endsWith(`.${host}`)
+  );
+}
+
+/**
+ * Approximates the registrable domain with the last two labels; good enough to
+ * tell a CDN apart from the page without shipping the public suffix list.
+ */
+function siteOf(hostname) {
+  return hostname.split(".").slice(-2).join(".");
+}
+
+function parseHostname(value) {
+  try {
+    return new URL(value).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i");
+}
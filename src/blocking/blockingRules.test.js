@@ -0,0 +1,185 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { promises as fs } from "fs";
+import path from "path";
+import {
+  BlockingRules,
+  compileRule,
+  createBlockingRules,
+  loadBlockingRules,
+} from "./blockingRules.js";
+
+const tmpDir = path.join(
+  import.meta.dirname,
+  "..",
+  "..",
+  "tmp",
+  "blocking-rules-tests"
+);
+
+const request = (url, resourceType = "script") => ({
+  url,
+  resourceType,
+  pageUrl: "https://shop.example/products/1",
+});
+
+test("loadBlockingRules - defaults block analytics hosts, not words in URLs", () => {
+  const rules = loadBlockingRules();
+
+  assert.deepEqual(
+    rules.match(request("https://www.googletagmanager.com/gtm.js?id=1")),
+    { blocked: true, ruleId: "analytics", source: "analytics" }
+  );
+  assert.equal(
+    rules.match(request("https://shop.example/blog/analytics-guide.js"))
+      .blocked,
+    false
+  );
+  assert.deepEqual(
+    rules.match(request("https://shop.example/a.woff2", "font")),
+    { blocked: true, ruleId: "type:font", source: "type:font" }
+  );
+});
+
+test("BlockingRules - matches domains, globs, regexes and resource types", () => {
+  const rules = new BlockingRules({
+    rules: [
+      compileRule(
+        {
+          id: "cdn-images",
+          domains: ["img.cdn.example"],
+          resourceTypes: ["image"],
+        },
+        "block"
+      ),
+      compileRule({ id: "collect", url: "*/collect?*" }, "block"),
+      compileRule({ id: "beacons", regex: "/beacon/v\\d+" }, "block"),
+    ],
+  });
+
+  assert.equal(
+    rules.match(request("https://img.cdn.example/a.png", "image")).ruleId,
+    "cdn-images"
+  );
+  assert.equal(
+    rules.match(request("https://img.cdn.example/a.js", "script")).blocked,
+    false
+  );
+  assert.equal(
+    rules.match(request("https://stats.example/collect?v=1")).ruleId,
+    "collect"
+  );
+  assert.equal(
+    rules.match(request("https://x.example/beacon/v2/hit")).ruleId,
+    "beacons"
+  );
+});
+
+test("BlockingRules - allow rules override blocks of any kind", () => {
+  const rules = createBlockingRules({
+    resourceTypes: ["stylesheet"],
+    block: [{ id: "widgets", domains: ["widgets.example"] }],
+    allow: [
+      { id: "critical-css", url: "https://shop.example/critical.css" },
+      { id: "reviews", url: "https://widgets.example/reviews/*" },
+    ],
+  });
+
+  assert.deepEqual(
+    rules.match(request("https://shop.example/critical.css", "stylesheet")),
+    { blocked: false, ruleId: "critical-css", source: "critical-css" }
+  );
+  assert.equal(
+    rules.match(request("https://widgets.example/reviews/list.js")).blocked,
+    false
+  );
+  assert.equal(
+    rules.match(request("https://widgets.example/chat.js")).blocked,
+    true
+  );
+});
+
+test("BlockingRules - honours the third-party flag and per-render resource types", () => {
+  const rules = new BlockingRules({
+    resourceTypes: ["font"],
+    rules: [
+      compileRule(
+        { id: "3p-xhr", url: "*", thirdParty: true, resourceTypes: ["xhr"] },
+        "block"
+      ),
+    ],
+  });
+
+  assert.equal(
+    rules.match(request("https://api.other.example/data", "xhr")).blocked,
+    true
+  );
+  assert.equal(
+    rules.match(request("https://api.shop.example/data", "xhr")).blocked,
+    false
+  );
+  assert.equal(
+    rules.match(request("https://shop.example/a.woff2", "font"), []).blocked,
+    false
+  );
+  assert.equal(
+    rules.match(request("https://shop.example/a.png", "image"), ["image"])
+      .ruleId,
+    "type:image"
+  );
+});
+
+test("BlockingRules - counts hits per rule", () => {
+  const rules = loadBlockingRules();
+
+  rules.match(request("https://www.google-analytics.com/g/collect"));
+  rules.match(request("https://stats.g.doubleclick.net/j/collect"));
+  rules.match(request("https://shop.example/a.woff2", "font"));
+  rules.match(request("https://shop.example/app.js"));
+
+  assert.deepEqual(rules.getHitCounts(), { analytics: 2, "type:font": 1 });
+});
+
+test("loadBlockingRules - reads a config file with filter lists", async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+  await fs.writeFile(
+    path.join(tmpDir, "easylist.txt"),
+    "! test list\n||ads.example^\n@@||ads.example/allowed/*\n"
+  );
+  const configFile = path.join(tmpDir, "rules.json");
+  await fs.writeFile(
+    configFile,
+    JSON.stringify({ resourceTypes: [], filterLists: ["easylist.txt"] })
+  );
+
+  const rules = loadBlockingRules(configFile);
+
+  assert.equal(rules.size, 2);
+  assert.deepEqual(rules.match(request("https://ads.example/banner.js")), {
+    blocked: true,
+    ruleId: "easylist.txt:2",
+    source: "easylist.txt",
+  });
+  assert.equal(
+    rules.match(request("https://ads.example/allowed/x.js")).blocked,
+    false
+  );
+});
+
+test("loadBlockingRules - reports invalid config files", async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+  const configFile = path.join(tmpDir, "invalid.json");
+  await fs.writeFile(
+    configFile,
+    JSON.stringify({ block: [{ id: "empty", resourceTypes: ["image"] }] })
+  );
+
+  assert.throws(
+    () => loadBlockingRules(configFile),
+    /\[blockingRules\] .*invalid\.json: Rule empty needs "domains", "url" or "regex"/
+  );
+  assert.throws(
+    () => createBlockingRules({ resourceTypes: ["video"] }),
+    /"resourceTypes" must be an array/
+  );
+});
@@ -0,0 +1,183 @@
+// Adblock option names mapped to Puppeteer resource types.
+const TYPE_OPTIONS = {
+  script: ["script"],
+  image: ["image"],
+  stylesheet: ["stylesheet"],
+  font: ["font"],
+  media: ["media"],
+  xmlhttprequest: ["xhr", "fetch"],
+  xhr: ["xhr", "fetch"],
+  websocket: ["websocket"],
+  ping: ["ping"],
+  subdocument: ["document"],
+  other: ["other"],
+};
+const IGNORED_OPTIONS = new Set(["important"]);
+const OPTIONS_REGEX = /^[\w~,=|.-]+$/;
+const HOST_ANCHOR_REGEX = /^([a-z0-9-]+(?:\.[a-z0-9-]+)+)(?:[\^/:]|$)/i;
+
+/**
+ * Parses an EasyList/uBlock-style filter list into network rules.
+ * Supports `||host^` and `|` anchors, `*` and `^` wildcards, `/regex/` filters,
+ * `@@` exceptions and the resource type, `third-party` and `match-case` options.
+ * Cosmetic filters are ignored; rules with other options are skipped rather than
+ * guessed at, since a loose match could block a page's own resources.
+ * @param {string} text
+ * @param {{source?: string}} [options] source and prefix of the rule ids, usually
+ *   the file name
+ * @returns {{rules: object[], skipped: number}}
+ */
+export function parseFilterList(text, {source = "filters"} = {}) {
+  const rules = [];
+  let skipped = 0;
+
+  String(text)
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (isIgnoredLine(line)) {
+        return;
+      }
+
+      const rule = parseFilter(line, `${source}:${index + 1}`, source);
+      if (rule) {
+        rules.push(rule);
+      } else {
+        skipped += 1;
+      }
+    });
+
+  return {rules, skipped};
+}
+
+function isIgnoredLine(line) {
+  return (
+    line === "" ||
+    line.startsWith("!") ||
+    line.startsWith("[") ||
+    // Cosmetic and scriptlet filters only affect page styling.
+    /#[@?$%]?#/.test(line)
+  );
+}
+
+/**
+ * Turns one network filter into a rule definition accepted by BlockingRules.
+ * @returns {object | undefined} undefined for unsupported filters
+ */
+function parseFilter(line, id, source) {
+  const isException = line.startsWith("@@");
+  let pattern = isException ? line.slice(2) : line;
+  let optionText = "";
+
+  const optionsIndex = pattern.lastIndexOf("$");
+  if (
+    optionsIndex > 0 &&
+    OPTIONS_REGEX.test(pattern.slice(optionsIndex + 1))
+  ) {
+    optionText = pattern.slice(optionsIndex + 1);
+    pattern = pattern.slice(0, optionsIndex);
+  }
+
+  const options = parseOptions(optionText);
+  if (!options || pattern === "" || pattern === "*") {
+    return undefined;
+  }
+
+  const rule = {
+    id,
+    source,
+    action: isException ? "allow" : "block",
+    resourceTypes: options.resourceTypes,
+    thirdParty: options.thirdParty,
+  };
+
+  const isRegexFilter =
+    pattern.length > 2 && pattern.startsWith("/") && pattern.endsWith("/");
+  if (isRegexFilter) {
+    try {
+      rule.regex = new RegExp(
+        pattern.slice(1, -1),
+        options.matchCase ? "" : "i"
+      );
+    } catch {
+      return undefined;
+    }
+    return rule;
+  }
+
+  rule.regex = filterToRegExp(pattern, options.matchCase);
+  if (pattern.startsWith("||")) {
+    const host = HOST_ANCHOR_REGEX.exec(pattern.slice(2))?.[1];
+    rule.anchorHost = host?.toLowerCase();
+  }
+  return rule;
+}
+
+function parseOptions(optionText) {
+  const options = {
+    resourceTypes: undefined,
+    thirdParty: undefined,
+    matchCase: false,
+  };
+  if (optionText === "") {
+    return options;
+  }
+
+  for (const option of optionText.split(",")) {
+    const name = option.trim().toLowerCase();
+    if (TYPE_OPTIONS[name]) {
+      options.resourceTypes = [
+        ...(options.resourceTypes ?? []),
+        ...TYPE_OPTIONS[name],
+      ];
+    } else if (name === "third-party" || name === "3p") {
+      options.thirdParty = true;
+    } else if (
+      name === "~third-party" ||
+      name === "1p" ||
+      name === "first-party"
+    ) {
+      options.thirdParty = false;
+    } else if (name === "match-case") {
+      options.matchCase = true;
+    } else if (!IGNORED_OPTIONS.has(name)) {
+      return undefined;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Converts adblock pattern syntax into an equivalent regular expression.
+ */
+function filterToRegExp(pattern, matchCase) {
+  let body = pattern;
+  let prefix = "";
+  let suffix = "";
+
+  if (body.startsWith("||")) {
+    prefix = "^[a-z][a-z0-9+.-]*:\\/\\/(?:[^/?#]*\\.)?";
+    body = body.slice(2);
+  } else if (body.startsWith("|")) {
+    prefix = "^";
+    body = body.slice(1);
+  }
+  if (body.endsWith("|")) {
+    suffix = "$";
+    body = body.slice(0, -1);
+  }
+
+  const source = Array.from(body, (char) => {
+    if (char === "*") {
+      return ".*";
+    }
+    if (char === "^") {
+      // Separator: anything but a letter, digit or one of _ - . %, or the end.
+      return "(?:[^\\w.%-]|$)";
+    }
+    return char.replace(/[.+?${}()|[\]\\/]/g, "\\$&");
+  }).join("");
+
+  return new RegExp(`${prefix}${source}${suffix}`, matchCase ? "" : "i");
+}
@@ -0,0 +1,71 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { parseFilterList } from "./filterList.js";
+
+const matches = (rule, url) => rule.regex.test(url);
+
+test("parseFilterList - skips comments, headers and cosmetic filters", () => {
+  const { rules, skipped } = parseFilterList(
+    [
+      "[Adblock Plus 2.0]",
+      "! Title: Test list",
+      "",
+      "example.com##.banner",
+      "##.ad-slot",
+      "example.com#@#.sponsor",
+      "||ads.example^",
+    ].join("\n"),
+    { source: "test.txt" }
+  );
+
+  assert.equal(rules.length, 1);
+  assert.equal(skipped, 0);
+  assert.equal(rules[0].id, "test.txt:7");
+});
+
+test("parseFilterList - converts host anchors and separators", () => {
+  const {
+    rules: [rule],
+  } = parseFilterList("||tracker.example^");
+
+  assert.equal(rule.action, "block");
+  assert.equal(rule.anchorHost, "tracker.example");
+  assert.ok(matches(rule, "https://tracker.example/pixel.gif"));
+  assert.ok(matches(rule, "https://cdn.tracker.example/t.js"));
+  assert.ok(!matches(rule, "https://tracker.example.org/t.js"));
+  assert.ok(!matches(rule, "https://nottracker.example/t.js"));
+});
+
+test("parseFilterList - supports wildcards, start anchors and regex filters", () => {
+  const { rules } = parseFilterList(
+    ["/banner/*/ad_", "|https://ads.", "/\\/pixel\\d+\\.gif/"].join("\n")
+  );
+
+  assert.ok(matches(rules[0], "https://site.example/banner/top/ad_1.png"));
+  assert.ok(matches(rules[1], "https://ads.example/x.js"));
+  assert.ok(!matches(rules[1], "https://example.com/?u=https://ads.x"));
+  assert.ok(matches(rules[2], "https://site.example/pixel42.gif"));
+});
+
+test("parseFilterList - reads exceptions and supported options", () => {
+  const { rules } = parseFilterList(
+    [
+      "@@||cdn.example^$script",
+      "||widgets.example^$third-party,xmlhttprequest",
+    ].join("\n")
+  );
+
+  assert.equal(rules[0].action, "allow");
+  assert.deepEqual(rules[0].resourceTypes, ["script"]);
+  assert.equal(rules[1].thirdParty, true);
+  assert.deepEqual(rules[1].resourceTypes, ["xhr", "fetch"]);
+});
+
+test("parseFilterList - skips filters with unsupported options", () => {
+  const { rules, skipped } = parseFilterList(
+    ["||ads.example^$domain=news.example", "||ads.example^$popup"].join("\n")
+  );
+
+  assert.equal(rules.length, 0);
+  assert.equal(skipped, 2);
+});
@@ -0,0 +1,9 @@
+export {
+  BlockingRules,
+  compileRule,
+  createBlockingRules,
+  loadBlockingRules,
+  DEFAULT_BLOCKED_RESOURCE_TYPES,
+  DEFAULT_BLOCKING_CONFIG,
+} from "./blockingRules.js";
+export {parseFilterList} from "./filterList.js";
@@ -0,0 +1,81 @@
+import {createHash, randomUUID} from "crypto";
+import {promises as fs} from "fs";
+import path from "path";
+
+/**
+ * Filesystem store for render cache entries: one JSON file per key, named by its hash,
+ * so the cache survives restarts and can be shared by processes on the same disk.
+ */
+export class FileStore {
+  constructor({dir}) {
+    this.dir = dir;
+  }
+
+  async get(key) {
+    try {
+      const content = await fs.readFile(this.filePathFor(key), "utf-8");
+      const entry = JSON.parse(content);
+      return entry.key === key ? entry : undefined;
+    } catch (error) {
+      if (error?.code === "ENOENT" || error instanceof SyntaxError) {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.dir, {recursive: true});
+    const filePath = this.filePathFor(key);
+    // Write to a temp file first so readers never see a half-written entry.
+    // Each write gets its own temp file; the last rename wins.
+    const tempPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify({...entry, key}), "utf-8");
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, {force: true});
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePathFor(key), {force: true});
+  }
+
+  /**
+   * Removes every entry matching the predicate and returns how many were removed.
+   * @param {(entry: object) => boolean} predicate
+   */
+  async purge(predicate) {
+    let fileNames;
+    try {
+      fileNames = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return 0;
+      }
+      throw error;
+    }
+
+    let purged = 0;
+    for (const fileName of fileNames.filter((name) => name.endsWith(".json"))) {
+      const filePath = path.join(this.dir, fileName);
+      try {
+        const entry = JSON.parse(await fs.readFile(filePath, "utf-8"));
+        if (predicate(entry)) {
+          await fs.rm(filePath, {force: true});
+          purged += 1;
+        }
+      } catch {
+        // Unreadable entries are left for the next successful write to replace.
+      }
+    }
+    return purged;
+  }
+
+  filePathFor(key) {
+    const hash = createHash("sha256").update(key).digest("hex");
+    return path.join(this.dir, `${hash}.json`);
+  }
+}
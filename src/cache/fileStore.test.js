@@ -0,0 +1,80 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { promises as fs } from "fs";
+import path from "path";
+import { FileStore } from "./fileStore.js";
+
+const tmpDir = path.join(
+  import.meta.dirname,
+  "..",
+  "..",
+  "tmp",
+  "file-store-tests"
+);
+
+const freshStore = async (name) => {
+  const dir = path.join(tmpDir, name);
+  await fs.rm(dir, { recursive: true, force: true });
+  return new FileStore({ dir });
+};
+
+test("FileStore - persists entries across instances", async () => {
+  const store = await freshStore("persist");
+
+  await store.set("key", { url: "https://a.example/", value: "<html></html>" });
+  const reopened = new FileStore({ dir: store.dir });
+
+  const entry = await reopened.get("key");
+  assert.equal(entry.value, "<html></html>");
+  assert.equal(entry.key, "key");
+});
+
+test("FileStore - returns undefined for missing or corrupt entries", async () => {
+  const store = await freshStore("missing");
+
+  assert.equal(await store.get("nope"), undefined);
+
+  await fs.mkdir(store.dir, { recursive: true });
+  await fs.writeFile(store.filePathFor("corrupt"), "{not json", "utf-8");
+  assert.equal(await store.get("corrupt"), undefined);
+});
+
+test("FileStore - delete removes the entry", async () => {
+  const store = await freshStore("delete");
+  await store.set("key", { value: "x" });
+
+  await store.delete("key");
+
+  assert.equal(await store.get("key"), undefined);
+});
+
+test("FileStore - purge removes matching entries", async () => {
+  const store = await freshStore("purge");
+  await store.set("1", { url: "https://a.example/x" });
+  await store.set("2", { url: "https://b.example/" });
+
+  const purged = await store.purge((entry) => entry.url.includes("a.example"));
+
+  assert.equal(purged, 1);
+  assert.equal(await store.get("1"), undefined);
+  assert.ok(await store.get("2"));
+});
+
+test("FileStore - purge on a missing directory purges nothing", async () => {
+  const store = await freshStore("never-written");
+
+  assert.equal(await store.purge(() => true), 0);
+});
+
+test("FileStore - concurrent writes of the same key all succeed", async () => {
+  const store = await freshStore("concurrent");
+
+  await Promise.all(
+    [1, 2, 3, 4].map((n) => store.set("key", { value: `html-${n}` }))
+  );
+
+  assert.match((await store.get("key")).value, /^html-[1-4]$/);
+  assert.deepEqual(await fs.readdir(store.dir), [
+    path.basename(store.filePathFor("key")),
+  ]);
+});
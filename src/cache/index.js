@@ -0,0 +1,8 @@
+export {
+  RenderCache,
+  buildCacheKey,
+  createRenderCache,
+  CACHE_STATUS,
+} from "./renderCache.js";
+export {MemoryStore} from "./memoryStore.js";
+export {FileStore} from "./fileStore.js";
@@ -0,0 +1,48 @@
+/**
+ * In-memory LRU store for render cache entries.
+ * Map insertion order doubles as recency order: reads re-insert the key at the end.
+ */
+export class MemoryStore {
+  constructor({maxEntries = 500} = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Removes every entry matching the predicate and returns how many were removed.
+   * @param {(entry: object) => boolean} predicate
+   */
+  async purge(predicate) {
+    let purged = 0;
+    for (const [key, entry] of this.entries) {
+      if (predicate(entry)) {
+        this.entries.delete(key);
+        purged += 1;
+      }
+    }
+    return purged;
+  }
+}
@@ -0,0 +1,39 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { MemoryStore } from "./memoryStore.js";
+
+test("MemoryStore - stores and returns entries", async () => {
+  const store = new MemoryStore();
+
+  await store.set("a", { url: "https://a.example/", value: "A" });
+
+  assert.equal((await store.get("a")).value, "A");
+  assert.equal(await store.get("missing"), undefined);
+});
+
+test("MemoryStore - evicts the least recently used entry", async () => {
+  const store = new MemoryStore({ maxEntries: 2 });
+
+  await store.set("a", { value: "A" });
+  await store.set("b", { value: "B" });
+  await store.get("a");
+  await store.set("c", { value: "C" });
+
+  assert.ok(await store.get("a"));
+  assert.equal(await store.get("b"), undefined);
+  assert.ok(await store.get("c"));
+});
+
+test("MemoryStore - purge removes matching entries and counts them", async () => {
+  const store = new MemoryStore();
+  await store.set("1", { url: "https://a.example/x" });
+  await store.set("2", { url: "https://a.example/y" });
+  await store.set("3", { url: "https://b.example/" });
+
+  const purged = await store.purge((entry) =>
+    entry.url.startsWith("https://a.example/")
+  );
+
+  assert.equal(purged, 2);
+  assert.ok(await store.get("3"));
+});
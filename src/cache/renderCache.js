@@ -0,0 +1,177 @@
+import {createHash} from "crypto";
+import {FileStore} from "./fileStore.js";
+import {MemoryStore} from "./memoryStore.js";
+
+export const CACHE_STATUS = {
+  hit: "HIT",
+  miss: "MISS",
+  stale: "STALE",
+};
+
+/**
+ * Caches render results keyed on the normalized URL plus render options.
+ * Fresh entries are served as HIT. Expired entries still inside the
+ * stale-while-revalidate window are served as STALE while a single background
+ * render refreshes them; anything older is a MISS and rendered inline.
+ * Render results with a 5xx status are served but never stored, and a failed
+ * store write never fails the render it was caching.
+ */
+export class RenderCache {
+  constructor({
+    store,
+    ttlMs = 600_000,
+    staleWhileRevalidateMs = 0,
+    routeTtls = [],
+  }) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.staleWhileRevalidateMs = staleWhileRevalidateMs;
+    // Longest prefix first so the most specific rule wins.
+    this.routeTtls = [...routeTtls].sort(
+      (a, b) => b.prefix.length - a.prefix.length
+    );
+    this.refreshing = new Map();
+  }
+
+  /**
+   * Returns a cached value or produces (and stores) a fresh one.
+   * @param {string} url normalized target URL
+   * @param {object} options render options that change the output
+   * @param {() => Promise<unknown>} produce renders the value on a miss or refresh
+   * @returns {Promise<{value: unknown, status: "HIT" | "MISS" | "STALE"}>}
+   */
+  async fetch(url, options, produce) {
+    const ttlMs = this.ttlFor(url);
+    if (ttlMs <= 0) {
+      return {value: await produce(), status: CACHE_STATUS.miss};
+    }
+
+    const key = buildCacheKey(url, options);
+    const entry = await this.store.get(key);
+    const now = Date.now();
+
+    if (entry && now < entry.expiresAt) {
+      return {value: entry.value, status: CACHE_STATUS.hit};
+    }
+
+    if (entry && now < entry.staleUntil) {
+      this.refreshInBackground(key, url, ttlMs, produce);
+      return {value: entry.value, status: CACHE_STATUS.stale};
+    }
+
+    const value = await produce();
+    await this.write(key, url, ttlMs, value).catch((error) => {
+      console.error(`Cache write failed for ${url}:`, error);
+    });
+    return {value, status: CACHE_STATUS.miss};
+  }
+
+  /**
+   * Drops every cached variant of the given URL.
+   */
+  async purgeUrl(url) {
+    return this.store.purge((entry) => entry.url === url);
+  }
+
+  /**
+   * Drops every cached URL starting with the given prefix.
+   */
+  async purgePrefix(prefix) {
+    return this.store.purge((entry) => entry.url?.startsWith(prefix));
+  }
+
+  /**
+   * Resolves the TTL for a URL from the longest matching path prefix rule.
+   */
+  ttlFor(url) {
+    let pathname;
+    try {
+      pathname = new URL(url).pathname;
+    } catch {
+      return this.ttlMs;
+    }
+
+    const rule = this.routeTtls.find(({prefix}) => pathname.startsWith(prefix));
+    return rule ? rule.ttlMs : this.ttlMs;
+  }
+
+  refreshInBackground(key, url, ttlMs, produce) {
+    if (this.refreshing.has(key)) {
+      return;
+    }
+
+    const refresh = Promise.resolve()
+      .then(() => produce())
+      .then((value) => this.write(key, url, ttlMs, value))
+      .catch((error) => {
+        console.error(`Background refresh failed for ${url}:`, error);
+      })
+      .finally(() => this.refreshing.delete(key));
+    this.refreshing.set(key, refresh);
+  }
+
+  async write(key, url, ttlMs, value) {
+    if (value?.status >= 500) {
+      return;
+    }
+    const storedAt = Date.now();
+    await this.store.set(key, {
+      url,
+      value,
+      storedAt,
+      expiresAt: storedAt + ttlMs,
+      staleUntil: storedAt + ttlMs + this.staleWhileRevalidateMs,
+    });
+  }
+}
+
+// Options that may carry credentials enter the key as a digest, so stores that
+// persist keys never write them out.
+const CREDENTIAL_OPTIONS = ["headers", "cookies", "basicAuth"];
+
+/**
+ * Builds a cache key that is stable regardless of option key order.
+ */
+export function buildCacheKey(url, options = {}) {
+  const keyed = {...options};
+  CREDENTIAL_OPTIONS.forEach((name) => {
+    if (keyed[name] !== undefined) {
+      keyed[name] = createHash("sha256")
+        .update(stableStringify(keyed[name]))
+        .digest("hex");
+    }
+  });
+  return `${url}|${stableStringify(keyed)}`;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const fields = Object.keys(value)
+      .filter((name) => value[name] !== undefined)
+      .sort()
+      .map((name) => `${JSON.stringify(name)}:${stableStringify(value[name])}`);
+    return `{${fields.join(",")}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Creates the configured cache, or undefined when caching is disabled.
+ * @param {{backend: "memory" | "file" | "none", dir: string, maxEntries: number, ttlMs: number, staleWhileRevalidateMs: number, routeTtls: Array<{prefix: string, ttlMs: number}>}} config
+ */
+export function createRenderCache(config) {
+  if (config.backend === "none") {
+    return undefined;
+  }
+
+  const store =
+    config.backend === "file"
+      ? new FileStore({dir: config.dir})
+      : new MemoryStore({maxEntries: config.maxEntries});
+  return new RenderCache({...config, store});
+}
@@ -0,0 +1,260 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { promises as fs } from "fs";
+import path from "path";
+import { FileStore } from "./fileStore.js";
+import { MemoryStore } from "./memoryStore.js";
+import {
+  RenderCache,
+  buildCacheKey,
+  createRenderCache,
+} from "./renderCache.js";
+
+const counter = (prefix = "html") => {
+  let calls = 0;
+  const produce = async () => {
+    calls += 1;
+    return `${prefix}-${calls}`;
+  };
+  return { produce, calls: () => calls };
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test("RenderCache - misses first, then hits", async () => {
+  const cache = new RenderCache({ store: new MemoryStore(), ttlMs: 60_000 });
+  const { produce, calls } = counter();
+
+  const first = await cache.fetch("https://a.example/", {}, produce);
+  const second = await cache.fetch("https://a.example/", {}, produce);
+
+  assert.deepEqual(first, { value: "html-1", status: "MISS" });
+  assert.deepEqual(second, { value: "html-1", status: "HIT" });
+  assert.equal(calls(), 1);
+});
+
+test("RenderCache - keys on render options", async () => {
+  const cache = new RenderCache({ store: new MemoryStore(), ttlMs: 60_000 });
+  const { produce, calls } = counter();
+
+  await cache.fetch("https://a.example/", { stripCss: true }, produce);
+  const other = await cache.fetch(
+    "https://a.example/",
+    { stripCss: false },
+    produce
+  );
+
+  assert.equal(other.status, "MISS");
+  assert.equal(calls(), 2);
+});
+
+test("RenderCache - serves stale entries and refreshes them in the background", async () => {
+  const store = new MemoryStore();
+  const cache = new RenderCache({
+    store,
+    ttlMs: 60_000,
+    staleWhileRevalidateMs: 60_000,
+  });
+  const { produce, calls } = counter();
+  await cache.fetch("https://a.example/", {}, produce);
+  const key = buildCacheKey("https://a.example/", {});
+  const entry = await store.get(key);
+  entry.expiresAt = Date.now() - 1;
+
+  const stale = await cache.fetch("https://a.example/", {}, produce);
+  await cache.fetch("https://a.example/", {}, produce);
+  await flush();
+  const refreshed = await cache.fetch("https://a.example/", {}, produce);
+
+  assert.deepEqual(stale, { value: "html-1", status: "STALE" });
+  assert.equal(calls(), 2, "only one background refresh runs");
+  assert.deepEqual(refreshed, { value: "html-2", status: "HIT" });
+});
+
+test("RenderCache - keeps serving stale content when the refresh fails", async () => {
+  const store = new MemoryStore();
+  const cache = new RenderCache({
+    store,
+    ttlMs: 60_000,
+    staleWhileRevalidateMs: 60_000,
+  });
+  await cache.fetch("https://a.example/", {}, async () => "old");
+  (await store.get(buildCacheKey("https://a.example/", {}))).expiresAt = 0;
+  const originalError = console.error;
+  console.error = () => {};
+
+  try {
+    await cache.fetch("https://a.example/", {}, async () => {
+      throw new Error("render failed");
+    });
+    await flush();
+    const again = await cache.fetch("https://a.example/", {}, async () => "new");
+
+    assert.equal(again.value, "old");
+    assert.equal(again.status, "STALE");
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test("RenderCache - renders inline once the stale window has passed", async () => {
+  const store = new MemoryStore();
+  const cache = new RenderCache({ store, ttlMs: 60_000 });
+  const { produce } = counter();
+  await cache.fetch("https://a.example/", {}, produce);
+  const entry = await store.get(buildCacheKey("https://a.example/", {}));
+  entry.expiresAt = 0;
+  entry.staleUntil = 0;
+
+  const result = await cache.fetch("https://a.example/", {}, produce);
+
+  assert.deepEqual(result, { value: "html-2", status: "MISS" });
+});
+
+test("RenderCache - applies the longest matching route TTL", () => {
+  const cache = new RenderCache({
+    store: new MemoryStore(),
+    ttlMs: 1000,
+    routeTtls: [
+      { prefix: "/products/", ttlMs: 5000 },
+      { prefix: "/products/sale/", ttlMs: 0 },
+    ],
+  });
+
+  assert.equal(cache.ttlFor("https://a.example/about"), 1000);
+  assert.equal(cache.ttlFor("https://a.example/products/shoe"), 5000);
+  assert.equal(cache.ttlFor("https://a.example/products/sale/shoe"), 0);
+});
+
+test("RenderCache - never stores routes with a zero TTL", async () => {
+  const cache = new RenderCache({
+    store: new MemoryStore(),
+    routeTtls: [{ prefix: "/cart", ttlMs: 0 }],
+  });
+  const { produce, calls } = counter();
+
+  await cache.fetch("https://a.example/cart", {}, produce);
+  const second = await cache.fetch("https://a.example/cart", {}, produce);
+
+  assert.equal(second.status, "MISS");
+  assert.equal(calls(), 2);
+});
+
+test("RenderCache - does not store server error results", async () => {
+  const cache = new RenderCache({ store: new MemoryStore() });
+  let calls = 0;
+  const produce = async () => {
+    calls += 1;
+    return { html: "<html>oops</html>", status: 503, headers: {} };
+  };
+
+  await cache.fetch("https://a.example/", {}, produce);
+  const second = await cache.fetch("https://a.example/", {}, produce);
+
+  assert.equal(second.status, "MISS");
+  assert.equal(calls, 2);
+});
+
+test("RenderCache - concurrent misses on the file store all succeed", async () => {
+  const dir = path.join(
+    import.meta.dirname,
+    "..",
+    "..",
+    "tmp",
+    "render-cache-tests",
+    "concurrent"
+  );
+  await fs.rm(dir, { recursive: true, force: true });
+  const cache = new RenderCache({ store: new FileStore({ dir }) });
+  const { produce } = counter();
+
+  const results = await Promise.all(
+    [1, 2, 3, 4].map(() => cache.fetch("https://a.example/", {}, produce))
+  );
+
+  assert.deepEqual(
+    results.map((result) => result.status),
+    ["MISS", "MISS", "MISS", "MISS"]
+  );
+  assert.equal(
+    (await cache.fetch("https://a.example/", {}, produce)).status,
+    "HIT"
+  );
+});
+
+test("RenderCache - serves the render when the store write fails", async () => {
+  const store = new MemoryStore();
+  store.set = async () => {
+    throw new Error("ENOSPC: no space left on device");
+  };
+  const cache = new RenderCache({ store });
+  const originalError = console.error;
+  const logged = [];
+  console.error = (...args) => logged.push(args.join(" "));
+
+  try {
+    const result = await cache.fetch(
+      "https://a.example/",
+      {},
+      async () => "html"
+    );
+
+    assert.deepEqual(result, { value: "html", status: "MISS" });
+    assert.match(logged[0], /Cache write failed for https:\/\/a\.example\//);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test("RenderCache - purgeUrl and purgePrefix drop matching entries", async () => {
+  const cache = new RenderCache({ store: new MemoryStore() });
+  const produce = async () => "html";
+  await cache.fetch("https://a.example/p/1", {}, produce);
+  await cache.fetch("https://a.example/p/1", { stripCss: true }, produce);
+  await cache.fetch("https://a.example/p/2", {}, produce);
+  await cache.fetch("https://b.example/", {}, produce);
+
+  assert.equal(await cache.purgeUrl("https://a.example/p/1"), 2);
+  assert.equal(await cache.purgePrefix("https://a.example/"), 1);
+  assert.equal(
+    (await cache.fetch("https://b.example/", {}, produce)).status,
+    "HIT"
+  );
+});
+
+test("buildCacheKey - ignores option order and undefined values", () => {
+  assert.equal(
+    buildCacheKey("https://a.example/", { b: 1, a: { y: 2, x: 1 } }),
+    buildCacheKey("https://a.example/", {
+      a: { x: 1, y: 2 },
+      c: undefined,
+      b: 1,
+    })
+  );
+});
+
+test("buildCacheKey - keys credentials by digest only", () => {
+  const options = {
+    headers: { Authorization: "Bearer page-token" },
+    cookies: [{ name: "session", value: "abc" }],
+    basicAuth: { username: "editor", password: "s3cret" },
+  };
+  const key = buildCacheKey("https://a.example/", options);
+
+  assert.doesNotMatch(key, /page-token|abc|editor|s3cret/);
+  assert.notEqual(
+    key,
+    buildCacheKey("https://a.example/", {
+      ...options,
+      basicAuth: { username: "editor", password: "other" },
+    })
+  );
+});
+
+test("createRenderCache - returns undefined when disabled", () => {
+  assert.equal(createRenderCache({ backend: "none" }), undefined);
+  assert.ok(
+    createRenderCache({ backend: "memory", maxEntries: 10 }) instanceof
+      RenderCache
+  );
+});
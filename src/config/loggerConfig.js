@@ -1,11 +1,13 @@
 import { config as loadEnv } from "dotenv";
 import path from "path";
+import { TRANSPORT_TYPES } from "../services/logTransports.js";
 
 loadEnv();
 
 const DEFAULT_LOG_DIR = "./log";
 const DEFAULT_LOG_FILE = "app.log";
 const VALID_LEVELS = ["log", "info", "warn", "error"];
+const VALID_FORMATS = ["text", "json"];
 
 const resolveLogDir = (value) => {
   const trimmed = value?.trim();
@@ -38,10 +40,84 @@ const parseEnabledLevels = (value) => {
     : new Set(VALID_LEVELS);
 };
 
+const parseFormat = (value) => {
+  const [commentStripped = ""] = (value ?? "").split("//");
+  const format = commentStripped.trim().toLowerCase();
+  return VALID_FORMATS.includes(format) ? format : "text";
+};
+
+// Invalid values fall back to the defaults so a typo cannot stop the logger.
+const toNonNegativeNumber = (value, fallback) => {
+  const [commentStripped = ""] = (value ?? "").split("//");
+  const trimmed = commentStripped.trim();
+  const parsed = Number(trimmed);
+  return trimmed !== "" && Number.isFinite(parsed) && parsed >= 0
+    ? parsed
+    : fallback;
+};
+
+const parseRotation = (env) => ({
+  maxSizeBytes: toNonNegativeNumber(env.LOG_MAX_SIZE_BYTES, 50 * 1024 * 1024),
+  intervalMs: toNonNegativeNumber(env.LOG_ROTATE_INTERVAL_MS, 86_400_000),
+  maxFiles: toNonNegativeNumber(env.LOG_MAX_FILES, 10),
+  maxAgeMs: toNonNegativeNumber(env.LOG_MAX_AGE_MS, 7 * 86_400_000),
+  compress: env.LOG_COMPRESS?.trim().toLowerCase() !== "false",
+});
+
+const parseHttpUrl = (value) => {
+  try {
+    const url = new URL(value?.trim() ?? "");
+    if (url.protocol === "http:" || url.protocol === "https:") {
+      return url.toString();
+    }
+  } catch {
+    // Reported below.
+  }
+  throw new Error(
+    `[loggerConfig] LOG_HTTP_URL must be an http(s) URL when LOG_TRANSPORTS includes http. Received "${value ?? ""}".`
+  );
+};
+
+/**
+ * LOG_TRANSPORTS lists where entries go (default `file`); each transport takes
+ * its levels from LOG_<TYPE>_LEVEL, falling back to LOG_LEVEL.
+ */
+const parseTransports = (env) => {
+  const [commentStripped = ""] = (env.LOG_TRANSPORTS ?? "").split("//");
+  const types = commentStripped
+    .split(",")
+    .map((type) => type.trim().toLowerCase())
+    .filter(
+      (type, index, all) =>
+        TRANSPORT_TYPES.includes(type) && all.indexOf(type) === index
+    );
+
+  return (types.length > 0 ? types : ["file"]).map((type) => {
+    const levelsValue = env[`LOG_${type.toUpperCase()}_LEVEL`];
+    const transport = {
+      type,
+      ...(levelsValue ? { levels: parseEnabledLevels(levelsValue) } : {}),
+    };
+    if (type === "syslog") {
+      transport.host = env.LOG_SYSLOG_HOST?.trim() || "127.0.0.1";
+      transport.port = toNonNegativeNumber(env.LOG_SYSLOG_PORT, 514);
+      transport.appName = env.LOG_SYSLOG_APP_NAME?.trim() || "page-render";
+    }
+    if (type === "http") {
+      transport.url = parseHttpUrl(env.LOG_HTTP_URL);
+      transport.timeoutMs = toNonNegativeNumber(env.LOG_HTTP_TIMEOUT_MS, 5000);
+    }
+    return transport;
+  });
+};
+
 const logDir = resolveLogDir(process.env.LOG_DIR);
 const logFileName = resolveLogFileName(process.env.LOG_FILE);
 
 export const loggerConfig = {
   logFilePath: path.join(logDir, logFileName),
   enabledLevels: parseEnabledLevels(process.env.LOG_LEVEL),
+  format: parseFormat(process.env.LOG_FORMAT),
+  rotation: parseRotation(process.env),
+  transports: parseTransports(process.env),
 };
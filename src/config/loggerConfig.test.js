@@ -76,7 +76,13 @@ test("loggerConfig - object structure is correct", () => {
     loggerConfig.hasOwnProperty("enabledLevels"),
     "has enabledLevels property"
   );
-  assert.equal(Object.keys(loggerConfig).length, 2, "has exactly 2 properties");
+  assert.ok(loggerConfig.hasOwnProperty("format"), "has format property");
+  assert.ok(loggerConfig.hasOwnProperty("rotation"), "has rotation property");
+  assert.ok(
+    loggerConfig.hasOwnProperty("transports"),
+    "has transports property"
+  );
+  assert.equal(Object.keys(loggerConfig).length, 5, "has exactly 5 properties");
 });
 
 test("loggerConfig - logFilePath is readable property", () => {
@@ -96,3 +102,38 @@ test("loggerConfig - enabledLevels is readable property", () => {
   assert.ok(descriptor, "enabledLevels property exists");
   assert.ok(descriptor.value instanceof Set, "enabledLevels value is a Set");
 });
+
+test("loggerConfig - format is text or json", () => {
+  assert.ok(
+    ["text", "json"].includes(loggerConfig.format),
+    `${loggerConfig.format} is a valid log format`
+  );
+});
+
+test("loggerConfig - rotation limits are non-negative numbers", () => {
+  const { compress, ...limits } = loggerConfig.rotation;
+
+  assert.equal(typeof compress, "boolean");
+  assert.deepEqual(Object.keys(limits).sort(), [
+    "intervalMs",
+    "maxAgeMs",
+    "maxFiles",
+    "maxSizeBytes",
+  ]);
+  Object.entries(limits).forEach(([name, value]) => {
+    assert.ok(Number.isFinite(value) && value >= 0, `${name} is valid`);
+  });
+});
+
+test("loggerConfig - transports are known types listed once", () => {
+  const types = loggerConfig.transports.map(({ type }) => type);
+
+  assert.ok(types.length > 0, "at least one transport");
+  assert.equal(new Set(types).size, types.length, "no duplicates");
+  types.forEach((type) => {
+    assert.ok(
+      ["file", "stdout", "syslog", "http"].includes(type),
+      `${type} is a known transport`
+    );
+  });
+});
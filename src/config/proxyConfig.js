@@ -0,0 +1,63 @@
+import {config as loadEnv} from "dotenv";
+import {DEFAULT_BOT_USER_AGENTS} from "../utils/botDetection.js";
+
+loadEnv();
+
+const toPort = (value, fallback) => {
+  if (!value) {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0 || parsed > 65535) {
+    throw new Error(
+      `[proxyConfig] PROXY_PORT must be a valid port number. Received "${value}".`
+    );
+  }
+
+  return parsed;
+};
+
+const parseOrigin = (value) => {
+  const trimmed = value?.trim();
+  if (!trimmed) {
+    return undefined;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch {
+    throw new Error(
+      `[proxyConfig] PROXY_ORIGIN must be an absolute HTTP(S) URL. Received "${value}".`
+    );
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new Error(
+      `[proxyConfig] PROXY_ORIGIN must use HTTP or HTTPS. Received "${value}".`
+    );
+  }
+
+  return parsed.origin;
+};
+
+const parseList = (value, fallback) => {
+  const items = (value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return items.length > 0 ? items : fallback;
+};
+
+/**
+ * Reverse-proxy prerender mode is enabled when PROXY_ORIGIN is set.
+ */
+export const proxyConfig = {
+  origin: parseOrigin(process.env.PROXY_ORIGIN),
+  host: process.env.PROXY_HOST?.trim() || "127.0.0.1",
+  port: toPort(process.env.PROXY_PORT, 51_001),
+  botUserAgents: parseList(
+    process.env.BOT_USER_AGENTS,
+    DEFAULT_BOT_USER_AGENTS
+  ),
+};
@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { proxyConfig } from "./proxyConfig.js";
+
+test("proxyConfig - origin is unset or a bare HTTP(S) origin", () => {
+  const { origin } = proxyConfig;
+
+  assert.ok(origin === undefined || /^https?:\/\/[^/]+$/.test(origin));
+  if (!process.env.PROXY_ORIGIN?.trim()) {
+    assert.equal(origin, undefined, "proxy mode is off by default");
+  }
+});
+
+test("proxyConfig - provides a bind address", () => {
+  assert.ok(typeof proxyConfig.host === "string");
+  assert.ok(proxyConfig.host.length > 0);
+  assert.ok(Number.isInteger(proxyConfig.port));
+  assert.ok(proxyConfig.port > 0 && proxyConfig.port <= 65535);
+});
+
+test("proxyConfig - provides a non-empty bot user-agent list", () => {
+  assert.ok(Array.isArray(proxyConfig.botUserAgents));
+  assert.ok(proxyConfig.botUserAgents.length > 0);
+});
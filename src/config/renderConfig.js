@@ -0,0 +1,245 @@
+import {config as loadEnv} from "dotenv";
+import path from "path";
+import {READY_STRATEGIES} from "../services/readiness.js";
+import {
+  parseAcceptLanguage,
+  parseBasicAuth,
+  parseCookies,
+  parseHeaders,
+} from "../utils/pageRequest.js";
+
+loadEnv();
+
+const toNumber = (value, fallback, label) => {
+  if (!value) {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error(
+      `[renderConfig] ${label} must be a positive number. Received "${value}".`
+    );
+  }
+
+  return parsed;
+};
+
+const toNonNegativeNumber = (value, fallback, label) => {
+  if (value === undefined || value.trim() === "") {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new Error(
+      `[renderConfig] ${label} must be zero or a positive number. Received "${value}".`
+    );
+  }
+
+  return parsed;
+};
+
+const CACHE_BACKENDS = ["memory", "file", "none"];
+
+const parseCacheBackend = (value) => {
+  const backend = value?.trim().toLowerCase() || "memory";
+  if (!CACHE_BACKENDS.includes(backend)) {
+    throw new Error(
+      `[renderConfig] CACHE_BACKEND must be one of ${CACHE_BACKENDS.join(
+        ", "
+      )}. Received "${value}".`
+    );
+  }
+  return backend;
+};
+
+/**
+ * Parses "prefix=ms" pairs separated by commas, e.g. "/products/=86400000,/cart=0".
+ */
+const parseRouteTtls = (value) => {
+  if (!value?.trim()) {
+    return [];
+  }
+
+  return value
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const separatorIndex = pair.lastIndexOf("=");
+      const prefix = pair.slice(0, separatorIndex).trim();
+      if (separatorIndex <= 0 || !prefix.startsWith("/")) {
+        throw new Error(
+          `[renderConfig] CACHE_ROUTE_TTLS entries must look like "/path=ms". Received "${pair}".`
+        );
+      }
+      return {
+        prefix,
+        ttlMs: toNonNegativeNumber(
+          pair.slice(separatorIndex + 1),
+          0,
+          "CACHE_ROUTE_TTLS"
+        ),
+      };
+    });
+};
+
+const resolveDir = (value, fallback) => {
+  const directory = value?.trim() || fallback;
+  return path.isAbsolute(directory)
+    ? directory
+    : path.join(process.cwd(), directory);
+};
+
+const toBoolean = (value, fallback, label) => {
+  const normalized = value?.trim().toLowerCase();
+  if (!normalized) {
+    return fallback;
+  }
+  if (normalized === "true" || normalized === "false") {
+    return normalized === "true";
+  }
+  throw new Error(
+    `[renderConfig] ${label} must be true or false. Received "${value}".`
+  );
+};
+
+const parseReadiness = (env) => {
+  const strategy = env.READY_STRATEGY?.trim().toLowerCase() || "dom-stable";
+  if (!READY_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `[renderConfig] READY_STRATEGY must be one of ${READY_STRATEGIES.join(
+        ", "
+      )}. Received "${env.READY_STRATEGY}".`
+    );
+  }
+
+  const selector = env.READY_SELECTOR?.trim() || undefined;
+  if (strategy === "selector" && !selector) {
+    throw new Error(
+      "[renderConfig] READY_SELECTOR is required when READY_STRATEGY=selector."
+    );
+  }
+
+  return {
+    strategy,
+    selector,
+    bestEffort: toBoolean(env.READY_BEST_EFFORT, false, "READY_BEST_EFFORT"),
+    maxWaitMs: toNumber(env.READY_MAX_WAIT_MS, 15_000, "READY_MAX_WAIT_MS"),
+  };
+};
+
+const PAGE_REQUEST_SETTINGS = {
+  headers: ["RENDER_HEADERS", parseHeaders],
+  cookies: ["RENDER_COOKIES", parseCookies],
+  basicAuth: ["RENDER_BASIC_AUTH", parseBasicAuth],
+  acceptLanguage: ["RENDER_ACCEPT_LANGUAGE", parseAcceptLanguage],
+};
+
+const parsePageRequest = (env) =>
+  Object.fromEntries(
+    Object.entries(PAGE_REQUEST_SETTINGS).map(([field, [label, parse]]) => {
+      const value = env[label]?.trim();
+      try {
+        return [field, value ? parse(value, label) : undefined];
+      } catch (error) {
+        throw new Error(`[renderConfig] ${error.message}`);
+      }
+    })
+  );
+
+const toList = (value) =>
+  (value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const resolveOptionalFile = (value) =>
+  value?.trim() ? path.resolve(value.trim()) : undefined;
+
+export const renderConfig = {
+  auth: {
+    keysFile: resolveOptionalFile(process.env.API_KEYS_FILE),
+  },
+  blocking: {
+    rulesFile: resolveOptionalFile(process.env.BLOCK_RULES_FILE),
+  },
+  browserPool: {
+    size: toNumber(process.env.BROWSER_POOL_SIZE, 2, "BROWSER_POOL_SIZE"),
+    maxPagesPerBrowser: toNumber(
+      process.env.BROWSER_MAX_PAGES,
+      4,
+      "BROWSER_MAX_PAGES"
+    ),
+    recycleAfter: toNumber(
+      process.env.BROWSER_RECYCLE_AFTER,
+      100,
+      "BROWSER_RECYCLE_AFTER"
+    ),
+  },
+  batch: {
+    concurrency: toNumber(
+      process.env.BATCH_CONCURRENCY,
+      2,
+      "BATCH_CONCURRENCY"
+    ),
+    maxUrls: toNumber(process.env.BATCH_MAX_URLS, 10_000, "BATCH_MAX_URLS"),
+  },
+  cache: {
+    backend: parseCacheBackend(process.env.CACHE_BACKEND),
+    dir: resolveDir(process.env.CACHE_DIR, "./tmp/cache"),
+    maxEntries: toNumber(
+      process.env.CACHE_MAX_ENTRIES,
+      500,
+      "CACHE_MAX_ENTRIES"
+    ),
+    ttlMs: toNonNegativeNumber(process.env.CACHE_TTL_MS, 600_000, "CACHE_TTL_MS"),
+    staleWhileRevalidateMs: toNonNegativeNumber(
+      process.env.CACHE_STALE_WHILE_REVALIDATE_MS,
+      300_000,
+      "CACHE_STALE_WHILE_REVALIDATE_MS"
+    ),
+    routeTtls: parseRouteTtls(process.env.CACHE_ROUTE_TTLS),
+  },
+  crawl: {
+    outputDir: resolveDir(process.env.CRAWL_OUTPUT_DIR, "./crawl"),
+    maxUrls: toNumber(process.env.CRAWL_MAX_URLS, 50_000, "CRAWL_MAX_URLS"),
+  },
+  health: {
+    timeoutMs: toNumber(
+      process.env.HEALTH_CHECK_TIMEOUT_MS,
+      10_000,
+      "HEALTH_CHECK_TIMEOUT_MS"
+    ),
+  },
+  jobs: {
+    ttlMs: toNumber(process.env.JOB_TTL_MS, 3_600_000, "JOB_TTL_MS"),
+    maxJobs: toNumber(process.env.JOB_MAX_RETAINED, 1000, "JOB_MAX_RETAINED"),
+  },
+  overlays: {
+    enabled: toBoolean(process.env.DISMISS_OVERLAYS, true, "DISMISS_OVERLAYS"),
+    rulesFile: resolveOptionalFile(process.env.OVERLAY_RULES_FILE),
+  },
+  pageRequest: parsePageRequest(process.env),
+  profiles: {
+    file: resolveOptionalFile(process.env.RENDER_PROFILES_FILE),
+  },
+  queue: {
+    concurrency: toNumber(
+      process.env.RENDER_CONCURRENCY,
+      2,
+      "RENDER_CONCURRENCY"
+    ),
+  },
+  readiness: parseReadiness(process.env),
+  urlPolicy: {
+    allowPrivate: toBoolean(
+      process.env.URL_ALLOW_PRIVATE,
+      false,
+      "URL_ALLOW_PRIVATE"
+    ),
+    allowHosts: toList(process.env.URL_ALLOW_HOSTS),
+    denyHosts: toList(process.env.URL_DENY_HOSTS),
+  },
+};
@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import path from "path";
+import { renderConfig } from "./renderConfig.js";
+
+test("renderConfig - browserPool settings are positive numbers", () => {
+  const { size, maxPagesPerBrowser, recycleAfter } = renderConfig.browserPool;
+
+  [size, maxPagesPerBrowser, recycleAfter].forEach((value) => {
+    assert.equal(typeof value, "number");
+    assert.ok(Number.isFinite(value) && value > 0);
+  });
+});
+
+test("renderConfig - browserPool defaults match documented values", () => {
+  assert.equal(renderConfig.browserPool.size, 2);
+  assert.equal(renderConfig.browserPool.maxPagesPerBrowser, 4);
+  assert.equal(renderConfig.browserPool.recycleAfter, 100);
+});
+
+test("renderConfig - queue concurrency is a positive number", () => {
+  const { concurrency } = renderConfig.queue;
+
+  assert.equal(typeof concurrency, "number");
+  assert.ok(concurrency > 0);
+});
+
+test("renderConfig - batch limits are positive numbers", () => {
+  const { concurrency, maxUrls } = renderConfig.batch;
+
+  assert.ok(concurrency > 0);
+  assert.ok(maxUrls > 0);
+});
+
+test("renderConfig - cache settings are valid", () => {
+  const { backend, dir, maxEntries, ttlMs, staleWhileRevalidateMs, routeTtls } =
+    renderConfig.cache;
+
+  assert.ok(["memory", "file", "none"].includes(backend));
+  assert.ok(typeof dir === "string" && dir.length > 0);
+  assert.ok(maxEntries > 0);
+  assert.ok(ttlMs >= 0);
+  assert.ok(staleWhileRevalidateMs >= 0);
+  assert.ok(Array.isArray(routeTtls));
+});
+
+test("renderConfig - blocking rules file is optional and absolute", () => {
+  const { rulesFile } = renderConfig.blocking;
+
+  assert.ok(rulesFile === undefined || path.isAbsolute(rulesFile));
+});
+
+test("renderConfig - overlay dismissal is on unless disabled", () => {
+  const { enabled, rulesFile } = renderConfig.overlays;
+
+  assert.equal(typeof enabled, "boolean");
+  assert.ok(rulesFile === undefined || path.isAbsolute(rulesFile));
+});
+
+test("renderConfig - render profiles file is optional and absolute", () => {
+  const { file } = renderConfig.profiles;
+
+  assert.ok(file === undefined || path.isAbsolute(file));
+});
+
+test("renderConfig - API key file is optional and absolute", () => {
+  const { keysFile } = renderConfig.auth;
+
+  assert.ok(keysFile === undefined || path.isAbsolute(keysFile));
+});
+
+test("renderConfig - readiness settings are valid", () => {
+  const { strategy, selector, bestEffort, maxWaitMs } = renderConfig.readiness;
+
+  assert.ok(
+    ["dom-stable", "network-idle", "selector", "prerender-ready"].includes(
+      strategy
+    )
+  );
+  assert.ok(strategy !== "selector" || typeof selector === "string");
+  assert.equal(typeof bestEffort, "boolean");
+  assert.ok(maxWaitMs > 0);
+});
+
+test("renderConfig - health check timeout is a positive number", () => {
+  assert.ok(renderConfig.health.timeoutMs > 0);
+});
+
+test("renderConfig - url policy blocks private addresses unless configured", () => {
+  const { allowPrivate, allowHosts, denyHosts } = renderConfig.urlPolicy;
+
+  assert.equal(typeof allowPrivate, "boolean");
+  assert.ok(Array.isArray(allowHosts));
+  assert.ok(Array.isArray(denyHosts));
+});
+
+test("renderConfig - page request defaults are unset unless configured", () => {
+  const { headers, cookies, basicAuth, acceptLanguage } =
+    renderConfig.pageRequest;
+
+  assert.ok(headers === undefined || typeof headers === "object");
+  assert.ok(cookies === undefined || Array.isArray(cookies));
+  assert.ok(basicAuth === undefined || typeof basicAuth.username === "string");
+  assert.ok(acceptLanguage === undefined || typeof acceptLanguage === "string");
+});
@@ -0,0 +1,86 @@
+import path from "path";
+import {parseArgs} from "util";
+import {renderConfig} from "./config/renderConfig.js";
+import {serverConfig} from "./config/serverConfig.js";
+import {PageRenderer} from "./services/pageRenderer.js";
+import {crawlSitemap} from "./services/sitemapCrawler.js";
+import {ProcessTracker} from "./utils/processTracker.js";
+
+const USAGE = `Usage: npm run crawl -- --sitemap <url|file> [--out <dir>] [--since <date>] [--concurrency <n>]`;
+
+const {values} = parseArgs({
+  options: {
+    sitemap: {type: "string"},
+    out: {type: "string"},
+    since: {type: "string"},
+    concurrency: {type: "string"},
+  },
+});
+
+if (!values.sitemap) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const since = values.since ? new Date(values.since) : undefined;
+if (since && Number.isNaN(since.getTime())) {
+  console.error(`Invalid --since date "${values.since}".`);
+  process.exit(1);
+}
+
+const concurrency = values.concurrency
+  ? Number(values.concurrency)
+  : renderConfig.batch.concurrency;
+if (!Number.isInteger(concurrency) || concurrency <= 0) {
+  console.error(`Invalid --concurrency "${values.concurrency}".`);
+  process.exit(1);
+}
+
+const source = /^https?:\/\//i.test(values.sitemap)
+  ? {url: values.sitemap}
+  : {file: values.sitemap};
+// Like POST /crawl, each run gets its own timestamped directory by default, so
+// earlier runs are kept.
+const outputDir = path.resolve(
+  values.out ??
+    path.join(
+      renderConfig.crawl.outputDir,
+      new Date().toISOString().replace(/[:.]/g, "-")
+    )
+);
+
+// A separate flag file keeps CLI crawls from clobbering the server's progress flag.
+const processTracker = new ProcessTracker(
+  path.join(serverConfig.tmpDir, "crawl"),
+  {concurrency}
+);
+const pageRenderer = new PageRenderer();
+
+try {
+  await processTracker.initialize();
+  const summary = await crawlSitemap({
+    source,
+    outputDir,
+    since,
+    pageRenderer,
+    processTracker,
+    concurrency,
+    maxUrls: renderConfig.crawl.maxUrls,
+    onResult: (result) => {
+      const outcome = result.ok ? "ok" : `failed (${result.error})`;
+      console.log(
+        `[${result.index}] ${result.url} ${outcome} ${result.durationMs}ms`
+      );
+    },
+  });
+  console.log(
+    `Crawled ${summary.total} URLs into ${summary.outputDir}: ${summary.succeeded} ok, ${summary.failed} failed`
+  );
+  process.exitCode = summary.failed > 0 ? 2 : 0;
+} catch (error) {
+  console.error("Crawl failed:", error);
+  process.exitCode = 1;
+} finally {
+  await pageRenderer.close();
+  await processTracker.finish().catch(() => {});
+}
@@ -1,7 +1,13 @@
 export class HttpError extends Error {
-  constructor(statusCode, message) {
+  /**
+   * @param {number} statusCode
+   * @param {string} message
+   * @param {Record<string, string>} [headers] sent along with the error response
+   */
+  constructor(statusCode, message, headers = {}) {
     super(message);
     this.statusCode = statusCode;
+    this.headers = headers;
     this.name = "HttpError";
   }
 }
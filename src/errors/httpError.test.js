@@ -114,3 +114,12 @@ test("HttpError - multiple instances are independent", () => {
   assert.notEqual(error1.message, error2.message);
   assert.equal(error1.name, error2.name);
 });
+
+test("HttpError - carries response headers", () => {
+  const error = new HttpError(401, "Unauthorized", {
+    "WWW-Authenticate": "Bearer",
+  });
+
+  assert.deepEqual(error.headers, { "WWW-Authenticate": "Bearer" });
+  assert.deepEqual(new HttpError(404, "Not Found").headers, {});
+});
@@ -0,0 +1,18 @@
+import {HttpError} from "./httpError.js";
+
+/**
+ * An API client over its request rate or concurrency quota. The response tells
+ * it when to retry.
+ */
+export class RateLimitError extends HttpError {
+  /**
+   * @param {string} message
+   * @param {number} retryAfterMs
+   */
+  constructor(message, retryAfterMs) {
+    super(429, message, {
+      "Retry-After": String(Math.max(1, Math.ceil(retryAfterMs / 1000))),
+    });
+    this.name = "RateLimitError";
+  }
+}
@@ -0,0 +1,18 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { RateLimitError } from "./rateLimitError.js";
+import { HttpError } from "./httpError.js";
+
+test("RateLimitError - creates an HttpError with 429 status and Retry-After", () => {
+  const error = new RateLimitError("Too many requests", 1500);
+
+  assert.equal(error.statusCode, 429);
+  assert.equal(error.message, "Too many requests");
+  assert.equal(error.name, "RateLimitError");
+  assert.deepEqual(error.headers, { "Retry-After": "2" });
+  assert.ok(error instanceof HttpError);
+});
+
+test("RateLimitError - asks for at least one second", () => {
+  assert.equal(new RateLimitError("Busy", 0).headers["Retry-After"], "1");
+});
@@ -0,0 +1,11 @@
+import {HttpError} from "./httpError.js";
+
+/**
+ * A URL the render may not fetch, e.g. one resolving to a private address.
+ */
+export class UrlPolicyError extends HttpError {
+  constructor(message) {
+    super(403, message);
+    this.name = "UrlPolicyError";
+  }
+}
@@ -0,0 +1,13 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { UrlPolicyError } from "./urlPolicyError.js";
+import { HttpError } from "./httpError.js";
+
+test("UrlPolicyError - creates an HttpError with 403 status code", () => {
+  const error = new UrlPolicyError("URL is not allowed");
+
+  assert.equal(error.statusCode, 403);
+  assert.equal(error.message, "URL is not allowed");
+  assert.equal(error.name, "UrlPolicyError");
+  assert.ok(error instanceof HttpError);
+});
@@ -0,0 +1,24 @@
+// Library entry point for embedding the renderer in other Node apps;
+// `npm start` runs the standalone server from renderSrv.js instead.
+export {createApp, createProxyApp} from "./app.js";
+export {
+  createRenderCache,
+  RenderCache,
+  MemoryStore,
+  FileStore,
+} from "./cache/index.js";
+export {metricsRegistry} from "./metrics/index.js";
+export {createPrerenderMiddleware} from "./middleware/prerender.js";
+export {createPrerenderProxy} from "./middleware/prerenderProxy.js";
+export {JobStore} from "./services/jobStore.js";
+export {PageRenderer} from "./services/pageRenderer.js";
+export {
+  createRenderProfiles,
+  RenderProfiles,
+} from "./services/renderProfiles.js";
+export {
+  createBotMatcher,
+  DEFAULT_BOT_USER_AGENTS,
+} from "./utils/botDetection.js";
+export {ProcessTracker} from "./utils/processTracker.js";
+export {UrlPolicy} from "./utils/urlPolicy.js";
@@ -1 +1 @@
-export { buildJsonLdScript } from "./jsonLdBuilder.js";
+export { buildJsonLdScript, jsonLdBuilder } from "./jsonLdBuilder.js";
@@ -0,0 +1,7 @@
+export {Counter, Gauge, Histogram, MetricsRegistry} from "./registry.js";
+export {
+  metricsRegistry,
+  recordRender,
+  recordRenderFailure,
+  renderMetrics,
+} from "./renderMetrics.js";
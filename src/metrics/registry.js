@@ -0,0 +1,180 @@
+/**
+ * Minimal Prometheus client: counters, gauges and histograms with labels,
+ * rendered in the text exposition format (version 0.0.4).
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @returns {Counter}
+   */
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @returns {Gauge}
+   */
+  gauge(name, help, labelNames = []) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {{labelNames?: string[], buckets: number[]}} options
+   * @returns {Histogram}
+   */
+  histogram(name, help, {labelNames = [], buckets}) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered.`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} every metric in the Prometheus text format
+   */
+  render() {
+    return Array.from(this.metrics.values())
+      .map((metric) =>
+        [
+          `# HELP ${metric.name} ${escapeHelp(metric.help)}`,
+          `# TYPE ${metric.name} ${metric.type}`,
+          ...metric.lines(),
+        ].join("\n")
+      )
+      .join("\n")
+      .concat("\n");
+  }
+}
+
+class Metric {
+  constructor(name, help, labelNames) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Returns the series for a label set, creating it with initial() if needed.
+   */
+  seriesFor(labels, initial) {
+    const values = this.labelNames.map((label) => String(labels[label] ?? ""));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, {labels: values, value: initial()});
+    }
+    return this.series.get(key);
+  }
+
+  lines() {
+    if (this.series.size === 0 && this.labelNames.length === 0) {
+      return [`${this.name} 0`];
+    }
+    return Array.from(this.series.values()).map(
+      ({labels, value}) =>
+        `${this.name}${formatLabels(this.labelNames, labels)} ${formatValue(value)}`
+    );
+  }
+}
+
+export class Counter extends Metric {
+  type = "counter";
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => 0).value += value;
+  }
+}
+
+export class Gauge extends Metric {
+  type = "gauge";
+
+  set(labels, value) {
+    this.seriesFor(labels, () => 0).value = value;
+  }
+}
+
+export class Histogram extends Metric {
+  type = "histogram";
+
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.value.counts[index] += 1;
+      }
+    });
+    series.value.sum += value;
+    series.value.count += 1;
+  }
+
+  lines() {
+    return Array.from(this.series.values()).flatMap(({labels, value}) => {
+      const withLe = (le) =>
+        formatLabels([...this.labelNames, "le"], [...labels, le]);
+      return [
+        ...this.buckets.map(
+          (bound, index) =>
+            `${this.name}_bucket${withLe(formatValue(bound))} ${value.counts[index]}`
+        ),
+        `${this.name}_bucket${withLe("+Inf")} ${value.count}`,
+        `${this.name}_sum${formatLabels(this.labelNames, labels)} ${formatValue(value.sum)}`,
+        `${this.name}_count${formatLabels(this.labelNames, labels)} ${value.count}`,
+      ];
+    });
+  }
+}
+
+function formatLabels(names, values) {
+  if (names.length === 0) {
+    return "";
+  }
+  const pairs = names.map(
+    (name, index) => `${name}="${escapeLabelValue(values[index])}"`
+  );
+  return `{${pairs.join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return Number.isInteger(value)
+    ? String(value)
+    : String(Number(value.toFixed(6)));
+}
+
+function escapeLabelValue(value) {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function escapeHelp(help) {
+  return help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
@@ -0,0 +1,62 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { MetricsRegistry } from "./registry.js";
+
+test("MetricsRegistry - renders counters and gauges with labels", () => {
+  const registry = new MetricsRegistry();
+  const renders = registry.counter("renders_total", "Renders.", ["outcome"]);
+  const queue = registry.gauge("queue_jobs", "Queue.", ["state"]);
+  registry.counter("launches_total", "Launches.");
+
+  renders.inc({ outcome: "success" });
+  renders.inc({ outcome: "success" }, 2);
+  renders.inc({ outcome: 'bad "quote"' });
+  queue.set({ state: "queued" }, 4);
+
+  assert.equal(
+    registry.render(),
+    [
+      "# HELP renders_total Renders.",
+      "# TYPE renders_total counter",
+      'renders_total{outcome="success"} 3',
+      'renders_total{outcome="bad \\"quote\\""} 1',
+      "# HELP queue_jobs Queue.",
+      "# TYPE queue_jobs gauge",
+      'queue_jobs{state="queued"} 4',
+      "# HELP launches_total Launches.",
+      "# TYPE launches_total counter",
+      "launches_total 0",
+      "",
+    ].join("\n")
+  );
+});
+
+test("MetricsRegistry - renders cumulative histogram buckets", () => {
+  const registry = new MetricsRegistry();
+  const duration = registry.histogram("duration_seconds", "Duration.", {
+    labelNames: ["phase"],
+    buckets: [1, 0.5],
+  });
+
+  duration.observe({ phase: "total" }, 0.2);
+  duration.observe({ phase: "total" }, 0.7);
+  duration.observe({ phase: "total" }, 3);
+
+  assert.deepEqual(registry.render().split("\n").slice(2, -1), [
+    'duration_seconds_bucket{phase="total",le="0.5"} 1',
+    'duration_seconds_bucket{phase="total",le="1"} 2',
+    'duration_seconds_bucket{phase="total",le="+Inf"} 3',
+    'duration_seconds_sum{phase="total"} 3.9',
+    'duration_seconds_count{phase="total"} 3',
+  ]);
+});
+
+test("MetricsRegistry - rejects duplicate metric names", () => {
+  const registry = new MetricsRegistry();
+  registry.counter("renders_total", "Renders.");
+
+  assert.throws(
+    () => registry.gauge("renders_total", "Again."),
+    /already registered/
+  );
+});
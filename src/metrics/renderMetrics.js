@@ -0,0 +1,89 @@
+import {MetricsRegistry} from "./registry.js";
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const SIZE_BUCKETS = [1e3, 1e4, 5e4, 1e5, 2.5e5, 5e5, 1e6, 5e6];
+
+/**
+ * Process-wide registry served by GET /metrics.
+ */
+export const metricsRegistry = new MetricsRegistry();
+
+export const renderMetrics = {
+  renders: metricsRegistry.counter(
+    "page_render_renders_total",
+    "Renders by outcome.",
+    ["outcome"]
+  ),
+  phaseDuration: metricsRegistry.histogram(
+    "page_render_render_duration_seconds",
+    "Render duration by phase; phase=total covers the whole render.",
+    {labelNames: ["phase"], buckets: DURATION_BUCKETS}
+  ),
+  cleanedBytes: metricsRegistry.histogram(
+    "page_render_cleaned_html_bytes",
+    "Size of the HTML after cleanHTML.",
+    {buckets: SIZE_BUCKETS}
+  ),
+  jsonLdSources: metricsRegistry.counter(
+    "page_render_jsonld_source_total",
+    "Renders by the source of the injected JSON-LD.",
+    ["source"]
+  ),
+  blockedRequests: metricsRegistry.counter(
+    "page_render_blocked_requests_total",
+    "Subrequests aborted during renders, by source of the deciding rule.",
+    ["source"]
+  ),
+  dismissedOverlays: metricsRegistry.counter(
+    "page_render_dismissed_overlays_total",
+    "Consent banners and modals clicked away or removed, by overlay rule.",
+    ["rule"]
+  ),
+  browserLaunches: metricsRegistry.counter(
+    "page_render_browser_launches_total",
+    "Pooled browsers launched."
+  ),
+  browserCrashes: metricsRegistry.counter(
+    "page_render_browser_crashes_total",
+    "Pooled browsers that disconnected unexpectedly."
+  ),
+  queueJobs: metricsRegistry.gauge(
+    "page_render_queue_jobs",
+    "Render queue depth (state=queued) and renders in progress (state=running).",
+    ["state"]
+  ),
+  httpErrors: metricsRegistry.counter(
+    "page_render_http_errors_total",
+    "Error responses sent by the API error handler, by status code.",
+    ["status"]
+  ),
+  apiRequests: metricsRegistry.counter(
+    "page_render_api_requests_total",
+    "Authenticated API requests by API key and outcome (accepted, rate_limited, concurrency_limited).",
+    ["client", "outcome"]
+  ),
+  apiActiveRenders: metricsRegistry.gauge(
+    "page_render_api_active_renders",
+    "Render requests in progress by API key.",
+    ["client"]
+  ),
+};
+
+/**
+ * Books a finished render from the metrics PageRenderer collects.
+ * @param {import("../services/pageRenderer.js").RenderMetrics} metrics
+ */
+export function recordRender(metrics) {
+  renderMetrics.renders.inc({outcome: "success"});
+  Object.entries(metrics.timings).forEach(([phase, ms]) => {
+    renderMetrics.phaseDuration.observe({phase}, ms / 1000);
+  });
+  if (metrics.bytes.cleaned !== undefined) {
+    renderMetrics.cleanedBytes.observe({}, metrics.bytes.cleaned);
+    renderMetrics.jsonLdSources.inc({source: metrics.jsonLdSource});
+  }
+}
+
+export function recordRenderFailure() {
+  renderMetrics.renders.inc({outcome: "error"});
+}
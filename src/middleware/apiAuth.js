@@ -0,0 +1,55 @@
+import { HttpError } from "../errors/httpError.js";
+
+const AUTHENTICATE_HEADERS = {
+  "WWW-Authenticate": 'Bearer realm="page-render"',
+};
+
+/**
+ * Rejects requests without a known API key (401) and requests over the key's
+ * rate limit (429), and exposes the key's ApiClient as `req.apiClient`, so the
+ * render routes can take concurrency slots from it.
+ *
+ * The key is read from the `X-Api-Key` header, an `Authorization: Bearer` header
+ * or the `apiKey` query parameter, in that order.
+ * @param {import("../services/apiKeys.js").ApiKeyRegistry} apiKeys
+ * @returns {import("express").RequestHandler}
+ */
+export function createApiKeyAuth(apiKeys) {
+  return (req, _res, next) => {
+    const key = readApiKey(req);
+    if (!key) {
+      next(new HttpError(401, "API key required.", AUTHENTICATE_HEADERS));
+      return;
+    }
+
+    const client = apiKeys.find(key);
+    if (!client) {
+      next(new HttpError(401, "Invalid API key.", AUTHENTICATE_HEADERS));
+      return;
+    }
+
+    try {
+      client.admitRequest();
+    } catch (error) {
+      next(error);
+      return;
+    }
+    req.apiClient = client;
+    next();
+  };
+}
+
+function readApiKey(req) {
+  const header = req.get("x-api-key")?.trim();
+  if (header) {
+    return header;
+  }
+
+  const bearer = /^Bearer\s+(\S+)\s*$/i.exec(req.get("authorization") ?? "");
+  if (bearer) {
+    return bearer[1];
+  }
+
+  const { apiKey } = req.query ?? {};
+  return typeof apiKey === "string" ? apiKey.trim() : undefined;
+}
@@ -0,0 +1,78 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { HttpError } from "../errors/httpError.js";
+import { RateLimitError } from "../errors/rateLimitError.js";
+import { createApiKeys } from "../services/apiKeys.js";
+import { createApiKeyAuth } from "./apiAuth.js";
+
+const KEY = "seo-team-key-0123456789";
+
+class MockRequest {
+  constructor({ headers = {}, query = {} } = {}) {
+    this.headers = headers;
+    this.query = query;
+  }
+
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  }
+}
+
+const authenticate = (req, keys = [{ id: "seo", key: KEY }]) => {
+  const middleware = createApiKeyAuth(createApiKeys({ keys }));
+  let nextArg = "not called";
+  middleware(req, {}, (arg) => {
+    nextArg = arg;
+  });
+  return nextArg;
+};
+
+test("createApiKeyAuth - accepts the key from header, bearer token or query", () => {
+  const requests = [
+    new MockRequest({ headers: { "x-api-key": KEY } }),
+    new MockRequest({ headers: { authorization: `Bearer ${KEY}` } }),
+    new MockRequest({ query: { apiKey: KEY } }),
+  ];
+
+  requests.forEach((req) => {
+    assert.equal(authenticate(req), undefined);
+    assert.equal(req.apiClient.id, "seo");
+  });
+});
+
+test("createApiKeyAuth - answers missing and unknown keys with 401", () => {
+  const missing = authenticate(new MockRequest());
+  const unknown = authenticate(
+    new MockRequest({ headers: { "x-api-key": "wrong-key-0123456789" } })
+  );
+
+  assert.ok(missing instanceof HttpError);
+  assert.equal(missing.statusCode, 401);
+  assert.equal(missing.message, "API key required.");
+  assert.match(missing.headers["WWW-Authenticate"], /^Bearer /);
+  assert.equal(unknown.statusCode, 401);
+  assert.equal(unknown.message, "Invalid API key.");
+});
+
+test("createApiKeyAuth - answers requests over the rate limit with 429", () => {
+  const middleware = createApiKeyAuth(
+    createApiKeys({
+      keys: [
+        {
+          id: "limited",
+          key: KEY,
+          rateLimit: { requests: 1, intervalMs: 60_000 },
+        },
+      ],
+    })
+  );
+  const nextArgs = [];
+  const req = new MockRequest({ headers: { "x-api-key": KEY } });
+
+  middleware(req, {}, (arg) => nextArgs.push(arg));
+  middleware(req, {}, (arg) => nextArgs.push(arg));
+
+  assert.equal(nextArgs[0], undefined);
+  assert.ok(nextArgs[1] instanceof RateLimitError);
+  assert.equal(nextArgs[1].headers["Retry-After"], "60");
+});
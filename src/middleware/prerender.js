@@ -0,0 +1,206 @@
+import { renderConfig } from "../config/renderConfig.js";
+import { logger } from "../services/logger.js";
+import {
+  createBotMatcher,
+  isPrerenderableRequest,
+} from "../utils/botDetection.js";
+import { RenderQueue } from "../utils/renderQueue.js";
+
+const DEFAULT_CACHE_CONTROL = "public, max-age=600";
+const DEFAULT_REMOTE_TIMEOUT_MS = 60_000;
+
+/**
+ * Middleware for embedding the renderer in another Express/Connect app: bot requests
+ * for documents are answered with prerendered HTML, everything else (including any
+ * request whose render fails) continues to the host app's own handlers.
+ *
+ * Renders run in-process through `pageRenderer`, or over HTTP against the
+ * `GET /render` endpoint of a remote render server when `serviceUrl` is set,
+ * authenticated with `apiKey` when that server requires API keys.
+ *
+ * The render URL is built from `origin`, or from the request's Host header when
+ * that host is listed in `allowedHosts`; one of the two is required, as a client
+ * could otherwise send any Host and have the renderer fetch that site.
+ * @param {PrerenderOptions} options
+ * @returns {import("express").RequestHandler}
+ */
+export function createPrerenderMiddleware(options) {
+  const prerender = createBotRenderer(options);
+
+  return async (req, res, next) => {
+    if (!(await prerender(req, res))) {
+      next();
+    }
+  };
+}
+
+/**
+ * @typedef {{
+ *   pageRenderer?: {renderResult: (url: string) => Promise<RenderResult>},
+ *   processTracker?: {track: Function},
+ *   serviceUrl?: string,
+ *   apiKey?: string,
+ *   origin?: string,
+ *   allowedHosts?: string[],
+ *   renderCache?: import("../cache/index.js").RenderCache,
+ *   isBot?: (userAgent: string | undefined) => boolean,
+ *   botUserAgents?: string[],
+ *   cacheControl?: string | false,
+ *   timeoutMs?: number,
+ *   fetchImpl?: typeof fetch,
+ *   onError?: (error: unknown, url: string) => void,
+ * }} PrerenderOptions
+ */
+
+/**
+ * @typedef {{html: string, status: number, headers: Record<string, string>}} RenderResult
+ */
+
+/**
+ * Builds the handler shared by the embeddable middleware and the reverse proxy.
+ * It resolves to true when it answered the request with prerendered HTML and to
+ * false when the caller should serve the request itself.
+ * @param {PrerenderOptions} options
+ * @returns {(req: import("express").Request, res: import("express").Response) => Promise<boolean>}
+ */
+export function createBotRenderer(options) {
+  const {
+    origin,
+    allowedHosts = [],
+    renderCache,
+    isBot = createBotMatcher(options.botUserAgents),
+    cacheControl = DEFAULT_CACHE_CONTROL,
+    onError = (error, url) =>
+      logger.warn(`Prerender failed for ${url}, falling back`, error),
+  } = options;
+  const renderUrl = createRenderFunction(options);
+  if (!origin && allowedHosts.length === 0) {
+    throw new Error("Prerender middleware requires an origin or allowedHosts.");
+  }
+  const hosts = new Set(allowedHosts.map((host) => host.toLowerCase()));
+
+  return async (req, res) => {
+    if (!isPrerenderableRequest(req)) {
+      return false;
+    }
+
+    // Bots and browsers get different bodies for the same URL.
+    res.vary?.("User-Agent");
+    if (!isBot(req.get?.("user-agent"))) {
+      return false;
+    }
+
+    const base = origin ?? requestOrigin(req, hosts);
+    if (!base) {
+      return false;
+    }
+    const url = new URL(req.originalUrl ?? req.url, base).toString();
+
+    let result;
+    try {
+      if (renderCache) {
+        const cached = await renderCache.fetch(url, {}, async () => {
+          const { html, status, headers } = await renderUrl(url);
+          return { html, status, headers };
+        });
+        result = {
+          ...cached.value,
+          cacheStatus: cached.status,
+        };
+      } else {
+        result = await renderUrl(url);
+      }
+    } catch (error) {
+      onError(error, url);
+      return false;
+    }
+
+    res.set("X-Prerendered", "1");
+    if (result.cacheStatus) {
+      res.set("X-Cache", result.cacheStatus);
+    }
+    if (cacheControl) {
+      res.set("Cache-Control", cacheControl);
+    }
+    // Headers from prerender-header meta tags may override the defaults above.
+    if (Object.keys(result.headers).length > 0) {
+      res.set(result.headers);
+    }
+    res.type("text/html").status(result.status).send(result.html);
+    return true;
+  };
+}
+
+/**
+ * Picks the remote or in-process renderer. Both report the status the page
+ * resolved to, so soft 404s and redirects reach the bot as such.
+ * @returns {(url: string) => Promise<RenderResult & {cacheStatus?: string}>}
+ */
+function createRenderFunction(options) {
+  const {
+    serviceUrl,
+    apiKey,
+    pageRenderer,
+    timeoutMs = DEFAULT_REMOTE_TIMEOUT_MS,
+    fetchImpl = fetch,
+  } = options;
+
+  if (serviceUrl) {
+    return async (url) => {
+      const endpoint = new URL("/render", serviceUrl);
+      endpoint.searchParams.set("url", url);
+      // A redirect is the rendered page's answer for the bot, not something to
+      // follow here (nor to send the API key along to).
+      const response = await fetchImpl(endpoint, {
+        headers: apiKey ? { "X-Api-Key": apiKey } : {},
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      // Rendered pages come back as HTML whatever their status; render server
+      // errors are JSON.
+      const contentType = response.headers.get("content-type") ?? "";
+      const isRedirect = response.status >= 300 && response.status < 400;
+      if (!response.ok && !isRedirect && !contentType.startsWith("text/html")) {
+        throw new Error(`Render server responded with HTTP ${response.status}`);
+      }
+      const location = response.headers.get("location");
+      return {
+        html: await response.text(),
+        status: response.status,
+        headers: location ? { location } : {},
+        cacheStatus: response.headers.get("x-cache") ?? undefined,
+      };
+    };
+  }
+
+  if (!pageRenderer) {
+    throw new Error(
+      "Prerender middleware requires a pageRenderer or a serviceUrl."
+    );
+  }
+
+  // Without a tracker, embedded renders still share one bounded queue.
+  const processTracker = options.processTracker ?? createQueueTracker();
+  return (url) =>
+    processTracker.track(() => pageRenderer.renderResult(url), { url });
+}
+
+function createQueueTracker() {
+  const queue = new RenderQueue(renderConfig.queue);
+  return { track: (fn, meta) => queue.enqueue(fn, meta) };
+}
+
+/**
+ * The request's own origin, or undefined when its Host is not allowed.
+ */
+function requestOrigin(req, allowedHosts) {
+  let host;
+  try {
+    host = new URL(`http://${req.get?.("host") ?? req.headers?.host}`);
+  } catch {
+    return undefined;
+  }
+  return allowedHosts.has(host.hostname)
+    ? `${req.protocol ?? "http"}://${host.host}`
+    : undefined;
+}
@@ -0,0 +1,296 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { createPrerenderMiddleware } from "./prerender.js";
+
+const BOT_UA = "Mozilla/5.0 (compatible; bingbot/2.0)";
+const BROWSER_UA = "Mozilla/5.0 (Windows NT 10.0) Firefox/133.0";
+
+class MockRequest {
+  constructor({ path = "/", method = "GET", userAgent } = {}) {
+    this.method = method;
+    this.path = path;
+    this.originalUrl = path;
+    this.headers = { host: "www.example.com", "user-agent": userAgent };
+    this.protocol = "https";
+  }
+
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  }
+}
+
+class MockResponse {
+  constructor() {
+    this.statusCode = 200;
+    this.headers = {};
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  set(name, value) {
+    if (typeof name === "object") {
+      Object.entries(name).forEach(([key, val]) => this.set(key, val));
+      return this;
+    }
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  }
+
+  vary(field) {
+    this.headers.vary = field;
+    return this;
+  }
+
+  type(value) {
+    return this.set("content-type", value);
+  }
+
+  send(body) {
+    this.body = body;
+    return this;
+  }
+}
+
+const createRenderer = (calls, result = {}) => ({
+  renderResult: async (url) => {
+    calls.push(url);
+    return {
+      html: `<html>rendered ${url}</html>`,
+      status: 200,
+      headers: {},
+      ...result,
+    };
+  },
+});
+
+const run = async (middleware, req) => {
+  const res = new MockResponse();
+  let nextCalled = false;
+  await middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+};
+
+test("createPrerenderMiddleware - renders bot requests in-process", async () => {
+  const calls = [];
+  const middleware = createPrerenderMiddleware({
+    pageRenderer: createRenderer(calls),
+    allowedHosts: ["www.example.com"],
+  });
+
+  const { res, nextCalled } = await run(
+    middleware,
+    new MockRequest({ path: "/blog/post?page=2", userAgent: BOT_UA })
+  );
+
+  assert.equal(nextCalled, false);
+  assert.deepEqual(calls, ["https://www.example.com/blog/post?page=2"]);
+  assert.equal(res.headers["x-prerendered"], "1");
+  assert.equal(res.headers["cache-control"], "public, max-age=600");
+  assert.equal(res.headers.vary, "User-Agent");
+  assert.match(res.body, /rendered/);
+});
+
+test("createPrerenderMiddleware - passes browsers and assets to the host app", async () => {
+  const calls = [];
+  const middleware = createPrerenderMiddleware({
+    pageRenderer: createRenderer(calls),
+    allowedHosts: ["www.example.com"],
+  });
+
+  const browser = await run(
+    middleware,
+    new MockRequest({ path: "/", userAgent: BROWSER_UA })
+  );
+  const asset = await run(
+    middleware,
+    new MockRequest({ path: "/main.css", userAgent: BOT_UA })
+  );
+
+  assert.equal(browser.nextCalled, true);
+  assert.equal(browser.res.headers.vary, "User-Agent");
+  assert.equal(asset.nextCalled, true);
+  assert.equal(calls.length, 0);
+});
+
+test("createPrerenderMiddleware - calls a remote render server", async () => {
+  const requested = [];
+  const middleware = createPrerenderMiddleware({
+    serviceUrl: "http://renderer.internal:50001",
+    origin: "https://public.example",
+    cacheControl: "public, max-age=60",
+    fetchImpl: async (url) => {
+      requested.push(url.toString());
+      return new Response("<html>remote</html>", {
+        status: 200,
+        headers: { "x-cache": "HIT" },
+      });
+    },
+  });
+
+  const { res, nextCalled } = await run(
+    middleware,
+    new MockRequest({ path: "/about", userAgent: BOT_UA })
+  );
+
+  assert.equal(nextCalled, false);
+  assert.deepEqual(requested, [
+    "http://renderer.internal:50001/render?url=https%3A%2F%2Fpublic.example%2Fabout",
+  ]);
+  assert.equal(res.body, "<html>remote</html>");
+  assert.equal(res.headers["x-cache"], "HIT");
+  assert.equal(res.headers["cache-control"], "public, max-age=60");
+});
+
+test("createPrerenderMiddleware - authenticates to the render server with apiKey", async () => {
+  const sentHeaders = [];
+  const middleware = createPrerenderMiddleware({
+    serviceUrl: "http://renderer.internal:50001",
+    apiKey: "storefront-key-0123456789",
+    origin: "https://www.example.com",
+    fetchImpl: async (_url, init) => {
+      sentHeaders.push(init.headers);
+      return new Response("<html>remote</html>", { status: 200 });
+    },
+  });
+
+  await run(middleware, new MockRequest({ path: "/", userAgent: BOT_UA }));
+
+  assert.deepEqual(sentHeaders, [{ "X-Api-Key": "storefront-key-0123456789" }]);
+});
+
+test("createPrerenderMiddleware - falls back to the host app when rendering fails", async () => {
+  const errors = [];
+  const middleware = createPrerenderMiddleware({
+    serviceUrl: "http://renderer.internal:50001",
+    origin: "https://www.example.com",
+    fetchImpl: async () => new Response("{}", { status: 502 }),
+    onError: (error, url) => errors.push([error.message, url]),
+  });
+
+  const { res, nextCalled } = await run(
+    middleware,
+    new MockRequest({ path: "/", userAgent: BOT_UA })
+  );
+
+  assert.equal(nextCalled, true);
+  assert.equal(res.body, undefined);
+  assert.equal(res.headers["x-prerendered"], undefined);
+  assert.deepEqual(errors, [
+    ["Render server responded with HTTP 502", "https://www.example.com/"],
+  ]);
+});
+
+test("createPrerenderMiddleware - passes through the rendered status and meta headers", async () => {
+  const middleware = createPrerenderMiddleware({
+    allowedHosts: ["www.example.com"],
+    pageRenderer: createRenderer([], {
+      status: 301,
+      headers: {
+        location: "https://www.example.com/new",
+        "cache-control": "no-store",
+      },
+    }),
+  });
+
+  const { res } = await run(
+    middleware,
+    new MockRequest({ path: "/old", userAgent: BOT_UA })
+  );
+
+  assert.equal(res.statusCode, 301);
+  assert.equal(res.headers.location, "https://www.example.com/new");
+  assert.equal(res.headers["cache-control"], "no-store");
+});
+
+test("createPrerenderMiddleware - relays redirects from a remote render server", async () => {
+  const requests = [];
+  const middleware = createPrerenderMiddleware({
+    serviceUrl: "http://renderer.internal:50001",
+    apiKey: "storefront-key-0123456789",
+    origin: "https://www.example.com",
+    fetchImpl: async (url, init) => {
+      requests.push([url.toString(), init.headers, init.redirect]);
+      return new Response(null, {
+        status: 301,
+        headers: { location: "https://www.example.com/new" },
+      });
+    },
+  });
+
+  const { res, nextCalled } = await run(
+    middleware,
+    new MockRequest({ path: "/old", userAgent: BOT_UA })
+  );
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 301);
+  assert.equal(res.headers.location, "https://www.example.com/new");
+  assert.deepEqual(requests, [
+    [
+      "http://renderer.internal:50001/render?url=https%3A%2F%2Fwww.example.com%2Fold",
+      { "X-Api-Key": "storefront-key-0123456789" },
+      "manual",
+    ],
+  ]);
+});
+
+test("createPrerenderMiddleware - relays a soft 404 from a remote render server", async () => {
+  const middleware = createPrerenderMiddleware({
+    serviceUrl: "http://renderer.internal:50001",
+    origin: "https://www.example.com",
+    fetchImpl: async () =>
+      new Response("<html>missing</html>", {
+        status: 404,
+        headers: { "content-type": "text/html; charset=utf-8" },
+      }),
+  });
+
+  const { res, nextCalled } = await run(
+    middleware,
+    new MockRequest({ path: "/gone", userAgent: BOT_UA })
+  );
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body, "<html>missing</html>");
+});
+
+test("createPrerenderMiddleware - requires a renderer", () => {
+  assert.throws(
+    () => createPrerenderMiddleware({}),
+    /pageRenderer or a serviceUrl/
+  );
+});
+
+test("createPrerenderMiddleware - needs an origin or allowedHosts", () => {
+  assert.throws(
+    () => createPrerenderMiddleware({ pageRenderer: createRenderer([]) }),
+    /requires an origin or allowedHosts/
+  );
+});
+
+test("createPrerenderMiddleware - only renders allowed Host headers", async () => {
+  const calls = [];
+  const middleware = createPrerenderMiddleware({
+    pageRenderer: createRenderer(calls),
+    allowedHosts: ["www.example.com", "Shop.Example.com"],
+  });
+  const withHost = (host) => {
+    const req = new MockRequest({ path: "/a", userAgent: BOT_UA });
+    req.headers.host = host;
+    return req;
+  };
+
+  const spoofed = await run(middleware, withHost("169.254.169.254"));
+  const userinfo = await run(middleware, withHost("evil.example@10.0.0.1"));
+  await run(middleware, withHost("shop.example.com:8443"));
+
+  assert.equal(spoofed.nextCalled, true);
+  assert.equal(userinfo.nextCalled, true);
+  assert.deepEqual(calls, ["https://shop.example.com:8443/a"]);
+});
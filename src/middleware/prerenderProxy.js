@@ -0,0 +1,56 @@
+import { HttpError } from "../errors/httpError.js";
+import { proxyToOrigin } from "../services/originProxy.js";
+import { createBotMatcher } from "../utils/botDetection.js";
+import { createBotRenderer } from "./prerender.js";
+
+/**
+ * Reverse-proxy middleware: bot requests for documents get the rendered, cleaned HTML
+ * of the matching origin URL; every other request is streamed straight to the origin.
+ * A failed render falls back to proxying so crawlers still receive the original page.
+ * @param {{
+ *   origin: string,
+ *   pageRenderer: {renderResult: (url: string) => Promise<import("./prerender.js").RenderResult>},
+ *   processTracker: {track: Function},
+ *   renderCache?: import("../cache/index.js").RenderCache,
+ *   isBot?: (userAgent: string | undefined) => boolean,
+ *   fetchImpl?: typeof fetch,
+ * }} options
+ * @returns {import("express").RequestHandler}
+ */
+export function createPrerenderProxy(options) {
+  const {
+    origin,
+    pageRenderer,
+    processTracker,
+    renderCache,
+    isBot = createBotMatcher(),
+    fetchImpl,
+  } = options;
+  // Caching headers are left to the origin's own responses.
+  const prerender = createBotRenderer({
+    origin,
+    pageRenderer,
+    processTracker,
+    renderCache,
+    isBot,
+    cacheControl: false,
+  });
+
+  return async (req, res, next) => {
+    try {
+      if (await prerender(req, res)) {
+        return;
+      }
+
+      await proxyToOrigin(req, res, origin, { fetchImpl });
+    } catch (error) {
+      if (res.headersSent) {
+        console.error(`Proxying ${req.originalUrl} failed mid-response:`, error);
+        res.destroy?.(error);
+        return;
+      }
+      console.error(`Proxying ${req.originalUrl} failed:`, error);
+      next(new HttpError(502, "Origin request failed."));
+    }
+  };
+}
@@ -0,0 +1,207 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { Writable } from "stream";
+import { createPrerenderProxy } from "./prerenderProxy.js";
+
+const BOT_UA = "Mozilla/5.0 (compatible; Googlebot/2.1)";
+const BROWSER_UA = "Mozilla/5.0 (Macintosh) Chrome/131.0";
+
+class MockRequest {
+  constructor({ path = "/", method = "GET", userAgent } = {}) {
+    this.method = method;
+    this.path = path;
+    this.originalUrl = path;
+    this.headers = { host: "proxy.local", "user-agent": userAgent };
+    this.protocol = "http";
+  }
+
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  }
+}
+
+class MockResponse extends Writable {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.chunks = [];
+    this.headersSent = false;
+  }
+
+  _write(chunk, _encoding, callback) {
+    this.headersSent = true;
+    this.chunks.push(Buffer.from(chunk));
+    callback();
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  set(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  }
+
+  setHeader(name, value) {
+    this.set(name, value);
+  }
+
+  type(value) {
+    return this.set("content-type", value);
+  }
+
+  send(body) {
+    this.body = body;
+    return this;
+  }
+
+  get text() {
+    return this.body ?? Buffer.concat(this.chunks).toString("utf-8");
+  }
+}
+
+const createMiddleware = (overrides = {}) => {
+  const calls = { render: [], fetch: [] };
+  const middleware = createPrerenderProxy({
+    origin: "https://shop.example",
+    pageRenderer: {
+      renderResult: async (url) => {
+        calls.render.push(url);
+        return {
+          html: `<html>rendered ${url}</html>`,
+          status: 200,
+          headers: {},
+        };
+      },
+    },
+    processTracker: { track: async (fn) => fn() },
+    fetchImpl: async (url, init) => {
+      calls.fetch.push({ url: url.toString(), init });
+      return new Response("<html>origin</html>", {
+        status: 200,
+        headers: { "content-type": "text/html", connection: "keep-alive" },
+      });
+    },
+    ...overrides,
+  });
+  return { middleware, calls };
+};
+
+const run = async (middleware, req) => {
+  const res = new MockResponse();
+  let error;
+  await middleware(req, res, (err) => {
+    error = err;
+  });
+  return { res, error };
+};
+
+test("createPrerenderProxy - renders document requests from bots", async () => {
+  const { middleware, calls } = createMiddleware();
+
+  const { res } = await run(
+    middleware,
+    new MockRequest({ path: "/products/shoe?color=red", userAgent: BOT_UA })
+  );
+
+  assert.deepEqual(calls.render, [
+    "https://shop.example/products/shoe?color=red",
+  ]);
+  assert.equal(calls.fetch.length, 0);
+  assert.equal(res.headers["x-prerendered"], "1");
+  assert.match(res.text, /rendered/);
+});
+
+test("createPrerenderProxy - proxies browsers to the origin", async () => {
+  const { middleware, calls } = createMiddleware();
+
+  const { res } = await run(
+    middleware,
+    new MockRequest({ path: "/cart", userAgent: BROWSER_UA })
+  );
+
+  assert.equal(calls.render.length, 0);
+  assert.equal(calls.fetch[0].url, "https://shop.example/cart");
+  assert.equal(calls.fetch[0].init.redirect, "manual");
+  assert.equal(calls.fetch[0].init.headers.host, undefined);
+  assert.equal(calls.fetch[0].init.headers["x-forwarded-host"], "proxy.local");
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers.connection, undefined);
+  assert.equal(res.text, "<html>origin</html>");
+});
+
+test("createPrerenderProxy - proxies static assets even for bots", async () => {
+  const { middleware, calls } = createMiddleware();
+
+  await run(middleware, new MockRequest({ path: "/app.js", userAgent: BOT_UA }));
+
+  assert.equal(calls.render.length, 0);
+  assert.equal(calls.fetch.length, 1);
+});
+
+test("createPrerenderProxy - falls back to the origin when rendering fails", async () => {
+  const originalError = console.error;
+  console.error = () => {};
+  const { middleware, calls } = createMiddleware({
+    pageRenderer: {
+      renderResult: async () => {
+        throw new Error("navigation timeout");
+      },
+    },
+  });
+
+  try {
+    const { res } = await run(
+      middleware,
+      new MockRequest({ path: "/", userAgent: BOT_UA })
+    );
+
+    assert.equal(calls.fetch.length, 1);
+    assert.equal(res.text, "<html>origin</html>");
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test("createPrerenderProxy - reports 502 when the origin is unreachable", async () => {
+  const originalError = console.error;
+  console.error = () => {};
+  const { middleware } = createMiddleware({
+    fetchImpl: async () => {
+      throw new Error("ECONNREFUSED");
+    },
+  });
+
+  try {
+    const { error } = await run(
+      middleware,
+      new MockRequest({ path: "/", userAgent: BROWSER_UA })
+    );
+
+    assert.equal(error.statusCode, 502);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test("createPrerenderProxy - serves bots through the render cache", async () => {
+  const renderCache = {
+    fetch: async () => ({
+      value: { html: "<html>cached</html>", status: 200, headers: {} },
+      status: "HIT",
+    }),
+  };
+  const { middleware, calls } = createMiddleware({ renderCache });
+
+  const { res } = await run(
+    middleware,
+    new MockRequest({ path: "/", userAgent: BOT_UA })
+  );
+
+  assert.equal(calls.render.length, 0);
+  assert.equal(res.headers["x-cache"], "HIT");
+  assert.equal(res.text, "<html>cached</html>");
+});
@@ -0,0 +1,8 @@
+export {
+  compileOverlayRule,
+  createOverlayRules,
+  loadOverlayRules,
+  OverlayRules,
+  DEFAULT_OVERLAY_RULES,
+  DEFAULT_SETTLE_MS,
+} from "./overlayRules.js";
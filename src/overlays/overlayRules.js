@@ -0,0 +1,274 @@
+import {readFileSync} from "fs";
+
+export const DEFAULT_SETTLE_MS = 300;
+const MAX_SETTLE_MS = 10_000;
+
+/**
+ * Banners of common consent management platforms plus generic newsletter and
+ * modal leftovers. Rules files extend this list unless they set
+ * `includeDefaults: false`.
+ */
+export const DEFAULT_OVERLAY_RULES = [
+  {
+    id: "onetrust",
+    selectors: ["#onetrust-consent-sdk", "#onetrust-banner-sdk"],
+    click: ["#onetrust-accept-btn-handler"],
+  },
+  {
+    id: "cookiebot",
+    selectors: ["#CybotCookiebotDialog", "#CybotCookiebotDialogBodyUnderlay"],
+    click: [
+      "#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll",
+      "#CybotCookiebotDialogBodyButtonAccept",
+    ],
+  },
+  {
+    id: "didomi",
+    selectors: ["#didomi-host"],
+    click: ["#didomi-notice-agree-button"],
+  },
+  {
+    id: "quantcast",
+    selectors: [".qc-cmp2-container"],
+    click: ['.qc-cmp2-summary-buttons button[mode="primary"]'],
+  },
+  {
+    id: "trustarc",
+    selectors: [
+      "#truste-consent-track",
+      ".truste_overlay",
+      ".truste_box_overlay",
+    ],
+    click: ["#truste-consent-button"],
+  },
+  {
+    id: "cookieyes",
+    selectors: [".cky-consent-container", ".cky-overlay"],
+    click: [".cky-btn-accept"],
+  },
+  {
+    id: "osano",
+    selectors: [".osano-cm-window"],
+    click: [".osano-cm-accept-all"],
+  },
+  {
+    id: "complianz",
+    selectors: ["#cmplz-cookiebanner-container", ".cmplz-cookiebanner"],
+    click: [".cmplz-btn.cmplz-accept"],
+  },
+  {
+    id: "cookie-notice",
+    selectors: ["#cookie-notice", "#cookie-law-info-bar", ".cc-window"],
+    click: ["#cn-accept-cookie", "#cookie_action_close_header", ".cc-allow"],
+  },
+  // Shadow DOM hosts: the buttons are out of reach, the host element is not.
+  {
+    id: "usercentrics",
+    selectors: ["#usercentrics-root", "#usercentrics-cmp-ui"],
+  },
+  // Class substrings also match state classes such as `newsletter-popup-open`
+  // on <body>, so these only take elements that are overlays.
+  {
+    id: "newsletter-modal",
+    selectors: [
+      '[class*="newsletter" i][class*="popup" i]',
+      '[class*="newsletter" i][class*="modal" i]',
+    ],
+    overlayOnly: true,
+  },
+  {
+    id: "modal-backdrop",
+    selectors: [".modal-backdrop", ".fancybox-overlay", ".mfp-bg"],
+    overlayOnly: true,
+  },
+];
+
+/**
+ * Gets consent banners and modals out of the way before the DOM is captured.
+ * Every rule whose `selectors` match gets its first present `click` button
+ * clicked (accepting consent or closing the modal); after `settleMs` whatever
+ * still matches `selectors` is removed from the DOM. With `overlayOnly` a rule
+ * only matches dialogs (`<dialog>`, `role=dialog`, `aria-modal`) and fixed or
+ * sticky elements. `<html>`, `<body>` and elements wrapping the page's `<main>`
+ * are never touched, whatever the rule.
+ */
+export class OverlayRules {
+  /**
+   * @param {{rules?: OverlayRule[], settleMs?: number}} [options]
+   */
+  constructor({rules = [], settleMs = DEFAULT_SETTLE_MS} = {}) {
+    this.rules = rules;
+    this.settleMs = settleMs;
+  }
+
+  /**
+   * @param {import("puppeteer").Page} page
+   * @returns {Promise<{clicked: string[], removed: string[]}>} ids of the rules
+   *   that clicked a button or removed elements
+   */
+  async dismiss(page) {
+    if (this.rules.length === 0) {
+      return {clicked: [], removed: []};
+    }
+
+    const clicked =
+      (await page.evaluate(applyOverlayRules, this.rules, "click")) ?? [];
+    if (clicked.length > 0 && this.settleMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, this.settleMs));
+    }
+    const removed =
+      (await page.evaluate(applyOverlayRules, this.rules, "remove")) ?? [];
+    return {clicked, removed};
+  }
+}
+
+/**
+ * @typedef {{id: string, selectors: string[], click: string[], overlayOnly: boolean}} OverlayRule
+ */
+
+/**
+ * Validates a rule from the JSON config.
+ * @param {object} definition `{id?, selectors, click?, overlayOnly?}`
+ * @param {string} fallbackId
+ * @returns {OverlayRule}
+ */
+export function compileOverlayRule(definition, fallbackId) {
+  if (typeof definition !== "object" || definition === null) {
+    throw new Error(`Rule ${fallbackId} must be an object.`);
+  }
+  const {
+    id = fallbackId,
+    selectors,
+    click = [],
+    overlayOnly = false,
+  } = definition;
+  if (typeof id !== "string" || id.trim() === "") {
+    throw new Error(`Rule ${fallbackId}: "id" must be a non-empty string.`);
+  }
+  if (!isSelectorList(selectors) || selectors.length === 0) {
+    throw new Error(
+      `Rule ${id}: "selectors" must be a non-empty array of CSS selectors.`
+    );
+  }
+  if (!isSelectorList(click)) {
+    throw new Error(`Rule ${id}: "click" must be an array of CSS selectors.`);
+  }
+  if (typeof overlayOnly !== "boolean") {
+    throw new Error(`Rule ${id}: "overlayOnly" must be true or false.`);
+  }
+
+  return {
+    id,
+    selectors: selectors.map((selector) => selector.trim()),
+    click: click.map((selector) => selector.trim()),
+    overlayOnly,
+  };
+}
+
+/**
+ * Builds the rule set from a JSON config file, or the defaults when no file is set.
+ * @param {string} [file]
+ * @returns {OverlayRules}
+ * @throws {Error} when the file is unreadable or invalid.
+ */
+export function loadOverlayRules(file) {
+  if (!file) {
+    return createOverlayRules();
+  }
+
+  try {
+    return createOverlayRules(JSON.parse(readFileSync(file, "utf-8")));
+  } catch (error) {
+    throw new Error(`[overlayRules] ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {{includeDefaults?: boolean, settleMs?: number, rules?: object[]}} [config]
+ * @returns {OverlayRules}
+ */
+export function createOverlayRules(config) {
+  const {
+    includeDefaults = true,
+    settleMs = DEFAULT_SETTLE_MS,
+    rules = [],
+  } = config ?? {};
+  if (typeof includeDefaults !== "boolean") {
+    throw new Error('"includeDefaults" must be true or false.');
+  }
+  if (!Number.isInteger(settleMs) || settleMs < 0 || settleMs > MAX_SETTLE_MS) {
+    throw new Error(
+      `"settleMs" must be an integer between 0 and ${MAX_SETTLE_MS}.`
+    );
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('"rules" must be an array.');
+  }
+
+  const compiled = rules.map((rule, index) =>
+    compileOverlayRule(rule, `rule-${index + 1}`)
+  );
+  // A rule with a default's id replaces that default.
+  const ids = new Set(compiled.map((rule) => rule.id));
+  const defaults = includeDefaults
+    ? DEFAULT_OVERLAY_RULES.filter((rule) => !ids.has(rule.id)).map((rule) =>
+        compileOverlayRule(rule, rule.id)
+      )
+    : [];
+  return new OverlayRules({rules: [...defaults, ...compiled], settleMs});
+}
+
+function isSelectorList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((selector) => typeof selector === "string" && selector.trim())
+  );
+}
+
+// Runs inside the page and must stay self-contained. Clicks the first button of
+// every rule whose overlay is shown, or removes what the rules still match, and
+// returns the ids of the rules that did something. Selectors the page's engine
+// rejects are skipped rather than failing the rule.
+function applyOverlayRules(rules, action) {
+  const query = (selector, root = document) => {
+    try {
+      return Array.from(root.querySelectorAll(selector));
+    } catch {
+      return [];
+    }
+  };
+  const main = document.querySelector("main, [role='main']");
+  const isProtected = (element) =>
+    element === document.documentElement ||
+    element === document.body ||
+    Boolean(main && element.contains(main));
+  const isOverlay = (element) =>
+    element.matches("dialog, [role='dialog'], [role='alertdialog']") ||
+    element.getAttribute("aria-modal") === "true" ||
+    ["fixed", "sticky"].includes(
+      document.defaultView.getComputedStyle(element).position
+    );
+  const overlaysOf = (rule) =>
+    rule.selectors
+      .flatMap((selector) => query(selector))
+      .filter(
+        (element) =>
+          !isProtected(element) && (!rule.overlayOnly || isOverlay(element))
+      );
+
+  return rules
+    .filter((rule) => {
+      const overlays = overlaysOf(rule);
+      if (action === "remove") {
+        overlays.forEach((element) => element.remove());
+        return overlays.length > 0;
+      }
+      if (overlays.length === 0) {
+        return false;
+      }
+      const button = rule.click.flatMap((selector) => query(selector))[0];
+      button?.click();
+      return Boolean(button);
+    })
+    .map((rule) => rule.id);
+}
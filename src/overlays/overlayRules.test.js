@@ -0,0 +1,170 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { promises as fs } from "fs";
+import path from "path";
+import { JSDOM } from "jsdom";
+import {
+  createOverlayRules,
+  DEFAULT_OVERLAY_RULES,
+  loadOverlayRules,
+} from "./overlayRules.js";
+
+const tmpDir = path.join(
+  import.meta.dirname,
+  "..",
+  "..",
+  "tmp",
+  "overlay-rules-tests"
+);
+
+// Runs the in-page functions against a jsdom document.
+const createPage = (html) => {
+  const { window } = new JSDOM(html);
+  return {
+    document: window.document,
+    evaluate: async (fn, ...args) => {
+      const previous = globalThis.document;
+      globalThis.document = window.document;
+      try {
+        return fn(...args);
+      } finally {
+        globalThis.document = previous;
+      }
+    },
+  };
+};
+
+test("loadOverlayRules - defaults click consent buttons and remove the banner", async () => {
+  const page = createPage(`
+    <main>Catalog</main>
+    <div id="onetrust-consent-sdk">
+      <div id="onetrust-banner-sdk">
+        <button id="onetrust-accept-btn-handler">Accept</button>
+      </div>
+    </div>
+    <div class="modal-backdrop" style="position: fixed"></div>`);
+  let accepted = false;
+  page.document
+    .querySelector("#onetrust-accept-btn-handler")
+    .addEventListener("click", () => {
+      accepted = true;
+    });
+  const rules = loadOverlayRules();
+  rules.settleMs = 0;
+
+  const result = await rules.dismiss(page);
+
+  assert.equal(accepted, true);
+  assert.deepEqual(result, {
+    clicked: ["onetrust"],
+    removed: ["onetrust", "modal-backdrop"],
+  });
+  assert.equal(
+    page.document.body.innerHTML.replace(/\s+/g, ""),
+    "<main>Catalog</main>"
+  );
+});
+
+test("loadOverlayRules - generic rules only remove overlays, never the page", async () => {
+  const page = createPage(`
+    <body class="newsletter-popup-open newsletter-modal-active">
+      <div class="page newsletter-popup-visible"><main>Catalog</main></div>
+      <section class="newsletter-popup-teaser">Sign up in the footer</section>
+      <div class="newsletter-popup" style="position: fixed">Subscribe!</div>
+      <div class="newsletter-modal" role="dialog">Subscribe!</div>
+    </body>`);
+  const rules = loadOverlayRules();
+  rules.settleMs = 0;
+
+  const result = await rules.dismiss(page);
+
+  assert.deepEqual(result, { clicked: [], removed: ["newsletter-modal"] });
+  assert.ok(page.document.body);
+  assert.ok(page.document.querySelector(".page main"));
+  assert.ok(page.document.querySelector(".newsletter-popup-teaser"));
+  assert.doesNotMatch(page.document.body.innerHTML, /Subscribe!/);
+});
+
+test("createOverlayRules - never removes html, body or wrappers of main", async () => {
+  const rules = createOverlayRules({
+    includeDefaults: false,
+    settleMs: 0,
+    rules: [{ id: "too-broad", selectors: ["html", "body", ".page"] }],
+  });
+  const page = createPage(`<div class="page"><main>Catalog</main></div>`);
+
+  const result = await rules.dismiss(page);
+
+  assert.deepEqual(result, { clicked: [], removed: [] });
+  assert.match(page.document.documentElement.outerHTML, /Catalog/);
+});
+
+test("createOverlayRules - extends the defaults and skips invalid selectors", async () => {
+  const rules = createOverlayRules({
+    settleMs: 0,
+    rules: [
+      {
+        id: "shop-newsletter",
+        selectors: ["#signup-popup", "div[[broken"],
+        click: ["#signup-popup .close"],
+      },
+      { id: "modal-backdrop", selectors: [".overlay-shade"] },
+    ],
+  });
+  const page = createPage(`
+    <div id="signup-popup"><button class="close">x</button></div>
+    <div class="modal-backdrop">kept</div>`);
+
+  const result = await rules.dismiss(page);
+
+  assert.equal(rules.rules.length, DEFAULT_OVERLAY_RULES.length + 1);
+  assert.deepEqual(result, {
+    clicked: ["shop-newsletter"],
+    removed: ["shop-newsletter"],
+  });
+  // The file's "modal-backdrop" replaced the default one.
+  assert.ok(page.document.querySelector(".modal-backdrop"));
+});
+
+test("createOverlayRules - can drop the defaults", async () => {
+  const rules = createOverlayRules({ includeDefaults: false });
+  let evaluated = false;
+
+  const result = await rules.dismiss({
+    evaluate: async () => {
+      evaluated = true;
+    },
+  });
+
+  assert.deepEqual(result, { clicked: [], removed: [] });
+  assert.equal(evaluated, false);
+});
+
+test("createOverlayRules - rejects invalid config", () => {
+  const invalid = [
+    [{ includeDefaults: "no" }, /"includeDefaults"/],
+    [{ settleMs: -1 }, /"settleMs"/],
+    [{ rules: {} }, /"rules" must be an array/],
+    [{ rules: [{ id: "a" }] }, /Rule a: "selectors"/],
+    [{ rules: [{ selectors: ["#a"], click: "#b" }] }, /Rule rule-1: "click"/],
+    [
+      { rules: [{ selectors: ["#a"], overlayOnly: "yes" }] },
+      /Rule rule-1: "overlayOnly"/,
+    ],
+  ];
+
+  invalid.forEach(([config, message]) => {
+    assert.throws(() => createOverlayRules(config), message);
+  });
+});
+
+test("loadOverlayRules - names the file on errors", async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+  const file = path.join(tmpDir, "invalid.json");
+  await fs.writeFile(file, JSON.stringify({ rules: [{ id: "empty" }] }));
+
+  assert.throws(
+    () => loadOverlayRules(file),
+    /\[overlayRules\] .*invalid\.json: Rule empty: "selectors"/
+  );
+});
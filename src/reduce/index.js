@@ -56,7 +56,8 @@ const VOID_ELEMENTS_SELECTOR =
 const STRIP_CSS = String(process.env.STRIP_CSS ?? "").toLowerCase() === "true";
 
 class HtmlCleaner {
-  clean(documentHtml, parsedURL) {
+  clean(documentHtml, parsedURL, options = {}) {
+    const stripCss = options.stripCss ?? STRIP_CSS;
     if (typeof documentHtml !== "string") {
       return "";
     }
@@ -65,10 +66,10 @@ class HtmlCleaner {
       return "";
     }
     // JSDOM spends most of the time parsing large inline stylesheets. When we
-    // know we'll strip CSS anyway (STRIP_CSS=true), remove them before
+    // know we'll strip CSS anyway (STRIP_CSS or stripCss), remove them before
     // constructing the DOM to keep processing fast and avoid timeouts.
     const sanitized =
-      STRIP_CSS
+      stripCss
         ? trimmed
             .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, "")
             .replace(/<link[^>]*rel=["']stylesheet["'][^>]*>/gi, "")
@@ -80,8 +81,8 @@ class HtmlCleaner {
       logger.info("Remove comments");
       this.removeComments(document);
       if (document.body) {
-        if (STRIP_CSS) {
-          logger.info("Strip CSS tags (STRIP_CSS=true)");
+        if (stripCss) {
+          logger.info("Strip CSS tags");
           this.stripCssTags(document);
         }
         logger.info("Strip disallowed tags");
@@ -314,7 +315,8 @@ const htmlCleaner = new HtmlCleaner();
 /**
  * Produces a lightweight HTML snapshot backed by a DOM generated via jsdom,
  * normalizing redundant whitespace so downstream consumers can parse it easily.
+ * @param {{stripCss?: boolean}} [options] overrides STRIP_CSS for a single call
  */
-export function cleanHTML(documentHtml, parsedURL) {
-  return htmlCleaner.clean(documentHtml, parsedURL);
+export function cleanHTML(documentHtml, parsedURL, options) {
+  return htmlCleaner.clean(documentHtml, parsedURL, options);
 }
@@ -274,6 +274,32 @@ test("respects STRIP_CSS environment variable", () => {
   }
 });
 
+test("stripCss option overrides STRIP_CSS for a single call", () => {
+  const html = `
+    <html>
+      <head>
+        <style>body { color: red; }</style>
+        <link rel="stylesheet" href="style.css">
+      </head>
+      <body><p>content</p></body>
+    </html>
+  `;
+  const parsedUrl = new URL("https://example.com/products/1");
+
+  const stripped = new JSDOM(
+    cleanHTML(html, parsedUrl, { stripCss: true })
+  ).window.document;
+  const kept = new JSDOM(
+    cleanHTML(html, parsedUrl, { stripCss: false })
+  ).window.document;
+
+  assert.equal(
+    stripped.querySelectorAll("style, link[rel='stylesheet']").length,
+    0
+  );
+  assert.equal(kept.querySelectorAll("style").length, 1);
+});
+
 test("handles empty input gracefully", () => {
   const { cleaned: emptyString } = parseCleanedDocument("", null);
   assert.equal(emptyString, "", "expected empty string to return empty string");
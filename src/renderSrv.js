@@ -1,7 +1,12 @@
-import {bootstrapApp} from "./app.js";
+import {bootstrapApp, bootstrapProxyApp} from "./app.js";
+import {createRenderCache} from "./cache/index.js";
+import {proxyConfig} from "./config/proxyConfig.js";
+import {renderConfig} from "./config/renderConfig.js";
 import {serverConfig} from "./config/serverConfig.js";
 import {logger} from "./services/logger.js";
+import {PageRenderer} from "./services/pageRenderer.js";
 import {ProcessTracker} from "./utils/processTracker.js";
+import {UrlPolicy} from "./utils/urlPolicy.js";
 
 const nativeConsole = {
   log: console.log.bind(console),
@@ -24,7 +29,27 @@ function redirectConsoleToLogger() {
 
 redirectConsoleToLogger();
 
-const processTracker = new ProcessTracker(serverConfig.tmpDir);
+const processTracker = new ProcessTracker(serverConfig.tmpDir, renderConfig.queue);
+const pageRenderer = new PageRenderer();
+// The proxy origin usually sits on a private address; rendering it is the point
+// of the proxy, so only the proxy's renderer may reach it. It shares the browser
+// pool and rules of the API's renderer.
+const proxyRenderer = proxyConfig.origin
+  ? new PageRenderer({
+      browserPool: pageRenderer.browserPool,
+      blockingRules: pageRenderer.blockingRules,
+      profiles: pageRenderer.profiles,
+      overlayRules: pageRenderer.overlayRules,
+      urlPolicy: new UrlPolicy({
+        ...renderConfig.urlPolicy,
+        allowHosts: [
+          ...renderConfig.urlPolicy.allowHosts,
+          new URL(proxyConfig.origin).hostname,
+        ],
+      }),
+    })
+  : undefined;
+const renderCache = createRenderCache(renderConfig.cache);
 
 // Initialize process tracker to ensure clean state on startup
 processTracker.initialize().catch((error) => {
@@ -37,12 +62,17 @@ const shutdown = async (signal) => {
   console.log(`\n${signal} received, shutting down gracefully...`);
   try {
     await processTracker.finish();
-    server.close(() => {
+    await pageRenderer.close();
+    proxyServer?.close();
+    server.close(async () => {
       console.log("Server closed");
+      // Buffered entries would be lost on exit.
+      await logger.flush();
       process.exit(0);
     });
   } catch (error) {
     console.error("Error during shutdown:", error);
+    await logger.flush();
     process.exit(1);
   }
 };
@@ -52,15 +82,19 @@ process.on("SIGINT", () => shutdown("SIGINT"));
 process.on("uncaughtException", async (error) => {
   console.error("Uncaught exception:", error);
   await processTracker.finish().catch(() => {});
+  await pageRenderer.close().catch(() => {});
+  await logger.flush();
   process.exit(1);
 });
 process.on("unhandledRejection", async (reason) => {
   console.error("Unhandled rejection:", reason);
   await processTracker.finish().catch(() => {});
+  await pageRenderer.close().catch(() => {});
+  await logger.flush();
   process.exit(1);
 });
 
-const app = bootstrapApp(processTracker);
+const app = bootstrapApp(processTracker, pageRenderer, renderCache);
 
 const server = app.listen(serverConfig.port, serverConfig.host, () => {
   console.log(
@@ -69,3 +103,16 @@ const server = app.listen(serverConfig.port, serverConfig.host, () => {
 });
 
 server.setTimeout(serverConfig.timeoutMs);
+
+// Reverse-proxy prerender mode: bots get rendered HTML, everyone else the origin.
+const proxyServer = proxyConfig.origin
+  ? bootstrapProxyApp(processTracker, proxyRenderer, renderCache).listen(
+      proxyConfig.port,
+      proxyConfig.host,
+      () => {
+        console.log(
+          `Prerender proxy for ${proxyConfig.origin} listening on http://${proxyConfig.host}:${proxyConfig.port}`
+        );
+      }
+    )
+  : undefined;
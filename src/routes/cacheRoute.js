@@ -0,0 +1,51 @@
+import {Router} from "express";
+import {RenderCache} from "../cache/index.js";
+import {ValidationError} from "../errors/validationError.js";
+import {normalizeHttpUrl} from "../utils/url.js";
+
+/**
+ * Purge endpoints for the render cache: DELETE /cache?url= drops every cached
+ * variant of one URL, DELETE /cache?prefix= drops all URLs starting with the prefix.
+ * @param {RenderCache} renderCache
+ */
+export const createCacheRouter = (renderCache) => {
+  const router = Router();
+
+  router.delete(
+    "/cache",
+    async (req, res, next) => {
+      try {
+        const {url, prefix} = req.query ?? {};
+        if ((url === undefined) === (prefix === undefined)) {
+          throw new ValidationError(
+            "Provide exactly one of the 'url' or 'prefix' query parameters."
+          );
+        }
+
+        const purged =
+          url !== undefined
+            ? await renderCache.purgeUrl(normalizeHttpUrl(url))
+            : await renderCache.purgePrefix(normalizePrefix(prefix));
+        res.status(200).json({purged});
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  return router;
+};
+
+function normalizePrefix(prefix) {
+  if (typeof prefix !== "string" || !/^https?:\/\/[^/]+/i.test(prefix.trim())) {
+    throw new ValidationError(
+      "Field 'prefix' must start with an HTTP(S) origin, e.g. https://example.com/products/."
+    );
+  }
+
+  // Normalize the origin part (case, default ports) the same way rendered URLs are stored.
+  const trimmed = prefix.trim();
+  const origin = new URL(trimmed).origin;
+  const rest = trimmed.slice(trimmed.match(/^https?:\/\/[^/]+/i)[0].length);
+  return `${origin}${rest || "/"}`;
+}
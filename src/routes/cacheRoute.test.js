@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { createCacheRouter } from "./cacheRoute.js";
+import { ValidationError } from "../errors/validationError.js";
+
+class MockRenderCache {
+  constructor() {
+    this.purgedUrls = [];
+    this.purgedPrefixes = [];
+  }
+
+  async purgeUrl(url) {
+    this.purgedUrls.push(url);
+    return 2;
+  }
+
+  async purgePrefix(prefix) {
+    this.purgedPrefixes.push(prefix);
+    return 5;
+  }
+}
+
+class MockResponse {
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  json(data) {
+    this.data = data;
+    return this;
+  }
+}
+
+const purge = async (query) => {
+  const renderCache = new MockRenderCache();
+  const router = createCacheRouter(renderCache);
+  const handler = router.stack[0].route.stack[0].handle;
+  const res = new MockResponse();
+  let error;
+
+  await handler({ query }, res, (err) => {
+    error = err;
+  });
+
+  return { renderCache, res, error };
+};
+
+test("createCacheRouter - registers DELETE /cache", () => {
+  const router = createCacheRouter(new MockRenderCache());
+
+  assert.equal(router.stack[0].route.path, "/cache");
+  assert.ok(router.stack[0].route.methods.delete);
+});
+
+test("createCacheRouter - purges a normalized URL", async () => {
+  const { renderCache, res } = await purge({ url: "https://Example.com" });
+
+  assert.deepEqual(renderCache.purgedUrls, ["https://example.com/"]);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.data, { purged: 2 });
+});
+
+test("createCacheRouter - purges by prefix with a normalized origin", async () => {
+  const { renderCache, res } = await purge({
+    prefix: "HTTPS://Example.com:443/products/",
+  });
+
+  assert.deepEqual(renderCache.purgedPrefixes, [
+    "https://example.com/products/",
+  ]);
+  assert.deepEqual(res.data, { purged: 5 });
+});
+
+test("createCacheRouter - requires exactly one of url or prefix", async () => {
+  const none = await purge({});
+  const both = await purge({
+    url: "https://example.com/",
+    prefix: "https://example.com/",
+  });
+
+  assert.ok(none.error instanceof ValidationError);
+  assert.ok(both.error instanceof ValidationError);
+});
+
+test("createCacheRouter - rejects prefixes without an origin", async () => {
+  const { error } = await purge({ prefix: "/products/" });
+
+  assert.ok(error instanceof ValidationError);
+});
@@ -0,0 +1,43 @@
+import {Router} from "express";
+import {renderConfig} from "../config/renderConfig.js";
+import {checkReadiness} from "../services/healthCheck.js";
+
+/**
+ * GET /healthz answers as long as the process serves requests; GET /readyz
+ * answers 503 unless renders can succeed (see checkReadiness).
+ * @param {import("../services/pageRenderer.js").PageRenderer} pageRenderer
+ * @param {import("../utils/processTracker.js").ProcessTracker} processTracker
+ * @param {{timeoutMs?: number, logger?: {checkWritable: () => Promise<void>}}} [options]
+ */
+export const createHealthRouter = (
+  pageRenderer,
+  processTracker,
+  {timeoutMs = renderConfig.health.timeoutMs, logger} = {}
+) => {
+  const router = Router();
+
+  router.get("/healthz", (_req, res) => {
+    res.status(200).json({status: "ok"});
+  });
+
+  router.get(
+    "/readyz",
+    async (_req, res, next) => {
+      try {
+        const {ready, checks} = await checkReadiness({
+          pageRenderer,
+          processTracker,
+          logger,
+          timeoutMs,
+        });
+        res
+          .status(ready ? 200 : 503)
+          .json({status: ready ? "ready" : "unavailable", checks});
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  return router;
+};
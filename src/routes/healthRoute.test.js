@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { createHealthRouter } from "./healthRoute.js";
+
+const findHandler = (router, path, method) =>
+  router.stack.find(
+    (layer) => layer.route?.path === path && layer.route.methods[method]
+  ).route.stack[0].handle;
+
+class MockResponse {
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  json(data) {
+    this.data = data;
+    return this;
+  }
+}
+
+const createRouter = ({ browserProbe = async () => {} } = {}) =>
+  createHealthRouter(
+    { browserPool: { probe: browserProbe } },
+    { checkWritable: async () => {} },
+    { timeoutMs: 1000, logger: { checkWritable: async () => {} } }
+  );
+
+test("createHealthRouter GET /healthz - answers while the process runs", async () => {
+  const res = new MockResponse();
+
+  await findHandler(createRouter(), "/healthz", "get")({}, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.data, { status: "ok" });
+});
+
+test("createHealthRouter GET /readyz - 200 when renders can succeed", async () => {
+  const res = new MockResponse();
+
+  await findHandler(createRouter(), "/readyz", "get")({}, res, assert.fail);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.data.status, "ready");
+  assert.equal(res.data.checks.browser.ok, true);
+});
+
+test("createHealthRouter GET /readyz - 503 when Chromium cannot start", async () => {
+  const router = createRouter({
+    browserProbe: async () => {
+      throw new Error("Failed to launch the browser process");
+    },
+  });
+  const res = new MockResponse();
+
+  await findHandler(router, "/readyz", "get")({}, res, assert.fail);
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.data.status, "unavailable");
+  assert.match(res.data.checks.browser.error, /Failed to launch/);
+});
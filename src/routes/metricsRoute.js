@@ -0,0 +1,33 @@
+import {Router} from "express";
+import {metricsRegistry, renderMetrics} from "../metrics/index.js";
+import {ProcessTracker} from "../utils/processTracker.js";
+
+/**
+ * GET /metrics in the Prometheus text format. Queue gauges are sampled on each
+ * scrape; everything else is counted as it happens.
+ * @param {ProcessTracker} processTracker
+ * @param {import("../metrics/index.js").MetricsRegistry} [registry]
+ */
+export const createMetricsRouter = (
+  processTracker,
+  registry = metricsRegistry
+) => {
+  const router = Router();
+
+  router.get("/metrics", async (_req, res, next) => {
+    try {
+      const {queued, running} = processTracker.getStats();
+      renderMetrics.queueJobs.set({state: "queued"}, queued);
+      renderMetrics.queueJobs.set({state: "running"}, running);
+
+      res
+        .type("text/plain; version=0.0.4; charset=utf-8")
+        .status(200)
+        .send(registry.render());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { createMetricsRouter } from "./metricsRoute.js";
+import { MetricsRegistry } from "../metrics/index.js";
+
+const findHandler = (router, path, method) =>
+  router.stack.find(
+    (layer) => layer.route?.path === path && layer.route.methods[method]
+  ).route.stack[0].handle;
+
+test("createMetricsRouter GET /metrics - samples the queue and renders the registry", async () => {
+  const registry = new MetricsRegistry();
+  registry.counter("example_total", "Example.");
+  const router = createMetricsRouter(
+    { getStats: () => ({ queued: 3, running: 1 }) },
+    registry
+  );
+
+  const res = {
+    type(value) {
+      this.contentType = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let error;
+
+  await findHandler(router, "/metrics", "get")({}, res, (err) => {
+    error = err;
+  });
+
+  assert.equal(error, undefined);
+  assert.equal(res.statusCode, 200);
+  assert.match(res.contentType, /^text\/plain; version=0\.0\.4/);
+  assert.match(res.body, /^example_total 0$/m);
+});
+
+test("createMetricsRouter GET /metrics - exposes the render metrics by default", async () => {
+  const router = createMetricsRouter({
+    getStats: () => ({ queued: 2, running: 1 }),
+  });
+  const res = {
+    type: () => res,
+    status: () => res,
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+
+  await findHandler(router, "/metrics", "get")({}, res, () => {});
+
+  assert.match(res.body, /^page_render_queue_jobs\{state="queued"\} 2$/m);
+  assert.match(res.body, /^page_render_queue_jobs\{state="running"\} 1$/m);
+  assert.match(
+    res.body,
+    /# TYPE page_render_render_duration_seconds histogram/
+  );
+});
@@ -1,18 +1,90 @@
-import {Router} from "express";
+import {randomUUID} from "crypto";
+import express, {Router} from "express";
+import path from "path";
+import {renderConfig} from "../config/renderConfig.js";
+import {HttpError} from "../errors/httpError.js";
+import {RateLimitError} from "../errors/rateLimitError.js";
+import {ValidationError} from "../errors/validationError.js";
+import {parseBatchInput, renderBatch} from "../services/batchRenderer.js";
+import {sendJobCallback} from "../services/jobCallback.js";
+import {JobStore} from "../services/jobStore.js";
+import {withLogContext} from "../services/logger.js";
 import {PageRenderer} from "../services/pageRenderer.js";
+import {crawlSitemap} from "../services/sitemapCrawler.js";
 import {normalizeHttpUrl} from "../utils/url.js";
 import {ProcessTracker} from "../utils/processTracker.js";
+import {parseRenderOptions} from "../utils/renderOptions.js";
 
-export const createRenderRouter = (pageRenderer, processTracker) => {
+/**
+ * @param {PageRenderer} pageRenderer
+ * @param {ProcessTracker} processTracker
+ * @param {JobStore} [jobStore]
+ * @param {import("../cache/index.js").RenderCache} [renderCache] serves /render from cache when set
+ */
+export const createRenderRouter = (
+  pageRenderer,
+  processTracker,
+  jobStore = new JobStore(),
+  renderCache
+) => {
   const router = Router();
 
+  const sendRender = async (req, params, res) => {
+    const requestId = resolveRequestId(req);
+    res.set("X-Request-Id", requestId);
+
+    // apiKey is the query string credential read by the auth middleware.
+    const {url: rawUrl, apiKey: _apiKey, ...rawOptions} = params ?? {};
+    const url = normalizeHttpUrl(rawUrl);
+    const options = parseRenderOptions(rawOptions);
+    // The log context is entered inside the queued function because the queue
+    // may start it from another request's async context.
+    const renderPage = () =>
+      processTracker.track(
+        () =>
+          withLogContext({requestId, url}, () =>
+            pageRenderer.renderResult(url, options)
+          ),
+        {url}
+      );
+
+    // The cache may hold renders of hosts only the proxy's renderer may reach.
+    await pageRenderer.urlPolicy.assertAllowed(url);
+
+    let result;
+    const release = acquireRenderSlot(req);
+    try {
+      if (renderCache) {
+        const cached = await renderCache.fetch(url, options, renderPage);
+        result = cached.value;
+        res.set("X-Cache", cached.status);
+      } else {
+        result = await renderPage();
+      }
+    } finally {
+      release();
+    }
+
+    setRedirectHeaders(res, result);
+    setMetricsHeaders(res, result.metrics);
+    // The JSON envelope describes the render, so the page status goes in the body.
+    if (options.format === "json") {
+      res.status(200).json(toJsonOutput(url, result));
+      return;
+    }
+
+    // Upstream status and prerender-header values are passed through as-is.
+    if (Object.keys(result.headers).length > 0) {
+      res.set(result.headers);
+    }
+    res.type("text/html").status(result.status).send(result.html);
+  };
+
   router.get(
     "/render",
     async (req, res, next) => {
       try {
-        const url = normalizeHttpUrl(req.query?.url);
-        const html = await processTracker.track(() => pageRenderer.render(url));
-        res.type("text/html").status(200).send(html);
+        await sendRender(req, req.query, res);
       } catch (error) {
         next(error);
       }
@@ -24,7 +96,174 @@ export const createRenderRouter = (pageRenderer, processTracker) => {
     async (_req, res, next) => {
       try {
         const progress = await processTracker.getProgress();
-        res.status(200).json({progress});
+        res.status(200).json({progress, ...processTracker.getStats()});
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.post(
+    "/render/batch",
+    async (req, res, next) => {
+      let inputs;
+      let slots;
+      try {
+        inputs = parseBatchInput(req.body, renderConfig.batch.maxUrls);
+        req.apiClient?.admitPages(inputs.length);
+        slots = acquireBatchSlots(req);
+      } catch (error) {
+        next(error);
+        return;
+      }
+
+      // Results are streamed as NDJSON in completion order; each line carries its input index.
+      res.status(200).type("application/x-ndjson");
+      const writeLine = (line) => res.write(`${JSON.stringify(line)}\n`);
+      try {
+        const summary = await renderBatch(inputs, {
+          pageRenderer,
+          processTracker,
+          concurrency: slots.count,
+          onResult: writeLine,
+          shouldStop: () => Boolean(res.destroyed),
+        });
+        writeLine({done: true, ...summary});
+      } catch (error) {
+        console.error("Batch render aborted:", error);
+        writeLine({done: false, error: "Batch aborted"});
+      } finally {
+        slots.release();
+        res.end();
+      }
+    }
+  );
+
+  router.post(
+    "/crawl",
+    express.raw({type: SITEMAP_UPLOAD_TYPES, limit: "50mb"}),
+    async (req, res, next) => {
+      let crawlRequest;
+      let slots;
+      try {
+        crawlRequest = parseCrawlRequest(req);
+        slots = acquireBatchSlots(req);
+      } catch (error) {
+        next(error);
+        return;
+      }
+
+      const writeLine = (line) => res.write(`${JSON.stringify(line)}\n`);
+      try {
+        const summary = await crawlSitemap({
+          ...crawlRequest,
+          pageRenderer,
+          processTracker,
+          maxUrls: renderConfig.crawl.maxUrls,
+          concurrency: slots.count,
+          beforeRender: (urls) => req.apiClient?.admitPages(urls.length),
+          onResult: (result) => {
+            if (!res.headersSent) {
+              res.status(200).type("application/x-ndjson");
+            }
+            writeLine(result);
+          },
+          shouldStop: () => Boolean(res.destroyed),
+        });
+        if (!res.headersSent) {
+          res.status(200).type("application/x-ndjson");
+        }
+        writeLine({done: true, ...summary});
+        res.end();
+      } catch (error) {
+        if (!res.headersSent) {
+          next(
+            error instanceof RateLimitError || error instanceof ValidationError
+              ? error
+              : new HttpError(
+                  422,
+                  `Sitemap could not be crawled: ${error.message}`
+                )
+          );
+          return;
+        }
+        console.error("Sitemap crawl aborted:", error);
+        writeLine({done: false, error: "Crawl aborted"});
+        res.end();
+      } finally {
+        slots.release();
+      }
+    }
+  );
+
+  router.post(
+    "/jobs",
+    async (req, res, next) => {
+      try {
+        const {url: rawUrl, callbackUrl: rawCallbackUrl, ...rawOptions} =
+          isPlainObject(req.body) ? req.body : {};
+        const url = normalizeHttpUrl(rawUrl);
+        const callbackUrl =
+          rawCallbackUrl === undefined
+            ? undefined
+            : normalizeHttpUrl(rawCallbackUrl, "callbackUrl");
+        const options = parseRenderOptions(rawOptions);
+        if (options.format !== undefined) {
+          throw new ValidationError(
+            "Field 'format' is only supported by /render; job results are HTML."
+          );
+        }
+        const release = acquireRenderSlot(req);
+        const job = jobStore.create({url, callbackUrl, options});
+
+        // Not awaited: the client polls /jobs/:id or waits for the callback.
+        runRenderJob(job, {pageRenderer, processTracker, jobStore}).finally(
+          release
+        );
+
+        res.status(202).json(jobStore.describe(job));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.get(
+    "/jobs/:id",
+    async (req, res, next) => {
+      try {
+        const job = findJob(jobStore, req.params?.id);
+        res.status(200).json(jobStore.describe(job));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.get(
+    "/jobs/:id/result",
+    async (req, res, next) => {
+      try {
+        const job = findJob(jobStore, req.params?.id);
+        if (job.status !== "completed") {
+          throw new HttpError(409, `Job ${job.id} is ${job.status}.`);
+        }
+        res.type("text/html").status(200).send(job.html);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Same as GET /render, for option sets that are awkward in a query string.
+  router.post(
+    "/render",
+    async (req, res, next) => {
+      try {
+        if (!isPlainObject(req.body)) {
+          throw new ValidationError("Body must be a JSON object.");
+        }
+        await sendRender(req, req.body, res);
       } catch (error) {
         next(error);
       }
@@ -33,3 +272,188 @@ export const createRenderRouter = (pageRenderer, processTracker) => {
 
   return router;
 };
+
+const SITEMAP_UPLOAD_TYPES = [
+  "application/xml",
+  "text/xml",
+  "application/gzip",
+  "application/x-gzip",
+];
+const CRAWL_NAME_PATTERN = /^[\w.-]{1,100}$/;
+const REQUEST_ID_PATTERN = /^[\w.:@-]{1,128}$/;
+
+/**
+ * Reads the sitemap source from an uploaded XML/gzip body or a JSON `sitemapUrl`,
+ * plus the optional `since` lastmod filter and run `name` (body or query string).
+ */
+function parseCrawlRequest(req) {
+  const isUpload = Buffer.isBuffer(req.body);
+  const params = isUpload ? req.query ?? {} : {...req.query, ...req.body};
+
+  const source = isUpload
+    ? {content: req.body}
+    : {url: normalizeHttpUrl(params.sitemapUrl, "sitemapUrl")};
+
+  let since;
+  if (params.since !== undefined && params.since !== "") {
+    since = new Date(params.since);
+    if (Number.isNaN(since.getTime())) {
+      throw new ValidationError("Field 'since' must be an ISO 8601 date.");
+    }
+  }
+
+  const name = params.name ?? new Date().toISOString().replace(/[:.]/g, "-");
+  if (
+    typeof name !== "string" ||
+    !CRAWL_NAME_PATTERN.test(name) ||
+    /^\.+$/.test(name)
+  ) {
+    throw new ValidationError(
+      "Field 'name' may only contain letters, digits, '.', '_' and '-', and not only dots."
+    );
+  }
+
+  // Belt and braces: the run directory must be a child of the crawl root.
+  const root = path.resolve(renderConfig.crawl.outputDir);
+  const outputDir = path.resolve(root, name);
+  if (path.dirname(outputDir) !== root) {
+    throw new ValidationError("Field 'name' must name a directory.");
+  }
+
+  return {source, since, outputDir};
+}
+
+/**
+ * Correlates the log entries of one /render call: the caller's `X-Request-Id`
+ * when it is a sane token, a fresh UUID otherwise.
+ */
+function resolveRequestId(req) {
+  const header = req.get?.("x-request-id")?.trim();
+  return header && REQUEST_ID_PATTERN.test(header) ? header : randomUUID();
+}
+
+/**
+ * Takes one of the caller's concurrent render slots before anything is queued,
+ * so an API key over its quota gets a 429 instead of a place in the queue.
+ * Unauthenticated servers have no quotas.
+ * @returns {() => void} gives the slot back
+ * @throws {import("../errors/rateLimitError.js").RateLimitError}
+ */
+function acquireRenderSlot(req) {
+  return req.apiClient?.acquireSlot() ?? (() => {});
+}
+
+/**
+ * Batches and crawls hold one of the API key's slots per render they keep in
+ * flight, up to BATCH_CONCURRENCY, so they cannot exceed its quota either.
+ */
+function acquireBatchSlots(req) {
+  const {concurrency} = renderConfig.batch;
+  return (
+    req.apiClient?.acquireSlots(concurrency) ?? {
+      count: concurrency,
+      release: () => {},
+    }
+  );
+}
+
+/**
+ * Body of `format=json` renders: the cleaned HTML next to the data extracted from
+ * it, so consumers do not have to parse the HTML again.
+ */
+function toJsonOutput(url, result) {
+  const {html, status, headers, finalUrl, redirects, metrics, data} = result;
+  return {
+    url,
+    finalUrl,
+    status,
+    headers,
+    redirects,
+    html,
+    ...data,
+    metrics,
+  };
+}
+
+/**
+ * `X-Final-Url` names the document that was rendered and `X-Redirect-Chain` lists
+ * the hops before it as `STATUS URL`, comma separated. Cache entries written
+ * before redirects were tracked carry neither.
+ */
+function setRedirectHeaders(res, {finalUrl, redirects = []}) {
+  if (finalUrl) {
+    res.set("X-Final-Url", finalUrl);
+  }
+  if (redirects.length > 0) {
+    res.set(
+      "X-Redirect-Chain",
+      redirects
+        .map(({status, url}) => `${status} ${url.replaceAll(",", "%2C")}`)
+        .join(", ")
+    );
+  }
+}
+
+/**
+ * Describes the render: `Server-Timing` carries the per-phase durations, the
+ * X-Render-* headers request counts, byte sizes and the JSON-LD source. Cache hits
+ * describe the render that produced the entry.
+ */
+function setMetricsHeaders(res, metrics) {
+  if (!metrics) {
+    return;
+  }
+
+  const {timings, requests, upstreamStatus, bytes, jsonLdSource} = metrics;
+  res.set(
+    "Server-Timing",
+    Object.entries(timings)
+      .map(([phase, duration]) => `${phase};dur=${duration}`)
+      .join(", ")
+  );
+  res.set(
+    "X-Render-Requests",
+    `allowed=${requests.allowed}, blocked=${requests.blocked}`
+  );
+  if (bytes.raw !== undefined) {
+    res.set("X-Render-Bytes", `raw=${bytes.raw}, cleaned=${bytes.cleaned}`);
+  }
+  if (upstreamStatus !== undefined) {
+    res.set("X-Upstream-Status", String(upstreamStatus));
+  }
+  res.set("X-JsonLd-Source", jsonLdSource);
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function findJob(jobStore, id) {
+  const job = jobStore.get(id);
+  if (!job) {
+    throw new HttpError(404, "Job not found.");
+  }
+  return job;
+}
+
+/**
+ * Renders a job through the shared queue, records the outcome and fires its callback.
+ * Never rejects: failures are stored on the job.
+ */
+async function runRenderJob(job, {pageRenderer, processTracker, jobStore}) {
+  try {
+    const result = await processTracker.track(
+      () => {
+        jobStore.markRunning(job);
+        return pageRenderer.renderResult(job.url, job.options);
+      },
+      {id: job.id, url: job.url}
+    );
+    jobStore.markCompleted(job, result.html, result);
+  } catch (error) {
+    console.error(`Render job ${job.id} failed:`, error);
+    jobStore.markFailed(job, error);
+  }
+
+  await sendJobCallback(job, {urlPolicy: pageRenderer.urlPolicy});
+}
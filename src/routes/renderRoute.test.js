@@ -1,33 +1,61 @@
 import assert from "node:assert/strict";
 import test from "node:test";
 import { createRenderRouter } from "./renderRoute.js";
+import { RateLimitError } from "../errors/rateLimitError.js";
+import { UrlPolicyError } from "../errors/urlPolicyError.js";
 import { ValidationError } from "../errors/validationError.js";
+import { ApiClient } from "../services/apiKeys.js";
+import { JobStore } from "../services/jobStore.js";
+import { getLogContext } from "../services/logger.js";
 
 // Mock implementations for testing
 class MockPageRenderer {
   constructor(shouldError = false) {
     this.shouldError = shouldError;
     this.renderCalls = [];
+    this.renderOptions = [];
+    this.urlPolicy = { assertAllowed: async () => {} };
   }
 
-  async render(url) {
+  async render(url, options) {
     this.renderCalls.push(url);
+    this.renderOptions.push(options);
     if (this.shouldError) {
       throw new Error("Render failed");
     }
     return `<html><body>Rendered: ${url}</body></html>`;
   }
+
+  async renderResult(url, options) {
+    this.logContext = getLogContext();
+    return {
+      html: await this.render(url, options),
+      status: this.status ?? 200,
+      headers: this.headers ?? {},
+      ...this.navigation,
+    };
+  }
 }
 
 class MockProcessTracker {
   constructor() {
     this.trackCalls = [];
+    this.trackMeta = [];
     this.progressValue = 0;
+    this.stats = {
+      concurrency: 1,
+      queued: 0,
+      running: 0,
+      completed: 0,
+      failed: 0,
+      active: [],
+    };
     this.shouldError = false;
   }
 
-  async track(fn) {
+  async track(fn, meta) {
     this.trackCalls.push(fn);
+    this.trackMeta.push(meta);
     if (this.shouldError) {
       throw new Error("Track failed");
     }
@@ -40,11 +68,20 @@ class MockProcessTracker {
     }
     return this.progressValue;
   }
+
+  getStats() {
+    return this.stats;
+  }
 }
 
 class MockRequest {
-  constructor(query = {}) {
+  constructor(query = {}, headers = {}) {
     this.query = query;
+    this.headers = headers;
+  }
+
+  get(name) {
+    return this.headers[name.toLowerCase()];
   }
 }
 
@@ -61,6 +98,11 @@ class MockResponse {
     return this;
   }
 
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  }
+
   type(contentType) {
     this.contentType = contentType;
     return this;
@@ -348,3 +390,888 @@ test("createRenderRouter - normalizes URLs (adds trailing slash)", async () => {
     "URL is normalized"
   );
 });
+
+test("createRenderRouter /render - passes the URL as job metadata", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const processTracker = new MockProcessTracker();
+  const router = createRenderRouter(pageRenderer, processTracker);
+
+  const req = new MockRequest({ url: "https://example.com/item" });
+  const res = new MockResponse();
+  const next = new MockNext();
+
+  const renderHandler = router.stack[0].route.stack[0].handle;
+  await renderHandler(req, res, (err) => next.call(err));
+
+  assert.deepEqual(processTracker.trackMeta, [
+    { url: "https://example.com/item" },
+  ]);
+});
+
+test("createRenderRouter /progress - reports queue counters and active URLs", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const processTracker = new MockProcessTracker();
+  processTracker.progressValue = 1;
+  processTracker.stats = {
+    concurrency: 2,
+    queued: 3,
+    running: 1,
+    completed: 7,
+    failed: 2,
+    active: [
+      {
+        id: "job-1",
+        url: "https://example.com/",
+        startedAt: "2025-01-01T00:00:00.000Z",
+      },
+    ],
+  };
+  const router = createRenderRouter(pageRenderer, processTracker);
+
+  const req = new MockRequest();
+  const res = new MockResponse();
+  const next = new MockNext();
+
+  const progressHandler = router.stack[1].route.stack[0].handle;
+  await progressHandler(req, res, (err) => next.call(err));
+
+  assert.equal(res.data.progress, 1);
+  assert.equal(res.data.queued, 3);
+  assert.equal(res.data.running, 1);
+  assert.equal(res.data.completed, 7);
+  assert.equal(res.data.failed, 2);
+  assert.equal(res.data.active[0].url, "https://example.com/");
+});
+
+const findHandler = (router, path, method) =>
+  router.stack.find(
+    (layer) => layer.route?.path === path && layer.route.methods[method]
+  ).route.stack[0].handle;
+
+const waitForJob = async (jobStore, id, status) => {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    if (jobStore.get(id)?.status === status) {
+      return;
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  assert.fail(`job ${id} never reached ${status}`);
+};
+
+test("createRenderRouter POST /jobs - returns 202 with a job id", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const processTracker = new MockProcessTracker();
+  const jobStore = new JobStore();
+  const router = createRenderRouter(pageRenderer, processTracker, jobStore);
+
+  const req = new MockRequest();
+  req.body = { url: "https://example.com" };
+  const res = new MockResponse();
+  const next = new MockNext();
+
+  await findHandler(router, "/jobs", "post")(req, res, (err) => next.call(err));
+
+  assert.equal(res.statusCode, 202);
+  assert.ok(res.data.id);
+  assert.equal(res.data.url, "https://example.com/");
+  assert.equal(res.data.statusUrl, `/jobs/${res.data.id}`);
+  await waitForJob(jobStore, res.data.id, "completed");
+  assert.deepEqual(processTracker.trackMeta, [
+    { id: res.data.id, url: "https://example.com/" },
+  ]);
+});
+
+test("createRenderRouter POST /jobs - rejects an invalid callbackUrl", async () => {
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    new MockProcessTracker()
+  );
+
+  const req = new MockRequest();
+  req.body = { url: "https://example.com", callbackUrl: "nope" };
+  const res = new MockResponse();
+  const next = new MockNext();
+
+  await findHandler(router, "/jobs", "post")(req, res, (err) => next.call(err));
+
+  assert.ok(next.error instanceof ValidationError);
+  assert.match(next.error.message, /callbackUrl/);
+});
+
+test("createRenderRouter GET /jobs/:id - reports a failed render", async () => {
+  const jobStore = new JobStore();
+  const router = createRenderRouter(
+    new MockPageRenderer(true),
+    new MockProcessTracker(),
+    jobStore
+  );
+  const job = jobStore.create({ url: "https://example.com/" });
+  jobStore.markFailed(job, new Error("Render failed"));
+
+  const req = new MockRequest();
+  req.params = { id: job.id };
+  const res = new MockResponse();
+  const next = new MockNext();
+
+  await findHandler(router, "/jobs/:id", "get")(req, res, (err) =>
+    next.call(err)
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.data.status, "failed");
+  assert.equal(res.data.error, "Internal server error");
+});
+
+test("createRenderRouter GET /jobs/:id - 404s for unknown jobs", async () => {
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    new MockProcessTracker()
+  );
+
+  const req = new MockRequest();
+  req.params = { id: "missing" };
+  const res = new MockResponse();
+  const next = new MockNext();
+
+  await findHandler(router, "/jobs/:id", "get")(req, res, (err) =>
+    next.call(err)
+  );
+
+  assert.equal(next.error.statusCode, 404);
+});
+
+test("createRenderRouter GET /jobs/:id/result - returns HTML once completed", async () => {
+  const jobStore = new JobStore();
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    new MockProcessTracker(),
+    jobStore
+  );
+  const job = jobStore.create({ url: "https://example.com/" });
+  const handler = findHandler(router, "/jobs/:id/result", "get");
+
+  const pendingNext = new MockNext();
+  const pendingReq = new MockRequest();
+  pendingReq.params = { id: job.id };
+  await handler(pendingReq, new MockResponse(), (err) => pendingNext.call(err));
+  assert.equal(pendingNext.error.statusCode, 409);
+
+  jobStore.markCompleted(job, "<html>done</html>");
+  const req = new MockRequest();
+  req.params = { id: job.id };
+  const res = new MockResponse();
+  const next = new MockNext();
+  await handler(req, res, (err) => next.call(err));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.contentType, "text/html");
+  assert.equal(res.data, "<html>done</html>");
+});
+
+class MockStreamResponse extends MockResponse {
+  constructor() {
+    super();
+    this.chunks = [];
+    this.ended = false;
+  }
+
+  write(chunk) {
+    this.chunks.push(chunk);
+    return true;
+  }
+
+  end() {
+    this.ended = true;
+    return this;
+  }
+}
+
+test("createRenderRouter POST /render/batch - streams NDJSON results and a summary", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const router = createRenderRouter(pageRenderer, new MockProcessTracker());
+
+  const req = new MockRequest();
+  req.body = "https://example.com/a\nnot-a-url\n";
+  const res = new MockStreamResponse();
+  const next = new MockNext();
+
+  await findHandler(router, "/render/batch", "post")(req, res, (err) =>
+    next.call(err)
+  );
+
+  assert.ok(!next.called);
+  assert.equal(res.contentType, "application/x-ndjson");
+  assert.ok(res.ended);
+  const lines = res.chunks.join("").trim().split("\n").map(JSON.parse);
+  assert.equal(lines.length, 3);
+  const byIndex = lines.slice(0, 2).sort((a, b) => a.index - b.index);
+  assert.equal(byIndex[0].ok, true);
+  assert.match(byIndex[0].html, /Rendered/);
+  assert.equal(byIndex[1].ok, false);
+  assert.equal(byIndex[1].status, 400);
+  assert.equal(lines[2].done, true);
+  assert.equal(lines[2].succeeded, 1);
+  assert.equal(lines[2].failed, 1);
+});
+
+test("createRenderRouter POST /render/batch - rejects an empty batch before streaming", async () => {
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    new MockProcessTracker()
+  );
+
+  const req = new MockRequest();
+  req.body = { urls: [] };
+  const res = new MockStreamResponse();
+  const next = new MockNext();
+
+  await findHandler(router, "/render/batch", "post")(req, res, (err) =>
+    next.call(err)
+  );
+
+  assert.ok(next.error instanceof ValidationError);
+  assert.equal(res.chunks.length, 0);
+});
+
+test("createRenderRouter POST /render/batch - charges the API key per URL and per render in flight", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const processTracker = new MockProcessTracker();
+  const router = createRenderRouter(pageRenderer, processTracker);
+  const handler = findHandler(router, "/render/batch", "post");
+  const apiClient = new ApiClient({
+    id: "route-batch",
+    rateLimit: { requests: 2, intervalMs: 60_000 },
+    maxConcurrent: 3,
+  });
+  const activeDuringRenders = [];
+  pageRenderer.render = async (url) => {
+    activeDuringRenders.push(apiClient.active);
+    await new Promise((resolve) => setImmediate(resolve));
+    return `<html>${url}</html>`;
+  };
+  const post = async (urls) => {
+    const req = new MockRequest();
+    req.body = urls;
+    req.apiClient = apiClient;
+    const next = new MockNext();
+    await handler(req, new MockStreamResponse(), (err) => next.call(err));
+    return next.error;
+  };
+
+  const tooMany = await post([
+    "https://example.com/1",
+    "https://example.com/2",
+    "https://example.com/3",
+  ]);
+  assert.ok(tooMany instanceof ValidationError);
+  assert.equal(processTracker.trackCalls.length, 0);
+
+  assert.equal(
+    await post(["https://example.com/1", "https://example.com/2"]),
+    null
+  );
+  assert.deepEqual(activeDuringRenders, [2, 2]);
+  assert.equal(apiClient.active, 0);
+  assert.equal(
+    await post(["https://example.com/3", "https://example.com/4"]),
+    null
+  );
+  assert.ok(
+    (await post(["https://example.com/5", "https://example.com/6"])) instanceof
+      RateLimitError
+  );
+  assert.equal(processTracker.trackCalls.length, 4);
+});
+
+// POST /crawl has a body parser in front of the handler
+const findCrawlHandler = (router) =>
+  router.stack.find((layer) => layer.route?.path === "/crawl").route.stack.at(-1)
+    .handle;
+
+test("createRenderRouter POST /crawl - rejects a missing sitemapUrl", async () => {
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    new MockProcessTracker()
+  );
+  const handler = findCrawlHandler(router);
+
+  const req = new MockRequest();
+  req.body = {};
+  const res = new MockStreamResponse();
+  const next = new MockNext();
+
+  await handler(req, res, (err) => next.call(err));
+
+  assert.ok(next.error instanceof ValidationError);
+  assert.match(next.error.message, /sitemapUrl/);
+});
+
+test("createRenderRouter POST /crawl - rejects unsafe run names", async () => {
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    new MockProcessTracker()
+  );
+  const handler = findCrawlHandler(router);
+
+  for (const name of ["../etc", "..", ".", "..."]) {
+    const req = new MockRequest();
+    req.body = { sitemapUrl: "https://example.com/sitemap.xml", name };
+    const res = new MockStreamResponse();
+    const next = new MockNext();
+
+    await handler(req, res, (err) => next.call(err));
+
+    assert.ok(next.error instanceof ValidationError, name);
+    assert.match(next.error.message, /name/);
+  }
+});
+
+test("createRenderRouter POST /crawl - answers 422 when the sitemap is unusable", async () => {
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    new MockProcessTracker()
+  );
+  const handler = findCrawlHandler(router);
+
+  const req = new MockRequest({ name: "invalid-upload" });
+  req.body = Buffer.from("<rss></rss>");
+  const res = new MockStreamResponse();
+  const next = new MockNext();
+
+  await handler(req, res, (err) => next.call(err));
+
+  assert.equal(next.error.statusCode, 422);
+  assert.match(next.error.message, /Unsupported sitemap root/);
+});
+
+test("createRenderRouter POST /crawl - charges the API key per sitemap URL before rendering", async () => {
+  const processTracker = new MockProcessTracker();
+  const router = createRenderRouter(new MockPageRenderer(), processTracker);
+  const handler = findCrawlHandler(router);
+
+  const req = new MockRequest({ name: "over-quota" });
+  req.body = Buffer.from(`<urlset>
+    <url><loc>https://example.com/1</loc></url>
+    <url><loc>https://example.com/2</loc></url>
+    <url><loc>https://example.com/3</loc></url>
+  </urlset>`);
+  req.apiClient = new ApiClient({
+    id: "route-crawl",
+    rateLimit: { requests: 2, intervalMs: 60_000 },
+  });
+  const next = new MockNext();
+
+  await handler(req, new MockStreamResponse(), (err) => next.call(err));
+
+  assert.ok(next.error instanceof ValidationError);
+  assert.match(next.error.message, /at most 2 pages per call; got 3/);
+  assert.equal(processTracker.trackCalls.length, 0);
+  assert.equal(req.apiClient.active, 0);
+});
+
+test("createRenderRouter /render - serves through the render cache with X-Cache", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const processTracker = new MockProcessTracker();
+  const fetchCalls = [];
+  const renderCache = {
+    fetch: async (url, options, produce) => {
+      fetchCalls.push({ url, options });
+      return { value: await produce(), status: "MISS" };
+    },
+  };
+  const router = createRenderRouter(
+    pageRenderer,
+    processTracker,
+    new JobStore(),
+    renderCache
+  );
+
+  const req = new MockRequest({ url: "https://example.com" });
+  const res = new MockResponse();
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  const next = new MockNext();
+
+  await router.stack[0].route.stack[0].handle(req, res, (err) =>
+    next.call(err)
+  );
+
+  assert.deepEqual(fetchCalls, [{ url: "https://example.com/", options: {} }]);
+  assert.equal(res.headers["X-Cache"], "MISS");
+  assert.match(res.data, /Rendered/);
+  assert.equal(processTracker.trackCalls.length, 1);
+});
+
+test("createRenderRouter /render - checks the URL policy before the render cache", async () => {
+  const pageRenderer = new MockPageRenderer();
+  pageRenderer.urlPolicy = {
+    assertAllowed: async (url) => {
+      throw new UrlPolicyError(`URL ${url} is not allowed.`);
+    },
+  };
+  const fetchCalls = [];
+  const renderCache = {
+    fetch: async (url) => {
+      fetchCalls.push(url);
+      return { value: { html: "<html>proxied origin</html>" }, status: "HIT" };
+    },
+  };
+  const router = createRenderRouter(
+    pageRenderer,
+    new MockProcessTracker(),
+    new JobStore(),
+    renderCache
+  );
+  const next = new MockNext();
+
+  await router.stack[0].route.stack[0].handle(
+    new MockRequest({ url: "http://origin.internal/" }),
+    new MockResponse(),
+    (err) => next.call(err)
+  );
+
+  assert.ok(next.error instanceof UrlPolicyError);
+  assert.deepEqual(fetchCalls, []);
+});
+
+test("createRenderRouter /render - passes query render options to the renderer and cache", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const fetchCalls = [];
+  const renderCache = {
+    fetch: async (url, options, produce) => {
+      fetchCalls.push({ url, options });
+      return { value: await produce(), status: "MISS" };
+    },
+  };
+  const router = createRenderRouter(
+    pageRenderer,
+    new MockProcessTracker(),
+    new JobStore(),
+    renderCache
+  );
+
+  const req = new MockRequest({
+    url: "https://example.com",
+    viewport: "390x844",
+    stripCss: "true",
+    clean: "off",
+  });
+  const res = new MockResponse();
+  res.set = () => res;
+  const next = new MockNext();
+
+  await findHandler(router, "/render", "get")(req, res, (err) =>
+    next.call(err)
+  );
+
+  const expected = {
+    viewport: { width: 390, height: 844 },
+    stripCss: true,
+    clean: false,
+  };
+  assert.equal(next.called, false);
+  assert.deepEqual(pageRenderer.renderOptions, [expected]);
+  assert.deepEqual(fetchCalls[0].options, expected);
+});
+
+test("createRenderRouter /render - rejects invalid render options", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const router = createRenderRouter(pageRenderer, new MockProcessTracker());
+
+  const req = new MockRequest({ url: "https://example.com", jsonLd: "rdfa" });
+  const next = new MockNext();
+
+  await findHandler(router, "/render", "get")(req, new MockResponse(), (err) =>
+    next.call(err)
+  );
+
+  assert.ok(next.error instanceof ValidationError);
+  assert.match(next.error.message, /jsonLd/);
+  assert.equal(pageRenderer.renderCalls.length, 0);
+});
+
+test("createRenderRouter /render - rejects headers the browser manages", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const router = createRenderRouter(pageRenderer, new MockProcessTracker());
+
+  const req = new MockRequest({
+    url: "https://example.com",
+    headers: '{"Transfer-Encoding":"chunked"}',
+  });
+  const next = new MockNext();
+
+  await findHandler(router, "/render", "get")(req, new MockResponse(), (err) =>
+    next.call(err)
+  );
+
+  assert.ok(next.error instanceof ValidationError);
+  assert.equal(next.error.statusCode, 400);
+  assert.match(next.error.message, /cannot set the 'Transfer-Encoding' header/);
+  assert.equal(pageRenderer.renderCalls.length, 0);
+});
+
+test("createRenderRouter POST /render - accepts url and options as JSON", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const router = createRenderRouter(pageRenderer, new MockProcessTracker());
+
+  const req = new MockRequest();
+  req.body = {
+    url: "https://example.com/page",
+    timeoutMs: 15000,
+    blockResourceTypes: ["image", "font"],
+    jsonLd: "synthesized",
+  };
+  const res = new MockResponse();
+  const next = new MockNext();
+
+  await findHandler(router, "/render", "post")(req, res, (err) =>
+    next.call(err)
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(pageRenderer.renderCalls, ["https://example.com/page"]);
+  assert.deepEqual(pageRenderer.renderOptions, [
+    {
+      timeoutMs: 15000,
+      blockResourceTypes: ["font", "image"],
+      jsonLd: "synthesized",
+    },
+  ]);
+});
+
+test("createRenderRouter POST /render - rejects non-object bodies", async () => {
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    new MockProcessTracker()
+  );
+
+  const req = new MockRequest();
+  req.body = "https://example.com";
+  const next = new MockNext();
+
+  await findHandler(router, "/render", "post")(req, new MockResponse(), (err) =>
+    next.call(err)
+  );
+
+  assert.ok(next.error instanceof ValidationError);
+});
+
+test("createRenderRouter POST /jobs - renders with the submitted options", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const jobStore = new JobStore();
+  const router = createRenderRouter(
+    pageRenderer,
+    new MockProcessTracker(),
+    jobStore
+  );
+
+  const req = new MockRequest();
+  req.body = { url: "https://example.com", userAgent: "AuditBot/1.0" };
+  const res = new MockResponse();
+  const next = new MockNext();
+
+  await findHandler(router, "/jobs", "post")(req, res, (err) => next.call(err));
+  await waitForJob(jobStore, res.data.id, "completed");
+
+  assert.deepEqual(res.data.options, { userAgent: "AuditBot/1.0" });
+  assert.deepEqual(pageRenderer.renderOptions, [{ userAgent: "AuditBot/1.0" }]);
+});
+
+test("createRenderRouter /render - passes through upstream status and prerender headers", async () => {
+  const pageRenderer = new MockPageRenderer();
+  pageRenderer.status = 301;
+  pageRenderer.headers = { location: "https://example.com/new" };
+  const router = createRenderRouter(pageRenderer, new MockProcessTracker());
+
+  const req = new MockRequest({ url: "https://example.com/old" });
+  const res = new MockResponse();
+  res.set = (headers) => {
+    Object.assign(res.headers, headers);
+    return res;
+  };
+  const next = new MockNext();
+
+  await findHandler(router, "/render", "get")(req, res, (err) =>
+    next.call(err)
+  );
+
+  assert.equal(next.called, false);
+  assert.equal(res.statusCode, 301);
+  assert.equal(res.headers.location, "https://example.com/new");
+  assert.match(res.data, /Rendered/);
+});
+
+test("createRenderRouter /render - reports the final URL and redirect chain", async () => {
+  const pageRenderer = new MockPageRenderer();
+  pageRenderer.navigation = {
+    finalUrl: "https://www.example.com/new",
+    redirects: [
+      { url: "http://example.com/old", status: 301 },
+      { url: "https://example.com/old?a=1,2", status: 302 },
+    ],
+  };
+  const router = createRenderRouter(pageRenderer, new MockProcessTracker());
+
+  const res = new MockResponse();
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  const next = new MockNext();
+
+  await findHandler(router, "/render", "get")(
+    new MockRequest({ url: "http://example.com/old" }),
+    res,
+    (err) => next.call(err)
+  );
+
+  assert.equal(next.called, false);
+  assert.equal(res.headers["X-Final-Url"], "https://www.example.com/new");
+  assert.equal(
+    res.headers["X-Redirect-Chain"],
+    "301 http://example.com/old, 302 https://example.com/old?a=1%2C2"
+  );
+});
+
+test("createRenderRouter POST /jobs - records the redirect chain on the job", async () => {
+  const pageRenderer = new MockPageRenderer();
+  pageRenderer.navigation = {
+    finalUrl: "https://example.com/new",
+    redirects: [{ url: "https://example.com/", status: 301 }],
+  };
+  const jobStore = new JobStore();
+  const router = createRenderRouter(
+    pageRenderer,
+    new MockProcessTracker(),
+    jobStore
+  );
+
+  const req = new MockRequest();
+  req.body = { url: "https://example.com", followRedirects: true };
+  const res = new MockResponse();
+
+  await findHandler(router, "/jobs", "post")(req, res, () => {});
+  await waitForJob(jobStore, res.data.id, "completed");
+  const job = jobStore.get(res.data.id);
+
+  assert.equal(job.finalUrl, "https://example.com/new");
+  assert.deepEqual(jobStore.describe(job).redirects, [
+    { url: "https://example.com/", status: 301 },
+  ]);
+});
+
+test("createRenderRouter /render - describes the render in metadata headers", async () => {
+  const pageRenderer = new MockPageRenderer();
+  pageRenderer.navigation = {
+    metrics: {
+      timings: { navigation: 800, ready: 500, fetch: 20, total: 1400 },
+      requests: { allowed: 41, blocked: 7 },
+      upstreamStatus: 200,
+      bytes: { raw: 183201, cleaned: 40233 },
+      jsonLdSource: "microdata",
+    },
+  };
+  const router = createRenderRouter(pageRenderer, new MockProcessTracker());
+
+  const res = new MockResponse();
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+
+  await findHandler(router, "/render", "get")(
+    new MockRequest({ url: "https://example.com" }, { "x-request-id": "r1" }),
+    res,
+    () => {}
+  );
+
+  assert.deepEqual(res.headers, {
+    "X-Request-Id": "r1",
+    "Server-Timing":
+      "navigation;dur=800, ready;dur=500, fetch;dur=20, total;dur=1400",
+    "X-Render-Requests": "allowed=41, blocked=7",
+    "X-Render-Bytes": "raw=183201, cleaned=40233",
+    "X-Upstream-Status": "200",
+    "X-JsonLd-Source": "microdata",
+  });
+});
+
+test("createRenderRouter /render - returns a JSON envelope for format=json", async () => {
+  const pageRenderer = new MockPageRenderer();
+  pageRenderer.status = 404;
+  pageRenderer.navigation = {
+    finalUrl: "https://example.com/",
+    redirects: [],
+    data: {
+      microdata: {},
+      jsonLd: { "@context": "https://schema.org", "@graph": [] },
+      metadata: { title: "Missing" },
+      links: [{ url: "https://example.com/home", text: "Home" }],
+    },
+  };
+  const router = createRenderRouter(pageRenderer, new MockProcessTracker());
+
+  const res = new MockResponse();
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  const next = new MockNext();
+
+  await findHandler(router, "/render", "get")(
+    new MockRequest({ url: "https://example.com", format: "json" }),
+    res,
+    (err) => next.call(err)
+  );
+
+  assert.equal(next.called, false);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.contentType, "application/json");
+  assert.deepEqual(pageRenderer.renderOptions, [{ format: "json" }]);
+  assert.equal(res.data.status, 404);
+  assert.equal(res.data.url, "https://example.com/");
+  assert.match(res.data.html, /Rendered/);
+  assert.deepEqual(res.data.metadata, { title: "Missing" });
+  assert.deepEqual(res.data.links, [
+    { url: "https://example.com/home", text: "Home" },
+  ]);
+});
+
+test("createRenderRouter POST /jobs - rejects format=json", async () => {
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    new MockProcessTracker(),
+    new JobStore()
+  );
+
+  const req = new MockRequest();
+  req.body = { url: "https://example.com", format: "json" };
+  const next = new MockNext();
+
+  await findHandler(router, "/jobs", "post")(req, new MockResponse(), (err) =>
+    next.call(err)
+  );
+
+  assert.ok(next.error instanceof ValidationError);
+  assert.match(next.error.message, /format/);
+});
+
+test("createRenderRouter /render - echoes X-Request-Id and logs the render under it", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const router = createRenderRouter(pageRenderer, new MockProcessTracker());
+
+  const req = new MockRequest(
+    { url: "https://example.com" },
+    { "x-request-id": "edge-42" }
+  );
+  const res = new MockResponse();
+  const next = new MockNext();
+
+  await findHandler(router, "/render", "get")(req, res, (err) =>
+    next.call(err)
+  );
+
+  assert.equal(next.called, false);
+  assert.equal(res.headers["X-Request-Id"], "edge-42");
+  assert.deepEqual(pageRenderer.logContext, {
+    requestId: "edge-42",
+    url: "https://example.com/",
+  });
+});
+
+test("createRenderRouter /render - generates a request ID when the header is missing or malformed", async () => {
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    new MockProcessTracker()
+  );
+  const uuidPattern =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+  for (const headers of [{}, { "x-request-id": "bad id\twith spaces" }]) {
+    const res = new MockResponse();
+    await findHandler(router, "/render", "get")(
+      new MockRequest({ url: "https://example.com" }, headers),
+      res,
+      () => {}
+    );
+    assert.match(res.headers["X-Request-Id"], uuidPattern);
+  }
+});
+
+test("createRenderRouter /render - sets X-Request-Id on validation errors", async () => {
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    new MockProcessTracker()
+  );
+  const res = new MockResponse();
+  const next = new MockNext();
+
+  await findHandler(router, "/render", "get")(
+    new MockRequest({ url: "not-a-url" }, { "x-request-id": "abc" }),
+    res,
+    (err) => next.call(err)
+  );
+
+  assert.ok(next.error instanceof ValidationError);
+  assert.equal(res.headers["X-Request-Id"], "abc");
+});
+
+test("createRenderRouter /render - ignores the apiKey query parameter and frees the slot", async () => {
+  const pageRenderer = new MockPageRenderer();
+  const processTracker = new MockProcessTracker();
+  const router = createRenderRouter(pageRenderer, processTracker);
+  const req = new MockRequest({
+    url: "https://example.com",
+    apiKey: "seo-team-key-0123456789",
+  });
+  req.apiClient = new ApiClient({ id: "route-render", maxConcurrent: 1 });
+  const next = new MockNext();
+
+  await findHandler(router, "/render", "get")(req, new MockResponse(), (err) =>
+    next.call(err)
+  );
+
+  assert.equal(next.called, false);
+  assert.deepEqual(pageRenderer.renderOptions, [{}]);
+  assert.equal(req.apiClient.active, 0);
+});
+
+test("createRenderRouter - answers 429 before tracking when the API key has no free slot", async () => {
+  const processTracker = new MockProcessTracker();
+  const jobStore = new JobStore();
+  const router = createRenderRouter(
+    new MockPageRenderer(),
+    processTracker,
+    jobStore
+  );
+  const apiClient = new ApiClient({ id: "route-quota", maxConcurrent: 1 });
+  const release = apiClient.acquireSlot();
+
+  for (const [path, method, req] of [
+    ["/render", "get", new MockRequest({ url: "https://example.com" })],
+    ["/jobs", "post", new MockRequest()],
+  ]) {
+    req.body = { url: "https://example.com" };
+    req.apiClient = apiClient;
+    const next = new MockNext();
+    await findHandler(router, path, method)(req, new MockResponse(), (err) =>
+      next.call(err)
+    );
+    assert.ok(next.error instanceof RateLimitError, path);
+  }
+  assert.equal(processTracker.trackCalls.length, 0);
+  assert.equal(jobStore.jobs.size, 0);
+
+  release();
+  const req = new MockRequest();
+  req.body = { url: "https://example.com" };
+  req.apiClient = apiClient;
+  const res = new MockResponse();
+  await findHandler(router, "/jobs", "post")(req, res, () => {});
+  assert.equal(apiClient.active, 1);
+  await waitForJob(jobStore, res.data.id, "completed");
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(apiClient.active, 0);
+});
@@ -0,0 +1,256 @@
+import { createHash } from "crypto";
+import { readFileSync } from "fs";
+import { RateLimitError } from "../errors/rateLimitError.js";
+import { ValidationError } from "../errors/validationError.js";
+import { renderMetrics } from "../metrics/index.js";
+import { TokenBucket } from "../utils/rateLimiter.js";
+
+// Renders finish in seconds, so a client at its concurrency quota retries soon.
+const CONCURRENCY_RETRY_MS = 1000;
+const CLIENT_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+/**
+ * One API key: its request rate limit, its quota of concurrent renders and the
+ * usage counters booked against it.
+ */
+export class ApiClient {
+  /**
+   * @param {{id: string, rateLimit?: {requests: number, intervalMs: number} | null, maxConcurrent?: number}} options
+   *   no rateLimit and maxConcurrent 0 leave the key unlimited
+   * @param {() => number} [clock]
+   */
+  constructor({ id, rateLimit, maxConcurrent = 0 }, clock = Date.now) {
+    this.id = id;
+    this.bucket = rateLimit ? new TokenBucket(rateLimit, clock) : undefined;
+    this.maxConcurrent = maxConcurrent;
+    this.active = 0;
+  }
+
+  /**
+   * Books one request against the rate limit.
+   * @throws {RateLimitError} when the key is over its rate limit
+   */
+  admitRequest() {
+    const retryAfterMs = this.bucket?.take() ?? 0;
+    if (retryAfterMs > 0) {
+      this.record("rate_limited");
+      throw new RateLimitError(
+        `API key ${this.id} exceeded its rate limit.`,
+        retryAfterMs
+      );
+    }
+    this.record("accepted");
+  }
+
+  /**
+   * Books the pages of a batch or crawl against the rate limit: one token per
+   * page, the first of which admitRequest already took for the call itself.
+   * @param {number} pages
+   * @throws {ValidationError} when the key's bucket never holds that many tokens
+   * @throws {RateLimitError} when it does not hold them yet
+   */
+  admitPages(pages) {
+    if (!this.bucket || pages <= 1) {
+      return;
+    }
+    if (pages > this.bucket.capacity) {
+      this.record("rate_limited");
+      throw new ValidationError(
+        `API key ${this.id} may render at most ${this.bucket.capacity} pages per call; got ${pages}.`
+      );
+    }
+
+    const retryAfterMs = this.bucket.take(pages - 1);
+    if (retryAfterMs > 0) {
+      this.record("rate_limited");
+      throw new RateLimitError(
+        `API key ${this.id} exceeded its rate limit.`,
+        retryAfterMs
+      );
+    }
+  }
+
+  /**
+   * Takes one of the key's concurrent render slots.
+   * @returns {() => void} gives the slot back; calling it again is a no-op
+   * @throws {RateLimitError} when all slots are taken
+   */
+  acquireSlot() {
+    if (this.maxConcurrent > 0 && this.active >= this.maxConcurrent) {
+      this.record("concurrency_limited");
+      throw new RateLimitError(
+        `API key ${this.id} already has ${this.active} renders in progress.`,
+        CONCURRENCY_RETRY_MS
+      );
+    }
+
+    this.setActive(this.active + 1);
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        this.setActive(this.active - 1);
+      }
+    };
+  }
+
+  /**
+   * Takes as many of the key's free render slots as a batch can use, at least one.
+   * @param {number} wanted
+   * @returns {{count: number, release: () => void}} count slots, all given back
+   *   by release
+   * @throws {RateLimitError} when no slot is free
+   */
+  acquireSlots(wanted) {
+    const releases = [this.acquireSlot()];
+    while (
+      releases.length < wanted &&
+      (this.maxConcurrent === 0 || this.active < this.maxConcurrent)
+    ) {
+      releases.push(this.acquireSlot());
+    }
+    return {
+      count: releases.length,
+      release: () => releases.forEach((release) => release()),
+    };
+  }
+
+  record(outcome) {
+    renderMetrics.apiRequests.inc({ client: this.id, outcome });
+  }
+
+  setActive(active) {
+    this.active = active;
+    renderMetrics.apiActiveRenders.set({ client: this.id }, active);
+  }
+}
+
+/**
+ * The API keys the server accepts. Keys are looked up by their SHA-256 digest, so
+ * the key file may list digests instead of the keys themselves.
+ */
+export class ApiKeyRegistry {
+  /**
+   * @param {Array<{id: string, key?: string, sha256?: string, rateLimit?: object | null, maxConcurrent?: number}>} entries
+   */
+  constructor(entries) {
+    this.clientsByDigest = new Map();
+    const ids = new Set();
+    entries.forEach((entry) => {
+      const digest = entry.sha256?.toLowerCase() ?? hashKey(entry.key);
+      if (ids.has(entry.id)) {
+        throw new Error(`Duplicate API key id "${entry.id}".`);
+      }
+      if (this.clientsByDigest.has(digest)) {
+        throw new Error(`API key "${entry.id}" reuses the key of another id.`);
+      }
+      ids.add(entry.id);
+      this.clientsByDigest.set(digest, new ApiClient(entry));
+    });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {ApiClient | undefined}
+   */
+  find(key) {
+    return this.clientsByDigest.get(hashKey(key));
+  }
+}
+
+/**
+ * Reads the API key file, or returns undefined (authentication off) without one.
+ * @param {string} [file] JSON `{defaults?, keys: [{id, key | sha256, rateLimit?, maxConcurrent?}]}`;
+ *   defaults apply to keys that do not set rateLimit or maxConcurrent
+ * @returns {ApiKeyRegistry | undefined}
+ */
+export function loadApiKeys(file) {
+  if (!file) {
+    return undefined;
+  }
+
+  try {
+    return createApiKeys(JSON.parse(readFileSync(file, "utf-8")));
+  } catch (error) {
+    throw new Error(`[apiKeys] ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {{defaults?: object, keys: object[]}} config
+ * @returns {ApiKeyRegistry}
+ */
+export function createApiKeys(config) {
+  const { defaults = {}, keys } = config ?? {};
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error('"keys" must be a non-empty array.');
+  }
+
+  return new ApiKeyRegistry(
+    keys.map((entry, index) => {
+      const label = `keys[${index}]`;
+      const { id, key, sha256 } = entry ?? {};
+      if (typeof id !== "string" || !CLIENT_ID_PATTERN.test(id)) {
+        throw new Error(
+          `${label}.id may only contain letters, digits, '.', '_' and '-'.`
+        );
+      }
+      if ((key === undefined) === (sha256 === undefined)) {
+        throw new Error(`${label} needs exactly one of "key" and "sha256".`);
+      }
+      if (key !== undefined && (typeof key !== "string" || key.length < 16)) {
+        throw new Error(
+          `${label}.key must be a string of 16 or more characters.`
+        );
+      }
+      if (
+        sha256 !== undefined &&
+        !(typeof sha256 === "string" && /^[0-9a-f]{64}$/i.test(sha256))
+      ) {
+        throw new Error(`${label}.sha256 must be a hex SHA-256 digest.`);
+      }
+
+      return {
+        id,
+        key,
+        sha256,
+        rateLimit: parseRateLimit(
+          entry.rateLimit !== undefined ? entry.rateLimit : defaults.rateLimit,
+          `${label}.rateLimit`
+        ),
+        maxConcurrent: parseMaxConcurrent(
+          entry.maxConcurrent ?? defaults.maxConcurrent,
+          `${label}.maxConcurrent`
+        ),
+      };
+    })
+  );
+}
+
+function parseRateLimit(rateLimit, label) {
+  if (rateLimit === undefined || rateLimit === null) {
+    return undefined;
+  }
+  const { requests, intervalMs } = rateLimit;
+  if (
+    ![requests, intervalMs].every(
+      (value) => Number.isFinite(value) && value > 0
+    )
+  ) {
+    throw new Error(
+      `${label} must be {"requests": n, "intervalMs": ms} with positive numbers.`
+    );
+  }
+  return { requests, intervalMs };
+}
+
+function parseMaxConcurrent(maxConcurrent = 0, label) {
+  if (!Number.isInteger(maxConcurrent) || maxConcurrent < 0) {
+    throw new Error(`${label} must be zero (unlimited) or a positive integer.`);
+  }
+  return maxConcurrent;
+}
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
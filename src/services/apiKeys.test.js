@@ -0,0 +1,196 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import test from "node:test";
+import { RateLimitError } from "../errors/rateLimitError.js";
+import { ValidationError } from "../errors/validationError.js";
+import { renderMetrics } from "../metrics/index.js";
+import { ApiClient, createApiKeys, loadApiKeys } from "./apiKeys.js";
+
+const KEY = "seo-team-key-0123456789";
+
+const apiRequests = (client, outcome) =>
+  renderMetrics.apiRequests.series.get(JSON.stringify([client, outcome]))
+    ?.value ?? 0;
+
+test("createApiKeys - finds clients by key or by SHA-256 digest", () => {
+  const apiKeys = createApiKeys({
+    keys: [
+      { id: "seo", key: KEY },
+      {
+        id: "marketing",
+        sha256: createHash("sha256")
+          .update("marketing-key-0123456789")
+          .digest("hex"),
+      },
+    ],
+  });
+
+  assert.equal(apiKeys.find(KEY).id, "seo");
+  assert.equal(apiKeys.find("marketing-key-0123456789").id, "marketing");
+  assert.equal(apiKeys.find("unknown-key-0123456789"), undefined);
+});
+
+test("createApiKeys - applies defaults to keys without their own limits", () => {
+  const apiKeys = createApiKeys({
+    defaults: {
+      rateLimit: { requests: 5, intervalMs: 1000 },
+      maxConcurrent: 2,
+    },
+    keys: [
+      { id: "default", key: KEY },
+      {
+        id: "custom",
+        key: "custom-key-0123456789",
+        rateLimit: null,
+        maxConcurrent: 0,
+      },
+    ],
+  });
+
+  const defaulted = apiKeys.find(KEY);
+  const custom = apiKeys.find("custom-key-0123456789");
+  assert.equal(defaulted.bucket.capacity, 5);
+  assert.equal(defaulted.maxConcurrent, 2);
+  assert.equal(custom.bucket, undefined);
+  assert.equal(custom.maxConcurrent, 0);
+});
+
+test("createApiKeys - rejects invalid key files", () => {
+  assert.throws(() => createApiKeys({ keys: [] }), /non-empty array/);
+  assert.throws(
+    () => createApiKeys({ keys: [{ id: "a b", key: KEY }] }),
+    /keys\[0\]\.id/
+  );
+  assert.throws(
+    () => createApiKeys({ keys: [{ id: "short", key: "secret" }] }),
+    /16 or more/
+  );
+  assert.throws(
+    () => createApiKeys({ keys: [{ id: "none" }] }),
+    /exactly one of "key" and "sha256"/
+  );
+  assert.throws(
+    () =>
+      createApiKeys({
+        keys: [{ id: "rate", key: KEY, rateLimit: { requests: 0 } }],
+      }),
+    /keys\[0\]\.rateLimit/
+  );
+  assert.throws(
+    () =>
+      createApiKeys({
+        keys: [
+          { id: "twice", key: KEY },
+          { id: "twice", key: "other-key-0123456789" },
+        ],
+      }),
+    /Duplicate API key id "twice"/
+  );
+});
+
+test("loadApiKeys - is off without a file and names the file on errors", async () => {
+  const file = path.join(
+    import.meta.dirname,
+    "..",
+    "..",
+    "tmp",
+    "api-keys-tests",
+    "keys.json"
+  );
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ keys: [{ id: "seo", key: KEY }] }));
+
+  assert.equal(loadApiKeys(undefined), undefined);
+  assert.equal(loadApiKeys(file).find(KEY).id, "seo");
+
+  await fs.writeFile(file, "{");
+  assert.throws(() => loadApiKeys(file), /^Error: \[apiKeys\] .*keys\.json: /);
+});
+
+test("ApiClient - enforces the rate limit and counts the outcomes", () => {
+  let now = 0;
+  const client = new ApiClient(
+    { id: "rate-test", rateLimit: { requests: 2, intervalMs: 10_000 } },
+    () => now
+  );
+
+  client.admitRequest();
+  client.admitRequest();
+  assert.throws(
+    () => client.admitRequest(),
+    (error) =>
+      error instanceof RateLimitError &&
+      error.headers["Retry-After"] === "5" &&
+      /rate-test exceeded its rate limit/.test(error.message)
+  );
+
+  now = 5000;
+  client.admitRequest();
+  assert.equal(apiRequests("rate-test", "accepted"), 3);
+  assert.equal(apiRequests("rate-test", "rate_limited"), 1);
+});
+
+test("ApiClient - admitPages takes one token per extra page", () => {
+  let now = 0;
+  const client = new ApiClient(
+    { id: "pages-test", rateLimit: { requests: 4, intervalMs: 4000 } },
+    () => now
+  );
+
+  client.admitRequest();
+  client.admitPages(3);
+  client.admitRequest();
+  assert.throws(
+    () => client.admitPages(3),
+    (error) =>
+      error instanceof RateLimitError && error.headers["Retry-After"] === "2"
+  );
+  assert.throws(
+    () => client.admitPages(5),
+    (error) =>
+      error instanceof ValidationError &&
+      /at most 4 pages per call; got 5/.test(error.message)
+  );
+  assert.equal(apiRequests("pages-test", "rate_limited"), 2);
+  new ApiClient({ id: "pages-unlimited" }).admitPages(10_000);
+});
+
+test("ApiClient - acquireSlots takes the free slots up to the wanted count", () => {
+  const client = new ApiClient({ id: "slots-test", maxConcurrent: 3 });
+  const first = client.acquireSlot();
+
+  const batch = client.acquireSlots(4);
+  assert.equal(batch.count, 2);
+  assert.equal(client.active, 3);
+  assert.throws(() => client.acquireSlots(2), RateLimitError);
+
+  batch.release();
+  first();
+  assert.equal(client.active, 0);
+  assert.equal(new ApiClient({ id: "slots-any" }).acquireSlots(4).count, 4);
+});
+
+test("ApiClient - hands out at most maxConcurrent render slots", () => {
+  const client = new ApiClient({ id: "slot-test", maxConcurrent: 2 });
+  const active = () =>
+    renderMetrics.apiActiveRenders.series.get(JSON.stringify(["slot-test"]))
+      .value;
+
+  const first = client.acquireSlot();
+  client.acquireSlot();
+  assert.equal(active(), 2);
+  assert.throws(
+    () => client.acquireSlot(),
+    (error) =>
+      error instanceof RateLimitError && error.headers["Retry-After"] === "1"
+  );
+  assert.equal(apiRequests("slot-test", "concurrency_limited"), 1);
+
+  first();
+  first();
+  assert.equal(active(), 1);
+  client.acquireSlot();
+  assert.equal(active(), 2);
+});
@@ -0,0 +1,127 @@
+import { HttpError } from "../errors/httpError.js";
+import { ValidationError } from "../errors/validationError.js";
+import { normalizeHttpUrl } from "../utils/url.js";
+import { logger } from "./logger.js";
+
+/**
+ * Extracts the URL list from a batch request body.
+ * Accepts a JSON array, an object with a `urls` array, or newline-delimited text
+ * (blank lines and lines starting with `#` are ignored).
+ * @param {unknown} body
+ * @param {number} [maxUrls]
+ * @returns {string[]}
+ * @throws {ValidationError} when the body has no URLs or too many of them.
+ */
+export function parseBatchInput(body, maxUrls = Infinity) {
+  let inputs;
+  if (Array.isArray(body)) {
+    inputs = body;
+  } else if (Array.isArray(body?.urls)) {
+    inputs = body.urls;
+  } else if (typeof body === "string") {
+    inputs = body
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line !== "" && !line.startsWith("#"));
+  } else {
+    throw new ValidationError(
+      "Body must be a JSON array of URLs, an object with a 'urls' array, or newline-delimited text."
+    );
+  }
+
+  if (inputs.length === 0) {
+    throw new ValidationError("Batch must contain at least one URL.");
+  }
+
+  if (inputs.length > maxUrls) {
+    throw new ValidationError(
+      `Batch contains ${inputs.length} URLs; the limit is ${maxUrls}.`
+    );
+  }
+
+  return inputs;
+}
+
+/**
+ * Renders every input through the shared queue with at most `concurrency` renders
+ * of this batch in flight. Each input yields exactly one result passed to onResult;
+ * invalid URLs and render failures become error results instead of failing the batch.
+ * A result's status is the page's, as `GET /render` would answer it; failures
+ * other than HttpErrors are logged and reported as a generic 500.
+ * @param {unknown[]} inputs raw URL candidates
+ * @param {{
+ *   pageRenderer: {renderResult: (url: string) => Promise<{html: string, status: number}>},
+ *   processTracker: {track: Function},
+ *   concurrency?: number,
+ *   onResult: (result: object) => unknown,
+ *   shouldStop?: () => boolean,
+ * }} options
+ * @returns {Promise<{total: number, succeeded: number, failed: number, durationMs: number}>}
+ */
+export async function renderBatch(inputs, options) {
+  const {
+    pageRenderer,
+    processTracker,
+    concurrency = 1,
+    onResult,
+    shouldStop = () => false,
+  } = options;
+  const startedAt = Date.now();
+  const summary = { total: inputs.length, succeeded: 0, failed: 0 };
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < inputs.length && !shouldStop()) {
+      const index = nextIndex;
+      nextIndex += 1;
+      const result = await renderOne(inputs[index], index, {
+        pageRenderer,
+        processTracker,
+      });
+      if (result.ok) {
+        summary.succeeded += 1;
+      } else {
+        summary.failed += 1;
+      }
+      await onResult(result);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, inputs.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return { ...summary, durationMs: Date.now() - startedAt };
+}
+
+async function renderOne(input, index, { pageRenderer, processTracker }) {
+  const startedAt = Date.now();
+  try {
+    const url = normalizeHttpUrl(input);
+    const { html, status } = await processTracker.track(
+      () => pageRenderer.renderResult(url),
+      { url }
+    );
+    return {
+      index,
+      url,
+      ok: true,
+      status,
+      durationMs: Date.now() - startedAt,
+      html,
+    };
+  } catch (error) {
+    const isHttpError = error instanceof HttpError;
+    if (!isHttpError) {
+      logger.warn(`Batch render of ${input} failed`, error);
+    }
+    return {
+      index,
+      url: input,
+      ok: false,
+      status: isHttpError ? error.statusCode : 500,
+      durationMs: Date.now() - startedAt,
+      // Like the API's error handler, internal failures stay in the logs.
+      error: isHttpError ? error.message : "Internal server error",
+    };
+  }
+}
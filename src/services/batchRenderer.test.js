@@ -0,0 +1,165 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { UrlPolicyError } from "../errors/urlPolicyError.js";
+import { ValidationError } from "../errors/validationError.js";
+import { parseBatchInput, renderBatch } from "./batchRenderer.js";
+
+const passthroughTracker = { track: async (fn) => fn() };
+
+test("parseBatchInput - accepts a JSON array", () => {
+  assert.deepEqual(parseBatchInput(["https://a.example", "https://b.example"]), [
+    "https://a.example",
+    "https://b.example",
+  ]);
+});
+
+test("parseBatchInput - accepts an object with a urls array", () => {
+  assert.deepEqual(parseBatchInput({ urls: ["https://a.example"] }), [
+    "https://a.example",
+  ]);
+});
+
+test("parseBatchInput - splits newline-delimited text and skips blanks and comments", () => {
+  const body = "https://a.example\r\n\n# comment\n  https://b.example  \n";
+
+  assert.deepEqual(parseBatchInput(body), [
+    "https://a.example",
+    "https://b.example",
+  ]);
+});
+
+test("parseBatchInput - rejects empty and unsupported bodies", () => {
+  assert.throws(() => parseBatchInput([]), ValidationError);
+  assert.throws(() => parseBatchInput("\n\n"), ValidationError);
+  assert.throws(() => parseBatchInput({}), ValidationError);
+  assert.throws(() => parseBatchInput(undefined), ValidationError);
+});
+
+test("parseBatchInput - enforces the URL limit", () => {
+  assert.throws(
+    () => parseBatchInput(["https://a.example", "https://b.example"], 1),
+    /limit is 1/
+  );
+});
+
+test("renderBatch - reports one result per input without failing on bad URLs", async () => {
+  const results = [];
+  const summary = await renderBatch(["https://a.example", "not a url"], {
+    pageRenderer: {
+      renderResult: async (url) => ({
+        html: `<html>${url}</html>`,
+        status: 200,
+      }),
+    },
+    processTracker: passthroughTracker,
+    onResult: (result) => results.push(result),
+  });
+
+  assert.equal(results.length, 2);
+  const [ok, bad] = results.sort((a, b) => a.index - b.index);
+  assert.equal(ok.ok, true);
+  assert.equal(ok.status, 200);
+  assert.equal(ok.html, "<html>https://a.example/</html>");
+  assert.equal(bad.ok, false);
+  assert.equal(bad.status, 400);
+  assert.equal(bad.url, "not a url");
+  assert.match(bad.error, /valid URL/);
+  assert.equal(summary.total, 2);
+  assert.equal(summary.succeeded, 1);
+  assert.equal(summary.failed, 1);
+});
+
+test("renderBatch - reports the status each page rendered with", async () => {
+  const results = [];
+  await renderBatch(["https://a.example/gone", "https://a.example/moved"], {
+    pageRenderer: {
+      renderResult: async (url) => ({
+        html: "<html></html>",
+        status: url.endsWith("gone") ? 404 : 301,
+      }),
+    },
+    processTracker: passthroughTracker,
+    onResult: (result) => results.push(result),
+  });
+
+  assert.deepEqual(
+    results
+      .sort((a, b) => a.index - b.index)
+      .map(({ ok, status }) => [ok, status]),
+    [
+      [true, 404],
+      [true, 301],
+    ]
+  );
+});
+
+test("renderBatch - turns render failures into generic 500 results", async () => {
+  const results = [];
+  await renderBatch(["https://a.example"], {
+    pageRenderer: {
+      renderResult: async () => {
+        throw new Error("navigation timeout at 10.0.0.5");
+      },
+    },
+    processTracker: passthroughTracker,
+    onResult: (result) => results.push(result),
+  });
+
+  assert.equal(results[0].status, 500);
+  assert.equal(results[0].error, "Internal server error");
+});
+
+test("renderBatch - keeps the message of HTTP errors", async () => {
+  const results = [];
+  await renderBatch(["http://10.0.0.5/"], {
+    pageRenderer: {
+      renderResult: async (url) => {
+        throw new UrlPolicyError(`URL ${url} is not allowed.`);
+      },
+    },
+    processTracker: passthroughTracker,
+    onResult: (result) => results.push(result),
+  });
+
+  assert.equal(results[0].status, 403);
+  assert.equal(results[0].error, "URL http://10.0.0.5/ is not allowed.");
+});
+
+test("renderBatch - keeps at most `concurrency` renders in flight", async () => {
+  let running = 0;
+  let peak = 0;
+  const urls = Array.from({ length: 6 }, (_, i) => `https://e.example/${i}`);
+
+  await renderBatch(urls, {
+    pageRenderer: {
+      renderResult: async () => {
+        running += 1;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setImmediate(resolve));
+        running -= 1;
+        return { html: "<html></html>", status: 200 };
+      },
+    },
+    processTracker: passthroughTracker,
+    concurrency: 2,
+    onResult: () => {},
+  });
+
+  assert.equal(peak, 2);
+});
+
+test("renderBatch - stops scheduling once shouldStop returns true", async () => {
+  const results = [];
+  const urls = Array.from({ length: 5 }, (_, i) => `https://e.example/${i}`);
+
+  await renderBatch(urls, {
+    pageRenderer: {
+      renderResult: async () => ({ html: "<html></html>", status: 200 }),
+    },
+    processTracker: passthroughTracker,
+    onResult: (result) => results.push(result),
+    shouldStop: () => results.length >= 2,
+  });
+
+  assert.equal(results.length, 2);
+});
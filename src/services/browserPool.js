@@ -0,0 +1,196 @@
+import puppeteer from "puppeteer";
+import { renderMetrics } from "../metrics/index.js";
+import { logger } from "./logger.js";
+
+const DEFAULT_LAUNCH_OPTIONS = {
+  headless: true,
+  args: ["--no-sandbox", "--disable-setuid-sandbox"],
+};
+
+/**
+ * Keeps a bounded set of long-lived Chromium instances and lends them out to renders.
+ * Browsers are recycled after a configurable number of renders and dropped from the
+ * pool as soon as they disconnect, so a crashed browser is replaced on the next acquire.
+ */
+export class BrowserPool {
+  constructor(options = {}) {
+    this.size = options.size ?? 1;
+    this.maxPagesPerBrowser = options.maxPagesPerBrowser ?? 1;
+    this.recycleAfter = options.recycleAfter ?? Infinity;
+    this.launchOptions = options.launchOptions ?? {};
+    this.launcher = options.launcher ?? puppeteer;
+    this.entries = [];
+    this.waiters = [];
+    this.isClosed = false;
+    this.stats = { launches: 0, crashes: 0, recycles: 0 };
+  }
+
+  /**
+   * Borrows a browser with spare page capacity, launching one when the pool is not full
+   * and waiting for a release otherwise. Every acquire must be paired with release().
+   */
+  async acquire() {
+    for (;;) {
+      if (this.isClosed) {
+        throw new Error("Browser pool is closed");
+      }
+
+      const entry = this.pickAvailable();
+      if (entry) {
+        entry.activePages += 1;
+        return entry;
+      }
+
+      if (this.entries.length < this.size) {
+        await this.launchEntry();
+        continue;
+      }
+
+      await new Promise((resolve) => this.waiters.push(resolve));
+    }
+  }
+
+  /**
+   * Returns a borrowed browser to the pool, retiring it once it reached recycleAfter renders.
+   */
+  release(entry) {
+    entry.activePages = Math.max(0, entry.activePages - 1);
+    entry.renders += 1;
+
+    if (!entry.isRetiring && entry.renders >= this.recycleAfter) {
+      entry.isRetiring = true;
+      this.stats.recycles += 1;
+      logger.info(`Recycling browser after ${entry.renders} renders`);
+    }
+
+    if (entry.isRetiring && entry.activePages === 0) {
+      this.closeEntry(entry).finally(() => this.notifyWaiters());
+      return;
+    }
+
+    this.notifyWaiters();
+  }
+
+  /**
+   * Closes every pooled browser and rejects pending acquires.
+   */
+  async close() {
+    this.isClosed = true;
+    const entries = [...this.entries];
+    await Promise.all(entries.map((entry) => this.closeEntry(entry)));
+    this.notifyWaiters();
+  }
+
+  /**
+   * Reports pool occupancy for progress and health endpoints.
+   */
+  getStats() {
+    return {
+      size: this.size,
+      browsers: this.entries.filter((entry) => entry.browser).length,
+      activePages: this.entries.reduce(
+        (total, entry) => total + entry.activePages,
+        0
+      ),
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Checks that renders can get a working browser without waiting for a free page:
+   * asks a connected pooled browser for its version, or launches one (which then
+   * stays in the pool) when none is running yet.
+   */
+  async probe() {
+    let entry = this.entries.find(
+      (candidate) => candidate.browser && candidate.browser.connected !== false
+    );
+    if (!entry && this.entries.length < this.size) {
+      entry = await this.launchEntry();
+    }
+    if (!entry?.browser) {
+      throw new Error("No pooled browser is connected yet");
+    }
+    await entry.browser.version();
+  }
+
+  pickAvailable() {
+    return this.entries
+      .filter(
+        (entry) =>
+          entry.browser &&
+          !entry.isRetiring &&
+          entry.browser.connected !== false &&
+          entry.activePages < this.maxPagesPerBrowser
+      )
+      .sort((a, b) => a.activePages - b.activePages)[0];
+  }
+
+  async launchEntry() {
+    const entry = {
+      browser: undefined,
+      activePages: 0,
+      renders: 0,
+      isRetiring: false,
+      isClosing: false,
+    };
+    this.entries.push(entry);
+
+    try {
+      entry.browser = await this.launcher.launch({
+        ...DEFAULT_LAUNCH_OPTIONS,
+        ...this.launchOptions,
+      });
+      this.stats.launches += 1;
+      renderMetrics.browserLaunches.inc();
+      entry.browser.on?.("disconnected", () => this.handleDisconnect(entry));
+      if (this.isClosed) {
+        // The pool was closed while this browser was still starting up.
+        await this.closeEntry(entry);
+        return entry;
+      }
+      logger.info(
+        `Launched pooled browser (${this.entries.length}/${this.size})`
+      );
+    } catch (error) {
+      this.removeEntry(entry);
+      throw error;
+    } finally {
+      this.notifyWaiters();
+    }
+
+    return entry;
+  }
+
+  handleDisconnect(entry) {
+    if (entry.isClosing || !this.entries.includes(entry)) {
+      return;
+    }
+
+    this.stats.crashes += 1;
+    renderMetrics.browserCrashes.inc();
+    logger.warn("Pooled browser disconnected unexpectedly, dropping it");
+    this.removeEntry(entry);
+    this.notifyWaiters();
+  }
+
+  async closeEntry(entry) {
+    entry.isClosing = true;
+    this.removeEntry(entry);
+    try {
+      await entry.browser?.close();
+    } catch (error) {
+      logger.warn("Failed to close pooled browser", error);
+    }
+  }
+
+  removeEntry(entry) {
+    this.entries = this.entries.filter((candidate) => candidate !== entry);
+  }
+
+  notifyWaiters() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+}
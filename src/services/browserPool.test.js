@@ -0,0 +1,189 @@
+import { strict as assert } from "assert";
+import { EventEmitter } from "events";
+import { test } from "node:test";
+import { BrowserPool } from "./browserPool.js";
+
+class MockBrowser extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = true;
+    this.closed = false;
+  }
+
+  async close() {
+    this.closed = true;
+    this.connected = false;
+  }
+
+  async version() {
+    return "HeadlessChrome/131.0.0.0";
+  }
+
+  crash() {
+    this.connected = false;
+    this.emit("disconnected");
+  }
+}
+
+class MockLauncher {
+  constructor() {
+    this.browsers = [];
+    this.launchOptions = [];
+  }
+
+  async launch(options) {
+    this.launchOptions.push(options);
+    const browser = new MockBrowser();
+    this.browsers.push(browser);
+    return browser;
+  }
+}
+
+test("BrowserPool - constructor applies defaults", () => {
+  const pool = new BrowserPool({ launcher: new MockLauncher() });
+
+  assert.equal(pool.size, 1);
+  assert.equal(pool.maxPagesPerBrowser, 1);
+  assert.equal(pool.recycleAfter, Infinity);
+  assert.deepEqual(pool.entries, []);
+});
+
+test("BrowserPool - acquire launches lazily and merges launch options", async () => {
+  const launcher = new MockLauncher();
+  const pool = new BrowserPool({
+    launcher,
+    launchOptions: { headless: false },
+  });
+
+  assert.equal(launcher.browsers.length, 0);
+  const lease = await pool.acquire();
+
+  assert.equal(launcher.browsers.length, 1);
+  assert.equal(lease.browser, launcher.browsers[0]);
+  assert.equal(launcher.launchOptions[0].headless, false);
+  assert.ok(launcher.launchOptions[0].args.includes("--no-sandbox"));
+  pool.release(lease);
+});
+
+test("BrowserPool - reuses a released browser", async () => {
+  const launcher = new MockLauncher();
+  const pool = new BrowserPool({ launcher, size: 2 });
+
+  const first = await pool.acquire();
+  pool.release(first);
+  const second = await pool.acquire();
+
+  assert.equal(launcher.browsers.length, 1);
+  assert.equal(first.browser, second.browser);
+});
+
+test("BrowserPool - shares a browser up to maxPagesPerBrowser", async () => {
+  const launcher = new MockLauncher();
+  const pool = new BrowserPool({ launcher, size: 2, maxPagesPerBrowser: 2 });
+
+  const a = await pool.acquire();
+  const b = await pool.acquire();
+  const c = await pool.acquire();
+
+  assert.equal(a.browser, b.browser);
+  assert.notEqual(a.browser, c.browser);
+  assert.equal(launcher.browsers.length, 2);
+});
+
+test("BrowserPool - waits for a release when the pool is exhausted", async () => {
+  const launcher = new MockLauncher();
+  const pool = new BrowserPool({ launcher, size: 1 });
+
+  const first = await pool.acquire();
+  let secondResolved = false;
+  const secondPromise = pool.acquire().then((lease) => {
+    secondResolved = true;
+    return lease;
+  });
+
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(secondResolved, false);
+
+  pool.release(first);
+  const second = await secondPromise;
+
+  assert.equal(second.browser, first.browser);
+  assert.equal(launcher.browsers.length, 1);
+});
+
+test("BrowserPool - recycles a browser after recycleAfter renders", async () => {
+  const launcher = new MockLauncher();
+  const pool = new BrowserPool({ launcher, recycleAfter: 2 });
+
+  pool.release(await pool.acquire());
+  pool.release(await pool.acquire());
+  await new Promise((resolve) => setImmediate(resolve));
+  const lease = await pool.acquire();
+
+  assert.equal(launcher.browsers.length, 2);
+  assert.ok(launcher.browsers[0].closed);
+  assert.equal(lease.browser, launcher.browsers[1]);
+  assert.equal(pool.getStats().recycles, 1);
+});
+
+test("BrowserPool - drops a crashed browser and launches a replacement", async () => {
+  const launcher = new MockLauncher();
+  const pool = new BrowserPool({ launcher });
+
+  const lease = await pool.acquire();
+  lease.browser.crash();
+  pool.release(lease);
+  const next = await pool.acquire();
+
+  assert.notEqual(next.browser, lease.browser);
+  assert.equal(pool.getStats().crashes, 1);
+  assert.equal(pool.getStats().launches, 2);
+});
+
+test("BrowserPool - close shuts down browsers and rejects new acquires", async () => {
+  const launcher = new MockLauncher();
+  const pool = new BrowserPool({ launcher });
+
+  pool.release(await pool.acquire());
+  await pool.close();
+
+  assert.ok(launcher.browsers[0].closed);
+  assert.equal(pool.getStats().crashes, 0);
+  await assert.rejects(() => pool.acquire(), /closed/);
+});
+
+test("BrowserPool - removes the entry when launch fails", async () => {
+  const pool = new BrowserPool({
+    launcher: {
+      launch: async () => {
+        throw new Error("launch failed");
+      },
+    },
+  });
+
+  await assert.rejects(() => pool.acquire(), /launch failed/);
+  assert.equal(pool.entries.length, 0);
+});
+
+test("BrowserPool - probe launches a browser when none is running", async () => {
+  const launcher = new MockLauncher();
+  const pool = new BrowserPool({ launcher, size: 2 });
+
+  await pool.probe();
+  await pool.probe();
+
+  assert.equal(launcher.browsers.length, 1);
+  assert.equal(pool.getStats().activePages, 0);
+});
+
+test("BrowserPool - probe fails when a pooled browser does not answer", async () => {
+  const launcher = new MockLauncher();
+  const pool = new BrowserPool({ launcher });
+  const lease = await pool.acquire();
+  lease.browser.version = async () => {
+    throw new Error("Protocol error: Target closed");
+  };
+
+  await assert.rejects(() => pool.probe(), /Target closed/);
+  assert.equal(lease.activePages, 1);
+});
@@ -0,0 +1,62 @@
+import { logger as defaultLogger } from "./logger.js";
+
+/**
+ * Runs the readiness probes behind GET /readyz in parallel: a pooled browser is
+ * responsive (or one can be launched), the ProcessTracker tmp dir is writable and
+ * the Logger file is writable. Each probe is bounded by timeoutMs.
+ * @param {{
+ *   pageRenderer: {browserPool: {probe: () => Promise<void>}},
+ *   processTracker: {checkWritable: () => Promise<void>},
+ *   logger?: {checkWritable: () => Promise<void>},
+ *   timeoutMs: number,
+ * }} deps
+ * @returns {Promise<{ready: boolean, checks: Record<string, {ok: boolean, durationMs: number, error?: string}>}>}
+ */
+export async function checkReadiness({
+  pageRenderer,
+  processTracker,
+  logger = defaultLogger,
+  timeoutMs,
+}) {
+  const probes = {
+    browser: () => pageRenderer.browserPool.probe(),
+    tmpDir: () => processTracker.checkWritable(),
+    logFile: () => logger.checkWritable(),
+  };
+
+  const results = await Promise.all(
+    Object.entries(probes).map(async ([name, probe]) => [
+      name,
+      await runProbe(name, probe, timeoutMs),
+    ])
+  );
+  const checks = Object.fromEntries(results);
+  return {
+    ready: Object.values(checks).every((check) => check.ok),
+    checks,
+  };
+}
+
+async function runProbe(name, probe, timeoutMs) {
+  const startedAt = Date.now();
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(
+      () => reject(new Error(`${name} check timed out after ${timeoutMs}ms`)),
+      timeoutMs
+    );
+  });
+
+  try {
+    await Promise.race([probe(), timeout]);
+    return { ok: true, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return {
+      ok: false,
+      durationMs: Date.now() - startedAt,
+      error: error instanceof Error ? error.message : String(error),
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
@@ -0,0 +1,42 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { checkReadiness } from "./healthCheck.js";
+
+const createDeps = (overrides = {}) => ({
+  pageRenderer: { browserPool: { probe: async () => {} } },
+  processTracker: { checkWritable: async () => {} },
+  logger: { checkWritable: async () => {} },
+  timeoutMs: 1000,
+  ...overrides,
+});
+
+test("checkReadiness - is ready when every probe passes", async () => {
+  const { ready, checks } = await checkReadiness(createDeps());
+
+  assert.equal(ready, true);
+  assert.deepEqual(Object.keys(checks), ["browser", "tmpDir", "logFile"]);
+  assert.ok(Object.values(checks).every((check) => check.ok));
+});
+
+test("checkReadiness - reports failing and hanging probes", async () => {
+  const { ready, checks } = await checkReadiness(
+    createDeps({
+      pageRenderer: { browserPool: { probe: () => new Promise(() => {}) } },
+      logger: {
+        checkWritable: async () => {
+          throw new Error("EACCES: permission denied");
+        },
+      },
+      timeoutMs: 20,
+    })
+  );
+
+  assert.equal(ready, false);
+  assert.equal(checks.browser.ok, false);
+  assert.match(checks.browser.error, /browser check timed out after 20ms/);
+  assert.equal(checks.tmpDir.ok, true);
+  assert.deepEqual(
+    { ok: checks.logFile.ok, error: checks.logFile.error },
+    { ok: false, error: "EACCES: permission denied" }
+  );
+});
@@ -0,0 +1,55 @@
+import { logger } from "./logger.js";
+
+/**
+ * POSTs the outcome of a finished job to its callbackUrl as JSON.
+ * Delivery problems are recorded on job.callback and never thrown, so a broken
+ * webhook cannot fail an otherwise successful render.
+ * @param {object} job finished job from JobStore
+ * @param {{fetchImpl?: typeof fetch, timeoutMs?: number, urlPolicy?: import("../utils/urlPolicy.js").UrlPolicy}} [options]
+ *   with a urlPolicy, the callbackUrl and every redirect hop must pass it
+ */
+export async function sendJobCallback(job, options = {}) {
+  if (!job.callbackUrl) {
+    return;
+  }
+
+  const fetchImpl = options.fetchImpl ?? fetch;
+  const timeoutMs = options.timeoutMs ?? 10_000;
+  const payload = {
+    id: job.id,
+    url: job.url,
+    status: job.status,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    finalUrl: job.finalUrl,
+    redirects: job.redirects,
+    html: job.html,
+  };
+
+  const init = {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(timeoutMs),
+  };
+
+  try {
+    const response = options.urlPolicy
+      ? await options.urlPolicy.fetch(job.callbackUrl, init, fetchImpl)
+      : await fetchImpl(job.callbackUrl, init);
+
+    job.callback = {
+      status: response.ok ? "delivered" : "failed",
+      responseStatus: response.status,
+      deliveredAt: new Date().toISOString(),
+    };
+    if (!response.ok) {
+      logger.warn(
+        `Job ${job.id} callback to ${job.callbackUrl} returned ${response.status}`
+      );
+    }
+  } catch (error) {
+    job.callback = { status: "failed", error: error.message };
+    logger.warn(`Job ${job.id} callback to ${job.callbackUrl} failed`, error);
+  }
+}
@@ -0,0 +1,102 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { sendJobCallback } from "./jobCallback.js";
+import { UrlPolicy } from "../utils/urlPolicy.js";
+
+const finishedJob = (overrides = {}) => ({
+  id: "job-1",
+  url: "https://example.com/",
+  status: "completed",
+  finishedAt: "2025-01-01T00:00:00.000Z",
+  html: "<html></html>",
+  callbackUrl: "https://hooks.example.com/done",
+  ...overrides,
+});
+
+test("sendJobCallback - skips jobs without callbackUrl", async () => {
+  let called = false;
+  const job = finishedJob({ callbackUrl: undefined });
+
+  await sendJobCallback(job, {
+    fetchImpl: async () => {
+      called = true;
+    },
+  });
+
+  assert.equal(called, false);
+  assert.equal(job.callback, undefined);
+});
+
+test("sendJobCallback - POSTs the job outcome as JSON", async () => {
+  const calls = [];
+  const job = finishedJob();
+
+  await sendJobCallback(job, {
+    fetchImpl: async (url, init) => {
+      calls.push({ url, init });
+      return { ok: true, status: 200 };
+    },
+  });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url, "https://hooks.example.com/done");
+  assert.equal(calls[0].init.method, "POST");
+  const body = JSON.parse(calls[0].init.body);
+  assert.equal(body.id, "job-1");
+  assert.equal(body.status, "completed");
+  assert.equal(body.html, "<html></html>");
+  assert.equal(job.callback.status, "delivered");
+});
+
+test("sendJobCallback - records non-2xx responses as failed", async () => {
+  const job = finishedJob();
+
+  await sendJobCallback(job, {
+    fetchImpl: async () => ({ ok: false, status: 500 }),
+  });
+
+  assert.equal(job.callback.status, "failed");
+  assert.equal(job.callback.responseStatus, 500);
+});
+
+test("sendJobCallback - never throws when delivery fails", async () => {
+  const job = finishedJob();
+
+  await sendJobCallback(job, {
+    fetchImpl: async () => {
+      throw new Error("connection refused");
+    },
+  });
+
+  assert.equal(job.callback.status, "failed");
+  assert.equal(job.callback.error, "connection refused");
+});
+
+test("sendJobCallback - never calls or follows redirects to denied hosts", async () => {
+  const policy = new UrlPolicy({
+    lookup: async () => [{ address: "93.184.215.14", family: 4 }],
+  });
+  const calls = [];
+  const fetchImpl = async (url) => {
+    calls.push(url);
+    return {
+      ok: false,
+      status: 307,
+      headers: new Headers({ location: "http://127.0.0.1:8080/admin" }),
+    };
+  };
+  const redirected = finishedJob();
+  const internal = finishedJob({ callbackUrl: "http://10.0.0.5/hook" });
+
+  await sendJobCallback(redirected, { fetchImpl, urlPolicy: policy });
+  await sendJobCallback(internal, { fetchImpl, urlPolicy: policy });
+
+  assert.deepEqual(calls, ["https://hooks.example.com/done"]);
+  assert.equal(redirected.callback.status, "failed");
+  assert.match(
+    redirected.callback.error,
+    /127\.0\.0\.1:8080\/admin is not allowed/
+  );
+  assert.equal(internal.callback.status, "failed");
+  assert.match(internal.callback.error, /address 10\.0\.0\.5 is private/);
+});
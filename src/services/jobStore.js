@@ -0,0 +1,117 @@
+import { randomUUID } from "crypto";
+import { UrlPolicyError } from "../errors/urlPolicyError.js";
+import { ValidationError } from "../errors/validationError.js";
+import { redactCredentials } from "../utils/pageRequest.js";
+
+/**
+ * In-memory registry of asynchronous render jobs.
+ * Finished jobs are kept for ttlMs and the store never holds more than maxJobs entries;
+ * the oldest finished jobs are evicted first.
+ */
+export class JobStore {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? 60 * 60 * 1000;
+    this.maxJobs = options.maxJobs ?? 1000;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Registers a new queued job.
+   * @param {{url: string, callbackUrl?: string, options?: object}} params
+   *   options are the validated per-request render options
+   */
+  create({ url, callbackUrl, options = {} }) {
+    this.prune();
+
+    const job = {
+      id: randomUUID(),
+      url,
+      callbackUrl,
+      options,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: undefined,
+      finishedAt: undefined,
+      error: undefined,
+      html: undefined,
+      finalUrl: undefined,
+      redirects: undefined,
+      callback: undefined,
+    };
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  markRunning(job) {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+  }
+
+  /**
+   * @param {object} job
+   * @param {string} html
+   * @param {{finalUrl?: string, redirects?: Array<{url: string, status: number}>}} [navigation]
+   *   where the render ended up after redirects
+   */
+  markCompleted(job, html, { finalUrl, redirects } = {}) {
+    job.status = "completed";
+    job.html = html;
+    job.finalUrl = finalUrl;
+    job.redirects = redirects;
+    job.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * Jobs are public through GET /jobs/:id and the callback, so like the API's
+   * error handler only client errors keep their message; log the rest.
+   * @param {object} job
+   * @param {unknown} error
+   */
+  markFailed(job, error) {
+    job.status = "failed";
+    job.error =
+      error instanceof UrlPolicyError || error instanceof ValidationError
+        ? error.message
+        : "Internal server error";
+    job.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * Public view of a job, without the rendered HTML or credentials it renders with.
+   */
+  describe(job) {
+    const { html: _html, options, ...summary } = job;
+    return {
+      ...summary,
+      options: redactCredentials(options),
+      statusUrl: `/jobs/${job.id}`,
+      resultUrl: `/jobs/${job.id}/result`,
+    };
+  }
+
+  /**
+   * Drops expired finished jobs, then the oldest finished ones while over capacity.
+   */
+  prune(now = Date.now()) {
+    const finished = Array.from(this.jobs.values()).filter((job) =>
+      Boolean(job.finishedAt)
+    );
+
+    finished.forEach((job) => {
+      if (now - Date.parse(job.finishedAt) > this.ttlMs) {
+        this.jobs.delete(job.id);
+      }
+    });
+
+    const overflow = finished
+      .filter((job) => this.jobs.has(job.id))
+      .sort((a, b) => Date.parse(a.finishedAt) - Date.parse(b.finishedAt));
+    while (this.jobs.size >= this.maxJobs && overflow.length > 0) {
+      this.jobs.delete(overflow.shift().id);
+    }
+  }
+}
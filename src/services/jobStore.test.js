@@ -0,0 +1,108 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { UrlPolicyError } from "../errors/urlPolicyError.js";
+import { ValidationError } from "../errors/validationError.js";
+import { JobStore } from "./jobStore.js";
+
+test("JobStore - create registers a queued job with an id", () => {
+  const store = new JobStore();
+
+  const job = store.create({ url: "https://example.com/" });
+
+  assert.ok(job.id);
+  assert.equal(job.status, "queued");
+  assert.equal(job.url, "https://example.com/");
+  assert.equal(store.get(job.id), job);
+});
+
+test("JobStore - tracks the job lifecycle", () => {
+  const store = new JobStore();
+  const job = store.create({ url: "https://example.com/" });
+
+  store.markRunning(job);
+  assert.equal(job.status, "running");
+  assert.ok(job.startedAt);
+
+  store.markCompleted(job, "<html></html>");
+  assert.equal(job.status, "completed");
+  assert.equal(job.html, "<html></html>");
+  assert.ok(job.finishedAt);
+});
+
+test("JobStore - markFailed keeps only client error messages", () => {
+  const store = new JobStore();
+  const [internal, denied, invalid] = [1, 2, 3].map(() =>
+    store.create({ url: "https://example.com/" })
+  );
+
+  store.markFailed(
+    internal,
+    new Error("net::ERR_NAME_NOT_RESOLVED at http://db.internal/")
+  );
+  store.markFailed(denied, new UrlPolicyError("URL is not allowed."));
+  store.markFailed(invalid, new ValidationError("Field 'url' is invalid."));
+
+  assert.equal(internal.status, "failed");
+  assert.equal(internal.error, "Internal server error");
+  assert.equal(denied.error, "URL is not allowed.");
+  assert.equal(invalid.error, "Field 'url' is invalid.");
+});
+
+test("JobStore - describe omits html and links status and result", () => {
+  const store = new JobStore();
+  const job = store.create({ url: "https://example.com/" });
+  store.markCompleted(job, "<html></html>");
+
+  const summary = store.describe(job);
+
+  assert.equal(summary.html, undefined);
+  assert.equal(summary.statusUrl, `/jobs/${job.id}`);
+  assert.equal(summary.resultUrl, `/jobs/${job.id}/result`);
+});
+
+test("JobStore - describe masks credentials in the render options", () => {
+  const store = new JobStore();
+  const job = store.create({
+    url: "https://example.com/",
+    options: {
+      stableMs: 200,
+      headers: { Authorization: "Bearer page-token" },
+      basicAuth: { username: "editor", password: "s3cret" },
+    },
+  });
+
+  const { options } = store.describe(job);
+
+  assert.deepEqual(options, {
+    stableMs: 200,
+    headers: { Authorization: "[redacted]" },
+    basicAuth: { username: "editor", password: "[redacted]" },
+  });
+  assert.equal(job.options.basicAuth.password, "s3cret");
+});
+
+test("JobStore - prune drops finished jobs older than ttlMs", () => {
+  const store = new JobStore({ ttlMs: 1000 });
+  const finished = store.create({ url: "https://example.com/a" });
+  const pending = store.create({ url: "https://example.com/b" });
+  store.markCompleted(finished, "<html></html>");
+
+  store.prune(Date.now() + 5000);
+
+  assert.equal(store.get(finished.id), undefined);
+  assert.equal(store.get(pending.id), pending);
+});
+
+test("JobStore - evicts the oldest finished jobs when over capacity", () => {
+  const store = new JobStore({ maxJobs: 2 });
+  const first = store.create({ url: "https://example.com/1" });
+  store.markCompleted(first, "1");
+  const second = store.create({ url: "https://example.com/2" });
+  store.markCompleted(second, "2");
+
+  const third = store.create({ url: "https://example.com/3" });
+
+  assert.equal(store.get(first.id), undefined);
+  assert.equal(store.get(second.id), second);
+  assert.equal(store.get(third.id), third);
+});
@@ -0,0 +1,92 @@
+import { createReadStream, createWriteStream, promises as fs } from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { createGzip } from "zlib";
+
+/**
+ * Tells whether the active log file has to be rotated before `incomingBytes`
+ * more are appended to it.
+ * @param {{size: number, openedAt: number}} file size and start of the active file
+ * @param {number} incomingBytes
+ * @param {{maxSizeBytes: number, intervalMs: number}} rotation 0 disables a limit
+ * @param {number} [now]
+ */
+export function shouldRotate(file, incomingBytes, rotation, now = Date.now()) {
+  if (file.size === 0) {
+    return false;
+  }
+  const { maxSizeBytes, intervalMs } = rotation;
+  return (
+    (maxSizeBytes > 0 && file.size + incomingBytes > maxSizeBytes) ||
+    (intervalMs > 0 && now - file.openedAt >= intervalMs)
+  );
+}
+
+/**
+ * Moves the log file aside as `<file>.<ISO timestamp>` (gzipped to `.gz` when
+ * compress is set), so the next append starts a fresh file.
+ * @returns {Promise<string>} path of the rotated file
+ */
+export async function rotateLogFile(filePath, { compress }, now = Date.now()) {
+  const stamp = new Date(now).toISOString().replace(/[:.]/g, "-");
+  let rotatedPath = `${filePath}.${stamp}`;
+  // Two rotations within one millisecond must not overwrite each other.
+  for (let suffix = 1; await exists(rotatedPath); suffix += 1) {
+    rotatedPath = `${filePath}.${stamp}-${suffix}`;
+  }
+  await fs.rename(filePath, rotatedPath);
+
+  if (!compress) {
+    return rotatedPath;
+  }
+  const gzipPath = `${rotatedPath}.gz`;
+  await pipeline(
+    createReadStream(rotatedPath),
+    createGzip(),
+    createWriteStream(gzipPath)
+  );
+  await fs.unlink(rotatedPath);
+  return gzipPath;
+}
+
+/**
+ * Deletes rotated copies of the log file beyond the newest maxFiles and those
+ * last written more than maxAgeMs ago.
+ * @param {string} filePath active log file; its rotated copies share its name as prefix
+ * @param {{maxFiles: number, maxAgeMs: number}} retention 0 disables a limit
+ * @returns {Promise<string[]>} deleted paths
+ */
+export async function pruneRotatedLogs(
+  filePath,
+  { maxFiles, maxAgeMs },
+  now = Date.now()
+) {
+  const directory = path.dirname(filePath);
+  const prefix = `${path.basename(filePath)}.`;
+  const names = (await fs.readdir(directory)).filter((name) =>
+    name.startsWith(prefix)
+  );
+  const rotated = await Promise.all(
+    names.map(async (name) => {
+      const rotatedPath = path.join(directory, name);
+      const { mtimeMs } = await fs.stat(rotatedPath);
+      return { path: rotatedPath, mtimeMs };
+    })
+  );
+  rotated.sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+  const expired = rotated.filter(
+    (file, index) =>
+      (maxFiles > 0 && index >= maxFiles) ||
+      (maxAgeMs > 0 && now - file.mtimeMs > maxAgeMs)
+  );
+  await Promise.all(expired.map((file) => fs.rm(file.path, { force: true })));
+  return expired.map((file) => file.path);
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(
+    () => true,
+    () => false
+  );
+}
@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import test from "node:test";
+import { gunzipSync } from "node:zlib";
+import {
+  pruneRotatedLogs,
+  rotateLogFile,
+  shouldRotate,
+} from "./logRotation.js";
+
+const tmpDir = path.join(
+  import.meta.dirname,
+  "..",
+  "..",
+  "tmp",
+  "log-rotation-tests"
+);
+
+const makeDir = async (name) => {
+  const directory = path.join(tmpDir, name);
+  await fs.rm(directory, { recursive: true, force: true });
+  await fs.mkdir(directory, { recursive: true });
+  return directory;
+};
+
+test("shouldRotate - applies the size and interval limits", () => {
+  const rotation = { maxSizeBytes: 100, intervalMs: 1000 };
+  const now = 10_000;
+
+  assert.equal(
+    shouldRotate({ size: 90, openedAt: now }, 10, rotation, now),
+    false
+  );
+  assert.equal(
+    shouldRotate({ size: 90, openedAt: now }, 11, rotation, now),
+    true
+  );
+  assert.equal(
+    shouldRotate({ size: 1, openedAt: now - 1000 }, 1, rotation, now),
+    true
+  );
+});
+
+test("shouldRotate - never rotates an empty file or with limits disabled", () => {
+  const now = 10_000;
+
+  assert.equal(
+    shouldRotate(
+      { size: 0, openedAt: 0 },
+      500,
+      { maxSizeBytes: 100, intervalMs: 1 },
+      now
+    ),
+    false
+  );
+  assert.equal(
+    shouldRotate(
+      { size: 5000, openedAt: 0 },
+      500,
+      { maxSizeBytes: 0, intervalMs: 0 },
+      now
+    ),
+    false
+  );
+});
+
+test("rotateLogFile - moves the file aside and gzips it", async () => {
+  const directory = await makeDir("rotate-gzip");
+  const logFile = path.join(directory, "app.log");
+  await fs.writeFile(logFile, "line one\n");
+
+  const rotatedPath = await rotateLogFile(
+    logFile,
+    { compress: true },
+    Date.UTC(2024, 0, 2, 3, 4, 5, 6)
+  );
+
+  assert.equal(
+    rotatedPath,
+    path.join(directory, "app.log.2024-01-02T03-04-05-006Z.gz")
+  );
+  assert.equal(
+    gunzipSync(await fs.readFile(rotatedPath)).toString(),
+    "line one\n"
+  );
+  assert.deepEqual(await fs.readdir(directory), [path.basename(rotatedPath)]);
+});
+
+test("rotateLogFile - keeps earlier rotations from the same millisecond", async () => {
+  const directory = await makeDir("rotate-collision");
+  const logFile = path.join(directory, "app.log");
+  const now = Date.UTC(2024, 0, 2);
+
+  await fs.writeFile(logFile, "first\n");
+  const first = await rotateLogFile(logFile, { compress: false }, now);
+  await fs.writeFile(logFile, "second\n");
+  const second = await rotateLogFile(logFile, { compress: false }, now);
+
+  assert.notEqual(first, second);
+  assert.equal(await fs.readFile(first, "utf-8"), "first\n");
+  assert.equal(await fs.readFile(second, "utf-8"), "second\n");
+});
+
+test("pruneRotatedLogs - keeps the newest maxFiles copies younger than maxAgeMs", async () => {
+  const directory = await makeDir("prune");
+  const logFile = path.join(directory, "app.log");
+  const now = Date.now();
+  const day = 86_400_000;
+  const files = {
+    "app.log.1.gz": now - 1000,
+    "app.log.2.gz": now - 2000,
+    "app.log.3.gz": now - 3000,
+    "app.log.old.gz": now - 10 * day,
+  };
+  await fs.writeFile(logFile, "active\n");
+  await fs.writeFile(path.join(directory, "other.log.1.gz"), "unrelated\n");
+  for (const [name, mtime] of Object.entries(files)) {
+    const filePath = path.join(directory, name);
+    await fs.writeFile(filePath, name);
+    await fs.utimes(filePath, new Date(mtime), new Date(mtime));
+  }
+
+  const deleted = await pruneRotatedLogs(
+    logFile,
+    { maxFiles: 3, maxAgeMs: 7 * day },
+    now
+  );
+
+  assert.deepEqual(deleted, [path.join(directory, "app.log.old.gz")]);
+  assert.deepEqual(
+    await pruneRotatedLogs(logFile, { maxFiles: 2, maxAgeMs: 0 }, now),
+    [path.join(directory, "app.log.3.gz")]
+  );
+  assert.deepEqual((await fs.readdir(directory)).sort(), [
+    "app.log",
+    "app.log.1.gz",
+    "app.log.2.gz",
+    "other.log.1.gz",
+  ]);
+});
@@ -0,0 +1,311 @@
+import dgram from "dgram";
+import { constants, promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  pruneRotatedLogs,
+  rotateLogFile,
+  shouldRotate,
+} from "./logRotation.js";
+
+export const TRANSPORT_TYPES = ["file", "stdout", "syslog", "http"];
+// RFC 5424 severities: debug, informational, warning, error.
+const SYSLOG_SEVERITIES = { log: 7, info: 6, warn: 4, error: 3 };
+const SYSLOG_FACILITY_LOCAL0 = 16;
+// Entries held per transport while its sink is slow or down.
+const MAX_BUFFERED_ENTRIES = 10_000;
+const nativeConsole = {
+  error: console.error.bind(console),
+};
+
+/**
+ * Builds the transport a `loggerConfig.transports` entry describes.
+ * @param {{type: string, levels?: Iterable<string>, [setting: string]: unknown}} spec
+ * @param {{logFilePath: string, enabledLevels: Iterable<string>, format?: string, rotation?: object}} config
+ *   logger config; the file transport writes to its logFilePath, and transports
+ *   without their own levels use enabledLevels
+ */
+export function createTransport(spec, config) {
+  const levels = spec.levels ?? config.enabledLevels;
+  switch (spec.type) {
+    case "file":
+      return new FileTransport({
+        levels,
+        filePath: spec.filePath ?? config.logFilePath,
+        rotation: spec.rotation ?? config.rotation,
+      });
+    case "stdout":
+      return new StdoutTransport({ levels });
+    case "syslog":
+      return new SyslogTransport({ ...spec, levels });
+    case "http":
+      return new HttpTransport({
+        ...spec,
+        levels,
+        contentType:
+          config.format === "json" ? "application/x-ndjson" : "text/plain",
+      });
+    default:
+      throw new Error(`Unknown log transport "${spec.type}".`);
+  }
+}
+
+/**
+ * Base of the transports: a level filter plus write batching. Entries handed over
+ * while a delivery is in flight are buffered and delivered together by the next
+ * one, in order. Past maxBufferedEntries the oldest entries are dropped; they
+ * and the entries of failed deliveries are counted in droppedEntries and
+ * reported on the native console.
+ */
+class Transport {
+  constructor(levels) {
+    this.levels = new Set(levels);
+    this.buffer = [];
+    this.maxBufferedEntries = MAX_BUFFERED_ENTRIES;
+    this.droppedEntries = 0;
+    this.unreportedOverflow = 0;
+    this.pendingFlush = undefined;
+    this.deliveryChain = Promise.resolve();
+  }
+
+  accepts(level) {
+    return this.levels.has(level);
+  }
+
+  /**
+   * Queues a formatted entry; resolves once it was delivered.
+   * @param {string} level
+   * @param {string} entry formatted entry, newline terminated
+   */
+  write(level, entry) {
+    this.buffer.push({ level, entry });
+    if (this.buffer.length > this.maxBufferedEntries) {
+      this.buffer.shift();
+      this.droppedEntries += 1;
+      this.unreportedOverflow += 1;
+    }
+    return this.flush();
+  }
+
+  /**
+   * Delivers the buffered entries. Never rejects: delivery failures are reported
+   * on the native console.
+   */
+  flush() {
+    if (!this.pendingFlush) {
+      this.pendingFlush = this.deliveryChain.then(async () => {
+        this.pendingFlush = undefined;
+        const batch = this.buffer;
+        this.buffer = [];
+        if (this.unreportedOverflow > 0) {
+          // eslint-disable-next-line no-console
+          nativeConsole.error(
+            `Dropped the ${this.unreportedOverflow} oldest entries for the ${this.name} log: more than ${this.maxBufferedEntries} were waiting.`
+          );
+          this.unreportedOverflow = 0;
+        }
+        try {
+          await this.deliver(batch);
+        } catch (error) {
+          // Part of the batch may have gone out; all of it counts as dropped.
+          this.droppedEntries += batch.length;
+          // eslint-disable-next-line no-console
+          nativeConsole.error(
+            `Failed to write to ${this.name} log (${batch.length} entries lost):`,
+            error
+          );
+        }
+      });
+      this.deliveryChain = this.pendingFlush;
+    }
+    return this.pendingFlush;
+  }
+}
+
+/**
+ * Appends entries to a file, rotating it by size and age when `rotation` is set.
+ */
+export class FileTransport extends Transport {
+  name = "file";
+
+  constructor({ levels, filePath, rotation }) {
+    super(levels);
+    this.filePath = filePath;
+    this.rotation = rotation;
+    this.ensureDirPromise = undefined;
+    // Size and start time of the active file, read lazily when rotating.
+    this.activeFile = undefined;
+  }
+
+  async deliver(batch) {
+    const chunk = batch.map(({ entry }) => entry).join("");
+    await this.ensureDirectory();
+    const bytes = Buffer.byteLength(chunk);
+    if (this.rotation) {
+      await this.rotateIfNeeded(bytes);
+    }
+    await fs.appendFile(this.filePath, chunk, "utf-8");
+    if (this.activeFile) {
+      this.activeFile.size += bytes;
+    }
+  }
+
+  async ensureDirectory() {
+    if (!this.ensureDirPromise) {
+      this.ensureDirPromise = fs
+        .mkdir(path.dirname(this.filePath), { recursive: true })
+        .then(() => undefined)
+        .catch((error) => {
+          // Reset to allow retry on subsequent attempts.
+          this.ensureDirPromise = undefined;
+          throw error;
+        });
+    }
+
+    await this.ensureDirPromise;
+  }
+
+  /**
+   * Rejects when the file (or, before the first entry, its directory) is not
+   * writable.
+   */
+  async checkWritable() {
+    await this.ensureDirectory();
+    await fs.access(this.filePath, constants.W_OK).catch(async (error) => {
+      if (error?.code !== "ENOENT") {
+        throw error;
+      }
+      await fs.access(path.dirname(this.filePath), constants.W_OK);
+    });
+  }
+
+  /**
+   * Rotates the file when appending incomingBytes would exceed the size limit or
+   * the file is older than the rotation interval, then prunes old copies.
+   * A failed rotation is reported and the entries go to the current file.
+   */
+  async rotateIfNeeded(incomingBytes) {
+    this.activeFile ??= await readFileState(this.filePath);
+    if (!shouldRotate(this.activeFile, incomingBytes, this.rotation)) {
+      return;
+    }
+
+    try {
+      await rotateLogFile(this.filePath, this.rotation);
+      await pruneRotatedLogs(this.filePath, this.rotation);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      nativeConsole.error("Failed to rotate log file:", error);
+    }
+    this.activeFile = await readFileState(this.filePath);
+  }
+}
+
+/**
+ * Writes entries to the process stdout, for containers that collect it.
+ */
+export class StdoutTransport extends Transport {
+  name = "stdout";
+
+  constructor({ levels, stream = process.stdout }) {
+    super(levels);
+    this.stream = stream;
+  }
+
+  deliver(batch) {
+    const chunk = batch.map(({ entry }) => entry).join("");
+    return new Promise((resolve, reject) => {
+      this.stream.write(chunk, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+/**
+ * Sends each entry as an RFC 5424 datagram (facility local0) to a syslog daemon
+ * over UDP.
+ */
+export class SyslogTransport extends Transport {
+  name = "syslog";
+
+  constructor({ levels, host, port, appName }) {
+    super(levels);
+    this.host = host;
+    this.port = port;
+    this.appName = appName;
+    this.hostname = os.hostname();
+    this.socket = undefined;
+  }
+
+  async deliver(batch) {
+    if (!this.socket) {
+      this.socket = dgram.createSocket(
+        this.host.includes(":") ? "udp6" : "udp4"
+      );
+      // Logging alone must not keep the process alive.
+      this.socket.unref();
+    }
+    for (const { level, entry } of batch) {
+      await new Promise((resolve, reject) => {
+        this.socket.send(
+          this.formatMessage(level, entry),
+          this.port,
+          this.host,
+          (error) => (error ? reject(error) : resolve())
+        );
+      });
+    }
+  }
+
+  formatMessage(level, entry, now = new Date()) {
+    const priority = SYSLOG_FACILITY_LOCAL0 * 8 + SYSLOG_SEVERITIES[level];
+    const header = [
+      `<${priority}>1`,
+      now.toISOString(),
+      this.hostname,
+      this.appName,
+      process.pid,
+      "-",
+      "-",
+    ].join(" ");
+    return Buffer.from(`${header} ${entry.trimEnd()}`);
+  }
+}
+
+/**
+ * POSTs batches of entries, one per line, to a log collector.
+ */
+export class HttpTransport extends Transport {
+  name = "http";
+
+  constructor({ levels, url, timeoutMs, contentType = "text/plain" }) {
+    super(levels);
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+    this.contentType = contentType;
+  }
+
+  async deliver(batch) {
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": this.contentType },
+      body: batch.map(({ entry }) => entry).join(""),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Log collector answered ${response.status}`);
+    }
+  }
+}
+
+async function readFileState(filePath) {
+  try {
+    const { size, birthtimeMs, mtimeMs } = await fs.stat(filePath);
+    // birthtime is 0 on file systems that do not record it.
+    return { size, openedAt: birthtimeMs || mtimeMs };
+  } catch (error) {
+    if (error?.code !== "ENOENT") {
+      throw error;
+    }
+    return { size: 0, openedAt: Date.now() };
+  }
+}
@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import dgram from "node:dgram";
+import { once } from "node:events";
+import { promises as fs } from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import test from "node:test";
+import {
+  createTransport,
+  FileTransport,
+  HttpTransport,
+  StdoutTransport,
+  SyslogTransport,
+} from "./logTransports.js";
+
+const tmpDir = path.join(
+  import.meta.dirname,
+  "..",
+  "..",
+  "tmp",
+  "log-transport-tests"
+);
+
+const createStream = () => {
+  const chunks = [];
+  return {
+    chunks,
+    write(chunk, callback) {
+      chunks.push(chunk);
+      setImmediate(callback);
+    },
+  };
+};
+
+test("createTransport - falls back to the logger levels and file path", () => {
+  const config = {
+    logFilePath: "/tmp/app.log",
+    enabledLevels: new Set(["info", "error"]),
+  };
+
+  const file = createTransport({ type: "file" }, config);
+  const stdout = createTransport(
+    { type: "stdout", levels: new Set(["error"]) },
+    config
+  );
+
+  assert.ok(file instanceof FileTransport);
+  assert.equal(file.filePath, "/tmp/app.log");
+  assert.deepEqual(file.levels, new Set(["info", "error"]));
+  assert.ok(stdout instanceof StdoutTransport);
+  assert.equal(stdout.accepts("info"), false);
+  assert.equal(stdout.accepts("error"), true);
+  assert.throws(() => createTransport({ type: "kafka" }, config), /kafka/);
+});
+
+test("StdoutTransport - writes entries handed over together in one chunk", async () => {
+  const stream = createStream();
+  const transport = new StdoutTransport({ levels: ["info"], stream });
+
+  await Promise.all([
+    transport.write("info", "one\n"),
+    transport.write("info", "two\n"),
+  ]);
+  await transport.write("info", "three\n");
+
+  assert.deepEqual(stream.chunks, ["one\ntwo\n", "three\n"]);
+});
+
+test("StdoutTransport - drops the oldest entries while the sink is stuck", async () => {
+  const chunks = [];
+  let unblock;
+  const stream = {
+    write(chunk, callback) {
+      chunks.push(chunk);
+      unblock = callback;
+    },
+  };
+  const transport = new StdoutTransport({ levels: ["info"], stream });
+  transport.maxBufferedEntries = 2;
+
+  const first = transport.write("info", "first\n");
+  await new Promise((resolve) => setImmediate(resolve));
+  const queued = ["a\n", "b\n", "c\n", "d\n"].map((entry) =>
+    transport.write("info", entry)
+  );
+  unblock();
+  await first;
+  await new Promise((resolve) => setImmediate(resolve));
+  unblock();
+  await Promise.all(queued);
+
+  assert.deepEqual(chunks, ["first\n", "c\nd\n"]);
+  assert.equal(transport.droppedEntries, 2);
+});
+
+test("FileTransport - appends entries to the file", async () => {
+  const filePath = path.join(tmpDir, "file", "app.log");
+  await fs.rm(path.dirname(filePath), { recursive: true, force: true });
+  const transport = new FileTransport({ levels: ["info"], filePath });
+
+  await transport.write("info", "first\n");
+  await transport.write("info", "second\n");
+
+  assert.equal(await fs.readFile(filePath, "utf-8"), "first\nsecond\n");
+});
+
+test("SyslogTransport - sends RFC 5424 datagrams", async (t) => {
+  const server = dgram.createSocket("udp4");
+  t.after(() => server.close());
+  server.bind(0, "127.0.0.1");
+  await once(server, "listening");
+  const received = once(server, "message");
+
+  const transport = new SyslogTransport({
+    levels: ["warn"],
+    host: "127.0.0.1",
+    port: server.address().port,
+    appName: "page-render",
+  });
+  await transport.write("warn", "[2024-01-01T00:00:00.000Z] [WARN] slow\n");
+
+  const [message] = await received;
+  assert.match(
+    message.toString(),
+    /^<132>1 \d{4}-\d{2}-\d{2}T\S+ \S+ page-render \d+ - - \[2024-01-01T00:00:00\.000Z\] \[WARN\] slow$/
+  );
+});
+
+test("HttpTransport - posts batches and reports collector errors", async (t) => {
+  const bodies = [];
+  let status = 204;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      bodies.push({ type: req.headers["content-type"], body });
+      res.writeHead(status).end();
+    });
+  });
+  t.after(() => server.close());
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  const transport = new HttpTransport({
+    levels: ["info"],
+    url: `http://127.0.0.1:${server.address().port}/logs`,
+    timeoutMs: 1000,
+    contentType: "application/x-ndjson",
+  });
+  await Promise.all([
+    transport.write("info", '{"msg":"a"}\n'),
+    transport.write("info", '{"msg":"b"}\n'),
+  ]);
+
+  assert.deepEqual(bodies, [
+    { type: "application/x-ndjson", body: '{"msg":"a"}\n{"msg":"b"}\n' },
+  ]);
+
+  // A failing collector is reported, never surfaced to the logging call.
+  status = 500;
+  await transport.write("info", '{"msg":"c"}\n');
+  assert.equal(bodies.length, 2);
+  assert.equal(transport.droppedEntries, 1);
+});
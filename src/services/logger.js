@@ -1,21 +1,61 @@
-import { promises as fs } from "fs";
-import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
 import { formatWithOptions } from "util";
 import { loggerConfig } from "../config/loggerConfig.js";
+import { createTransport, FileTransport } from "./logTransports.js";
 
 const LOG_LEVELS = ["log", "info", "warn", "error"];
-const nativeConsole = {
-  error: console.error.bind(console),
-};
+// Fields of the request being served, e.g. requestId and url of a /render call.
+const logContext = new AsyncLocalStorage();
 
 /**
- * Facade for console-like logging that writes log entries to the configured file.
+ * Runs fn with fields added to every entry logged from it, including from async
+ * work it starts. Nested calls extend the outer fields.
+ * @template T
+ * @param {{requestId?: string, url?: string, phase?: string, durationMs?: number}} fields
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Ties a callback to the current log context. Event emitters run listeners in
+ * the context of whoever caused the event: a pooled browser's page events run in
+ * the context of the render that launched the browser.
+ * @template {(...args: any[]) => any} F
+ * @param {F} fn
+ * @returns {F}
+ */
+export function bindLogContext(fn) {
+  const store = logContext.getStore();
+  return (...args) => logContext.run(store, fn, ...args);
+}
+
+/**
+ * @returns {Record<string, unknown>} fields of the innermost withLogContext call
+ */
+export function getLogContext() {
+  return logContext.getStore() ?? {};
+}
+
+/**
+ * Facade for console-like logging. Entries are formatted once, either as
+ * `[ISO] [LEVEL] message` lines or (format "json") as JSON lines, and handed to
+ * every configured transport whose levels include theirs; without
+ * `config.transports` they go to the file at `config.logFilePath`.
  */
 export class Logger {
   constructor(config) {
     this.logFilePath = config.logFilePath;
     this.enabledLevels = new Set(config.enabledLevels);
-    this.ensureDirPromise = undefined;
+    this.format = config.format ?? "text";
+    this.transports = (config.transports ?? [{ type: "file" }]).map((spec) =>
+      createTransport(spec, config)
+    );
+    this.fileTransport = this.transports.find(
+      (transport) => transport instanceof FileTransport
+    );
   }
 
   /**
@@ -51,38 +91,64 @@ export class Logger {
       return;
     }
 
-    if (!this.enabledLevels.has(level)) {
+    const transports = this.transports.filter((transport) =>
+      transport.accepts(level)
+    );
+    if (transports.length === 0) {
       return;
     }
 
-    try {
-      await this.ensureLogDirectory();
-      await fs.appendFile(this.logFilePath, this.formatEntry(level, args), "utf-8");
-    } catch (error) {
-      // eslint-disable-next-line no-console
-      nativeConsole.error("Failed to write to log file:", error);
-    }
+    const entry = this.formatEntry(level, args);
+    await Promise.all(
+      transports.map((transport) => transport.write(level, entry))
+    );
+  }
+
+  /**
+   * Resolves once every transport delivered its buffered entries.
+   */
+  async flush() {
+    await Promise.all(this.transports.map((transport) => transport.flush()));
+  }
+
+  // The file transport's directory cache, kept on the logger for its callers.
+  get ensureDirPromise() {
+    return this.fileTransport?.ensureDirPromise;
   }
 
   async ensureLogDirectory() {
-    if (!this.ensureDirPromise) {
-      this.ensureDirPromise = fs
-        .mkdir(path.dirname(this.logFilePath), { recursive: true })
-        .then(() => undefined)
-        .catch((error) => {
-          // Reset to allow retry on subsequent attempts.
-          this.ensureDirPromise = undefined;
-          throw error;
-        });
-    }
+    await this.fileTransport?.ensureDirectory();
+  }
 
-    await this.ensureDirPromise;
+  /**
+   * Rejects when the log file (or, before the first entry, its directory) is not
+   * writable. Resolves right away without a file transport.
+   */
+  async checkWritable() {
+    await this.fileTransport?.checkWritable();
   }
 
   formatEntry(level, args) {
     const timestamp = new Date().toISOString();
     const message = formatWithOptions({ depth: 5, breakLength: 120 }, ...args);
-    return `[${timestamp}] [${level.toUpperCase()}] ${message}\n`;
+    const { requestId, url, phase, durationMs } = getLogContext();
+
+    if (this.format === "json") {
+      // JSON.stringify drops the fields that are undefined outside a request.
+      const entry = {
+        timestamp,
+        level,
+        msg: message,
+        requestId,
+        url,
+        phase,
+        durationMs,
+      };
+      return `${JSON.stringify(entry)}\n`;
+    }
+
+    const prefix = requestId ? ` [${requestId}]` : "";
+    return `[${timestamp}] [${level.toUpperCase()}]${prefix} ${message}\n`;
   }
 }
 
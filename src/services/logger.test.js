@@ -2,7 +2,12 @@ import { strict as assert } from "assert";
 import { test } from "node:test";
 import { promises as fs } from "fs";
 import path from "path";
-import { Logger } from "./logger.js";
+import {
+  bindLogContext,
+  getLogContext,
+  Logger,
+  withLogContext,
+} from "./logger.js";
 
 const tmpDir = path.join(
   import.meta.dirname,
@@ -260,3 +265,170 @@ test("Logger - handles logging complex objects", async () => {
   assert.match(content, /nested/);
   assert.match(content, /deep/);
 });
+
+test("Logger - checkWritable resolves before and after the first entry", async () => {
+  const logFile = path.join(tmpDir, "writable", "check.log");
+  const logger = new Logger({ logFilePath: logFile, enabledLevels: ["info"] });
+
+  await logger.checkWritable();
+  await logger.info("first entry");
+  await logger.checkWritable();
+});
+
+test("Logger - formatEntry prefixes text entries with the request ID", () => {
+  const logger = new Logger({
+    logFilePath: "/tmp/test.log",
+    enabledLevels: ["info"],
+  });
+
+  const entry = withLogContext({ requestId: "req-1" }, () =>
+    logger.formatEntry("info", ["hello"])
+  );
+
+  assert.match(entry, /\[INFO\] \[req-1\] hello\n$/);
+});
+
+test("Logger - formatEntry writes JSON lines with the log context", async () => {
+  const logger = new Logger({
+    logFilePath: "/tmp/test.log",
+    enabledLevels: ["info"],
+    format: "json",
+  });
+
+  const entry = await withLogContext(
+    { requestId: "req-1", url: "https://example.com/" },
+    async () => {
+      await Promise.resolve();
+      return withLogContext({ phase: "clean", durationMs: 12 }, () =>
+        logger.formatEntry("info", ["Phase", { done: true }])
+      );
+    }
+  );
+  const parsed = JSON.parse(entry);
+
+  assert.match(entry, /\n$/);
+  assert.match(parsed.timestamp, /^\d{4}-\d{2}-\d{2}T/);
+  assert.deepEqual(
+    { ...parsed, timestamp: undefined },
+    {
+      timestamp: undefined,
+      level: "info",
+      msg: "Phase { done: true }",
+      requestId: "req-1",
+      url: "https://example.com/",
+      phase: "clean",
+      durationMs: 12,
+    }
+  );
+});
+
+test("bindLogContext - runs callbacks in the context they were bound in", () => {
+  const listener = withLogContext({ requestId: "second" }, () =>
+    bindLogContext((suffix) => `${getLogContext().requestId}-${suffix}`)
+  );
+
+  const result = withLogContext({ requestId: "first", phase: "ready" }, () =>
+    listener("event")
+  );
+
+  assert.equal(result, "second-event");
+});
+
+test("Logger - JSON entries outside a request omit the context fields", () => {
+  const logger = new Logger({
+    logFilePath: "/tmp/test.log",
+    enabledLevels: ["info"],
+    format: "json",
+  });
+
+  assert.deepEqual(getLogContext(), {});
+  assert.deepEqual(
+    Object.keys(JSON.parse(logger.formatEntry("warn", ["plain"]))),
+    ["timestamp", "level", "msg"]
+  );
+});
+
+test("Logger - batches entries logged while a write is in flight", async () => {
+  const logFile = path.join(tmpDir, "buffered", "batched.log");
+  await fs.rm(path.dirname(logFile), { recursive: true, force: true });
+  const logger = new Logger({ logFilePath: logFile, enabledLevels: ["info"] });
+  const appendCalls = [];
+  const appendFile = fs.appendFile;
+  fs.appendFile = async (...args) => {
+    appendCalls.push(args[1]);
+    return appendFile(...args);
+  };
+
+  try {
+    await Promise.all(
+      Array.from({ length: 5 }, (_, index) => logger.info(`entry ${index}`))
+    );
+  } finally {
+    fs.appendFile = appendFile;
+  }
+
+  const content = await fs.readFile(logFile, "utf-8");
+  assert.deepEqual(content.match(/entry \d/g), [
+    "entry 0",
+    "entry 1",
+    "entry 2",
+    "entry 3",
+    "entry 4",
+  ]);
+  assert.ok(appendCalls.length < 5, `${appendCalls.length} appends`);
+});
+
+test("Logger - rotates and compresses the file once it would exceed maxSizeBytes", async () => {
+  const directory = path.join(tmpDir, "rotating");
+  await fs.rm(directory, { recursive: true, force: true });
+  const logFile = path.join(directory, "app.log");
+  const logger = new Logger({
+    logFilePath: logFile,
+    enabledLevels: ["info"],
+    rotation: {
+      maxSizeBytes: 150,
+      intervalMs: 0,
+      maxFiles: 2,
+      maxAgeMs: 0,
+      compress: true,
+    },
+  });
+
+  for (let index = 0; index < 8; index += 1) {
+    await logger.info(`entry ${index} ${"x".repeat(40)}`);
+  }
+
+  const names = await fs.readdir(directory);
+  const rotated = names.filter((name) => name !== "app.log");
+  assert.equal(rotated.length, 2, names.join(", "));
+  assert.ok(rotated.every((name) => /^app\.log\..+\.gz$/.test(name)));
+  const active = await fs.readFile(logFile, "utf-8");
+  assert.ok(Buffer.byteLength(active) <= 150);
+  assert.match(active, /entry 7/);
+});
+
+test("Logger - sends entries to the transports whose levels include them", async () => {
+  const directory = path.join(tmpDir, "transports");
+  await fs.rm(directory, { recursive: true, force: true });
+  const allPath = path.join(directory, "all.log");
+  const errorPath = path.join(directory, "errors.log");
+  const logger = new Logger({
+    logFilePath: allPath,
+    enabledLevels: ["info", "error"],
+    transports: [
+      { type: "file" },
+      { type: "file", filePath: errorPath, levels: new Set(["error"]) },
+    ],
+  });
+
+  await logger.info("routine");
+  await logger.error("broken");
+  await logger.warn("not enabled anywhere");
+
+  const all = await fs.readFile(allPath, "utf-8");
+  const errors = await fs.readFile(errorPath, "utf-8");
+  assert.match(all, /routine[\s\S]*broken/);
+  assert.doesNotMatch(all, /not enabled/);
+  assert.doesNotMatch(errors, /routine/);
+  assert.match(errors, /\[ERROR\] broken/);
+});
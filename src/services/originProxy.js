@@ -0,0 +1,88 @@
+import { Readable } from "stream";
+
+// Hop-by-hop headers must not be forwarded by proxies (RFC 9110 §7.6.1).
+const HOP_BY_HOP_HEADERS = new Set([
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+]);
+
+// fetch decodes compressed bodies, so the original encoding and length no longer apply.
+const DROPPED_RESPONSE_HEADERS = new Set(["content-encoding", "content-length"]);
+
+/**
+ * Forwards an incoming request to the origin and streams the response back untouched
+ * apart from hop-by-hop headers. Redirects are passed through rather than followed.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {string} origin e.g. https://shop.example
+ * @param {{fetchImpl?: typeof fetch}} [options]
+ */
+export async function proxyToOrigin(req, res, origin, options = {}) {
+  const fetchImpl = options.fetchImpl ?? fetch;
+  const targetUrl = new URL(req.originalUrl ?? req.url, origin);
+  const hasBody = req.method !== "GET" && req.method !== "HEAD";
+
+  const upstream = await fetchImpl(targetUrl, {
+    method: req.method,
+    headers: buildForwardHeaders(req),
+    body: hasBody ? req : undefined,
+    duplex: hasBody ? "half" : undefined,
+    redirect: "manual",
+  });
+
+  res.status(upstream.status);
+  upstream.headers.forEach((value, name) => {
+    if (
+      !HOP_BY_HOP_HEADERS.has(name) &&
+      !DROPPED_RESPONSE_HEADERS.has(name) &&
+      name !== "set-cookie"
+    ) {
+      res.setHeader(name, value);
+    }
+  });
+  const cookies = upstream.headers.getSetCookie?.() ?? [];
+  if (cookies.length > 0) {
+    res.setHeader("set-cookie", cookies);
+  }
+
+  if (!upstream.body || req.method === "HEAD") {
+    res.end();
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    Readable.fromWeb(upstream.body)
+      .on("error", reject)
+      .pipe(res)
+      .on("finish", resolve)
+      .on("error", reject);
+  });
+}
+
+function buildForwardHeaders(req) {
+  const headers = {};
+  Object.entries(req.headers ?? {}).forEach(([name, value]) => {
+    if (HOP_BY_HOP_HEADERS.has(name) || name === "host") {
+      return;
+    }
+    headers[name] = Array.isArray(value) ? value.join(", ") : value;
+  });
+
+  const clientIp = req.socket?.remoteAddress;
+  if (clientIp) {
+    headers["x-forwarded-for"] = headers["x-forwarded-for"]
+      ? `${headers["x-forwarded-for"]}, ${clientIp}`
+      : clientIp;
+  }
+  if (req.headers?.host) {
+    headers["x-forwarded-host"] = req.headers.host;
+  }
+  headers["x-forwarded-proto"] = req.protocol ?? "http";
+  return headers;
+}
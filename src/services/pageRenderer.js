@@ -1,14 +1,37 @@
 import { promises as fs } from "fs";
 import { JSDOM } from "jsdom";
 import path from "path";
-import puppeteer from "puppeteer";
+import { loadBlockingRules } from "../blocking/index.js";
+import { renderConfig } from "../config/renderConfig.js";
 import { serverConfig } from "../config/serverConfig.js";
+import { UrlPolicyError } from "../errors/urlPolicyError.js";
 import { buildJsonLdScript } from "../ldgen/index.js";
+import {
+  recordRender,
+  recordRenderFailure,
+  renderMetrics,
+} from "../metrics/index.js";
 import { parseMicrodata } from "../microdata-parser/index.js"; // Ensure microdata parser is loaded
+import { loadOverlayRules } from "../overlays/index.js";
 import { cleanHTML } from "../reduce/index.js";
-import { logger } from "./logger.js";
+import { mergeHeaders } from "../utils/pageRequest.js";
+import { UrlPolicy } from "../utils/urlPolicy.js";
+import { BrowserPool } from "./browserPool.js";
+import { bindLogContext, logger, withLogContext } from "./logger.js";
+import { readPrerenderMeta } from "./prerenderMeta.js";
+import { loadRenderProfiles } from "./renderProfiles.js";
+import { extractStructuredData } from "./structuredData.js";
+import {
+  createNetworkMonitor,
+  waitForNetworkIdle,
+  waitForPageSignal,
+} from "./readiness.js";
 
 const isSnapshotEnabled = parseSnapshotFlag(process.env.SNAPSHOT);
+// Part of the render budget kept for overlays, capture and cleaning once the
+// readiness wait is over.
+const CAPTURE_RESERVE_MS = 5_000;
+const NO_PROFILE_REASON = "its host has no render profile";
 
 export class PageRenderer {
   inflight = 0;
@@ -16,89 +39,410 @@ export class PageRenderer {
 
   constructor(options = {}) {
     this.launchOptions = options.launchOptions ?? {};
+    this.browserPool =
+      options.browserPool ??
+      new BrowserPool({
+        ...renderConfig.browserPool,
+        launchOptions: this.launchOptions,
+      });
+    this.blockingRules =
+      options.blockingRules ??
+      loadBlockingRules(renderConfig.blocking.rulesFile);
+    this.urlPolicy = options.urlPolicy ?? new UrlPolicy(renderConfig.urlPolicy);
+    this.profiles =
+      options.profiles ?? loadRenderProfiles(renderConfig.profiles.file);
+    this.pageRequest = options.pageRequest ?? renderConfig.pageRequest;
+    this.overlayRules =
+      options.overlayRules ?? loadOverlayRules(renderConfig.overlays.rulesFile);
   }
 
-  async render(url) {
-    const browser = await puppeteer.launch({
-      headless: true,
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
-      ...this.launchOptions,
-    });
+  /**
+   * Renders a page and returns only its HTML.
+   * The render profile matching the URL's host, if any, supplies defaults for
+   * options the request leaves out, plus its blocking and overlay rules. Headers, cookies,
+   * basic auth and Accept-Language set through RENDER_* env vars come first;
+   * headers merge by name and cookies add up across env, profile and request.
+   * @param {string} url
+   * @param {ReturnType<typeof import("../utils/renderOptions.js").parseRenderOptions>} [options]
+   *   per-request overrides of the profile and env defaults
+   * @returns {Promise<string>}
+   */
+  async render(url, options = {}) {
+    return (await this.renderResult(url, options)).html;
+  }
+
+  /**
+   * Renders a page along with the HTTP status and headers to answer with: the
+   * upstream navigation status unless the page overrides it (and adds headers)
+   * through prerender-status-code / prerender-header meta tags.
+   * Redirects are followed unless `options.followRedirects` is false, in which
+   * case the first 3xx is returned with its Location and an empty body.
+   * The URL policy is checked for url and every request of the page, redirects
+   * included.
+   * @param {string} url
+   * @param {object} [options] see render()
+   * @returns {Promise<RenderResult>}
+   * @throws {UrlPolicyError} when url, or a redirect of it, is not allowed, or
+   *   when its host (or the host the page navigates to) has no profile and
+   *   unknown hosts are rejected
+   */
+  async renderResult(url, requestOptions = {}) {
+    const profile = this.profiles.match(url);
+    if (!profile && this.profiles.rejectUnknownHosts) {
+      throw new UrlPolicyError(
+        `URL ${url} is not allowed: ${NO_PROFILE_REASON}.`
+      );
+    }
+    const options = layerOptions([
+      this.pageRequest,
+      profile?.options,
+      requestOptions,
+    ]);
+    const blockingRules = profile?.blockingRules ?? this.blockingRules;
+    const overlayRules = profile?.overlayRules ?? this.overlayRules;
+    if (profile) {
+      logger.info(`Applying render profile ${profile.id}`);
+    }
+
+    // Policy verdicts by hostname, so each host is resolved once per render.
+    const hostVerdicts = new Map();
+    await this.urlPolicy.assertAllowed(url, hostVerdicts);
+
+    const startedAt = Date.now();
+    const metrics = {
+      timings: {},
+      requests: { allowed: 0, blocked: 0 },
+      upstreamStatus: undefined,
+      bytes: {},
+      jsonLdSource: "none",
+    };
+    const lease = await this.browserPool.acquire();
+    // A fresh incognito context per render keeps cookies and storage isolated.
+    let context;
 
     try {
-      const page = await browser.newPage();
-      const parsedUrl = this.parseUrl(url);
+      context = await lease.browser.createBrowserContext();
+      const page = await context.newPage();
 
-      const customUserAgent = process.env.USER_AGENT?.trim();
+      const customUserAgent =
+        options.userAgent ?? process.env.USER_AGENT?.trim();
       if (customUserAgent) {
-        logger.info(`Applying custom USER_AGENT`);
+        logger.info(`Applying custom user agent`);
         await page.setUserAgent({ userAgent: customUserAgent });
       }
 
-      await page.setRequestInterception(true);
-      page.on("request", (request) => {
-        logger.log(`Request ${request.url()}: ${request.resourceType()}`);
-        const u = request.url();
-        if (
-          ["font", "stylesheet", "media", "xhr", "websocket", "ping"].includes(
-            request.resourceType()
-          )
-        ) {
-          request.abort();
-          logger.log(
-            `Request ${request.url()}: ${request.resourceType()} => aborted by type`
-          );
-        } else if (
-          u.includes("analytics") ||
-          u.includes("gtm") ||
-          u.includes("doubleclick") ||
-          u.includes("hotjar") ||
-          u.includes("optimizely")
-        ) {
+      if (options.viewport) {
+        await page.setViewport(options.viewport);
+      }
+      if (options.acceptLanguage) {
+        await page.setExtraHTTPHeaders({
+          "Accept-Language": options.acceptLanguage,
+        });
+      }
+      // Extra headers and basic auth may carry credentials, so they are added
+      // per request and only for the target host and its profile's hosts;
+      // third-party requests and redirects elsewhere never see them.
+      const scopedHeaders = mergeHeaders(
+        options.headers,
+        options.basicAuth
+          ? { Authorization: basicAuthorization(options.basicAuth) }
+          : undefined,
+        // Keeps acceptLanguage ahead of an Accept-Language in headers.
+        options.acceptLanguage
+          ? { "Accept-Language": options.acceptLanguage }
+          : undefined
+      );
+      const targetHostname = hostnameOf(url);
+      const receivesScopedHeaders = (requestUrl) =>
+        Object.keys(scopedHeaders).length > 0 &&
+        (hostnameOf(requestUrl) === targetHostname ||
+          (profile !== undefined &&
+            this.profiles.match(requestUrl) === profile));
+      if (options.cookies.length > 0) {
+        const { hostname } = new URL(url);
+        await context.setCookie(
+          ...options.cookies.map((cookie) => ({ domain: hostname, ...cookie }))
+        );
+      }
+
+      const readiness = this.resolveReadiness(options);
+      const networkMonitor =
+        readiness.strategy === "network-idle"
+          ? createNetworkMonitor(page)
+          : undefined;
+
+      const ruleHits = new Map();
+      let stoppedRedirect;
+      let deniedNavigation;
+      const applyBlockingRules = (request) => {
+        const { blocked, ruleId, source } = blockingRules.match(
+          {
+            url: request.url(),
+            resourceType: request.resourceType(),
+            pageUrl: url,
+          },
+          options.blockResourceTypes
+        );
+        if (ruleId) {
+          ruleHits.set(ruleId, (ruleHits.get(ruleId) ?? 0) + 1);
+        }
+
+        metrics.requests[blocked ? "blocked" : "allowed"] += 1;
+        if (blocked) {
+          renderMetrics.blockedRequests.inc({ source });
           logger.log(
-            `Request ${request.url()}: ${request.resourceType()} => aborted analytics`
+            `Request ${request.url()}: ${request.resourceType()} => aborted by ${ruleId}`
           );
-          request.abort();
-        } else {
-          logger.log(`Request ${request.url()}:`, request.resourceType());
-          request.continue();
+          return request.abort();
         }
-      });
+        logger.log(`Request ${request.url()}:`, request.resourceType());
+        return request.continue(
+          receivesScopedHeaders(request.url())
+            ? { headers: mergeHeaders(request.headers(), scopedHeaders) }
+            : undefined
+        );
+      };
+      await page.setRequestInterception(true);
+      // Bound to this render: page events arrive in the context of the render
+      // that launched the pooled browser.
+      page.on(
+        "request",
+        bindLogContext((request) => {
+          if (
+            options.followRedirects === false &&
+            isRedirectedNavigation(page, request)
+          ) {
+            stoppedRedirect = request;
+            request.abort();
+            return;
+          }
+
+          // Redirects and script navigations must stay on hosts with a profile too.
+          const verdict =
+            this.profiles.rejectUnknownHosts &&
+            isMainFrameNavigation(page, request) &&
+            !this.profiles.match(request.url())
+              ? Promise.resolve({ allowed: false, reason: NO_PROFILE_REASON })
+              : this.urlPolicy.check(request.url(), hostVerdicts);
+          verdict
+            .then(({ allowed, reason }) => {
+              if (allowed) {
+                return applyBlockingRules(request);
+              }
+              if (isMainFrameNavigation(page, request)) {
+                deniedNavigation = `URL ${request.url()} is not allowed: ${reason}.`;
+              }
+              metrics.requests.blocked += 1;
+              renderMetrics.blockedRequests.inc({ source: "url-policy" });
+              logger.warn(
+                `Request ${request.url()} => aborted by url-policy: ${reason}`
+              );
+              return request.abort("accessdenied");
+            })
+            .catch((error) => {
+              // The page may be gone by the time the host is resolved, or Chrome
+              // may refuse the continued request; neither must escape the handler.
+              logger.warn(`Failed to intercept ${request.url()}`, error);
+            });
+        })
+      );
 
       logger.info(`Parse resource: ${url}`);
 
-      await page.goto(url);
+      let response;
+      try {
+        response = await measure(metrics.timings, "navigation", () =>
+          page.goto(
+            url,
+            options.timeoutMs ? { timeout: options.timeoutMs } : undefined
+          )
+        );
+      } catch (error) {
+        if (deniedNavigation) {
+          throw new UrlPolicyError(deniedNavigation);
+        }
+        // Aborting the redirected request fails the navigation on purpose.
+        if (!stoppedRedirect) {
+          throw error;
+        }
+      }
+      if (stoppedRedirect) {
+        logger.info(`Not following redirect of ${url}`);
+        logTotal(metrics, startedAt);
+        recordRender(metrics);
+        return buildRedirectResult(url, stoppedRedirect, metrics);
+      }
 
-      // Wait for DOM to be stable
-      await this.waitForDOMStable(
-        page,
-        serverConfig.stablePageTimeoutMs,
-        serverConfig.timeoutMs
+      // Base, canonical and JSON-LD describe where the redirects ended up.
+      const finalUrl = response?.url() || url;
+      if (this.profiles.rejectUnknownHosts && !this.profiles.match(finalUrl)) {
+        throw new UrlPolicyError(
+          `URL ${finalUrl} is not allowed: ${NO_PROFILE_REASON}.`
+        );
+      }
+      const parsedUrl = this.parseUrl(finalUrl);
+
+      await measure(metrics.timings, "ready", () =>
+        this.waitUntilReady(
+          page,
+          capReadinessWait(readiness, Date.now() - startedAt),
+          networkMonitor
+        )
       );
 
+      if (ruleHits.size > 0) {
+        logger.info(
+          `Request rule hits for ${url}: ${formatRuleHits(ruleHits)}`
+        );
+      }
+
+      if (options.dismissOverlays ?? renderConfig.overlays.enabled) {
+        await measure(metrics.timings, "overlays", () =>
+          this.dismissOverlays(page, overlayRules)
+        );
+      }
+
+      const meta = await readPrerenderMeta(page);
+      metrics.upstreamStatus = response?.status();
+      const status = meta.status ?? metrics.upstreamStatus ?? 200;
+
       logger.info(`Trying to get content: ${url}`);
-      const content = await this.getFullHTML(page).catch((error) => {
-        throw new Error(`Failed to get content for ${url}: ${error.message}`);
-      });
+      const content = await measure(metrics.timings, "fetch", () =>
+        this.getFullHTML(page).catch((error) => {
+          throw new Error(`Failed to get content for ${url}: ${error.message}`);
+        })
+      );
 
       if (isSnapshotEnabled) {
         await this.persistHtmlSnapshot(content, parsedUrl, "_raw");
       }
 
       logger.info(`Got content from: ${url}`);
-      const cleanedContent = cleanHTML(content, parsedUrl);
-      const htmlWithJsonLd = await this.injectJsonLd(cleanedContent);
+      const cleanedContent = await measure(metrics.timings, "clean", () =>
+        options.clean === false
+          ? content
+          : cleanHTML(content, parsedUrl, { stripCss: options.stripCss })
+      );
+      const { html: htmlWithJsonLd, source } = await measure(
+        metrics.timings,
+        "jsonLd",
+        () => this.applyJsonLd(cleanedContent, options.jsonLd)
+      );
+      metrics.jsonLdSource = source;
+      metrics.bytes = {
+        raw: Buffer.byteLength(content),
+        cleaned: Buffer.byteLength(cleanedContent),
+      };
+
+      let data;
+      if (options.format === "json") {
+        data = await measure(metrics.timings, "extract", () =>
+          extractStructuredData({
+            rawHtml: content,
+            cleanedHtml: cleanedContent,
+            url: finalUrl,
+          })
+        );
+        if (options.rawHtml) {
+          data.rawHtml = content;
+        }
+      }
+      logTotal(metrics, startedAt);
+      recordRender(metrics);
 
       if (isSnapshotEnabled) {
         await this.persistHtmlSnapshot(htmlWithJsonLd, parsedUrl, "_cleaned");
       }
 
-      return htmlWithJsonLd;
+      return {
+        html: htmlWithJsonLd,
+        status,
+        headers: meta.headers,
+        finalUrl,
+        redirects: describeRedirects(response),
+        metrics,
+        data,
+      };
+    } catch (error) {
+      recordRenderFailure();
+      throw error;
     } finally {
-      await browser.close();
+      await context?.close().catch((error) => {
+        logger.warn("Failed to close browser context", error);
+      });
+      this.browserPool.release(lease);
+    }
+  }
+
+  /**
+   * Clicks away and removes consent banners and modals so they do not become the
+   * first content crawlers see. A failure is logged and the DOM captured as is.
+   */
+  async dismissOverlays(page, overlayRules) {
+    try {
+      const { clicked, removed } = await overlayRules.dismiss(page);
+      const dismissed = new Set([...clicked, ...removed]);
+      dismissed.forEach((rule) => {
+        renderMetrics.dismissedOverlays.inc({ rule });
+      });
+      if (dismissed.size > 0) {
+        logger.info(`Dismissed overlays: ${[...dismissed].join(", ")}`);
+      }
+    } catch (error) {
+      logger.warn(`Failed to dismiss overlays`, error);
+    }
+  }
+
+  /**
+   * Merges per-request readiness options over the READY_* defaults. budgetMs is
+   * the whole render's time limit, which the wait must fit in.
+   */
+  resolveReadiness(options) {
+    const defaults = renderConfig.readiness;
+    return {
+      strategy: options.waitFor ?? defaults.strategy,
+      selector: options.waitForSelector ?? defaults.selector,
+      bestEffort: options.bestEffort ?? defaults.bestEffort,
+      quietMs: options.stableMs ?? serverConfig.stablePageTimeoutMs,
+      maxWaitMs: options.timeoutMs ?? defaults.maxWaitMs,
+      budgetMs: options.timeoutMs ?? serverConfig.timeoutMs,
+    };
+  }
+
+  /**
+   * Waits for the page according to the readiness strategy. In best-effort mode a
+   * strategy that does not settle in time is logged and the current DOM is used.
+   */
+  async waitUntilReady(page, readiness, networkMonitor) {
+    const { strategy, selector, bestEffort, quietMs, maxWaitMs } = readiness;
+
+    try {
+      if (strategy === "network-idle") {
+        await waitForNetworkIdle(networkMonitor, quietMs, maxWaitMs);
+      } else if (strategy === "selector") {
+        await waitForPageSignal(page, selector, maxWaitMs);
+      } else if (strategy === "prerender-ready") {
+        await waitForPageSignal(page, undefined, maxWaitMs);
+      } else {
+        await this.waitForDOMStable(page, quietMs, maxWaitMs);
+      }
+    } catch (error) {
+      if (!bestEffort) {
+        throw error;
+      }
+      logger.warn(
+        `Readiness "${strategy}" not reached, capturing current DOM: ${error.message}`
+      );
     }
   }
 
+  /**
+   * Shuts down the pooled browsers; call on server shutdown.
+   */
+  async close() {
+    await this.browserPool.close();
+  }
+
   async getFullHTML(page, timeoutMs = serverConfig.fetchHtmlTimeoutMs) {
     const client = await page.target().createCDPSession();
     const { root } = await this.sendWithTimeout(
@@ -170,6 +514,12 @@ export class PageRenderer {
               subtree: true,
               attributes: true,
             });
+            // A page that never mutates is stable after one quiet window.
+            mutationTimeout = setTimeout(() => {
+              clearTimeout(maxTimeout);
+              observer.disconnect();
+              resolve();
+            }, timeout);
           };
 
           if (document.readyState === "loading") {
@@ -254,18 +604,37 @@ export class PageRenderer {
     return sanitized || "page";
   }
 
-  async injectJsonLd(html) {
+  /**
+   * @param {string} html
+   * @param {"auto" | "off" | "microdata" | "synthesized"} [mode] "auto" upgrades
+   *   Microdata when present and synthesizes JSON-LD otherwise
+   */
+  async injectJsonLd(html, mode = "auto") {
+    return (await this.applyJsonLd(html, mode)).html;
+  }
+
+  /**
+   * injectJsonLd() that also reports where the injected JSON-LD came from.
+   * @returns {Promise<{html: string, source: "microdata" | "synthesized" | "none"}>}
+   */
+  async applyJsonLd(html, mode = "auto") {
+    const unchanged = { html, source: "none" };
     try {
-      if (typeof html !== "string" || html.trim() === "") {
-        return html;
+      if (typeof html !== "string" || html.trim() === "" || mode === "off") {
+        return unchanged;
+      }
+      const microdata =
+        mode === "synthesized" ? {} : await parseMicrodata(html);
+      const hasMicrodata = Object.keys(microdata).length !== 0;
+      if (mode === "microdata" && !hasMicrodata) {
+        return unchanged;
       }
-      const microdata = await parseMicrodata(html);
 
       const dom = new JSDOM(html);
       const { document } = dom.window;
 
       if (!document) {
-        return html;
+        return unchanged;
       }
 
       const head = document.head ?? document.createElement("head");
@@ -281,8 +650,7 @@ export class PageRenderer {
       const script = document.createElement("script");
       script.setAttribute("type", "application/ld+json");
       let jsonLdContent = "";
-      // if microdata is not empty
-      if (Object.keys(microdata).length !== 0) {
+      if (hasMicrodata) {
         jsonLdContent = JSON.stringify(microdata, null, 2);
       } else {
         jsonLdContent = buildJsonLdScript(html);
@@ -290,11 +658,14 @@ export class PageRenderer {
       script.textContent = jsonLdContent;
       head.appendChild(script);
 
-      return dom.serialize();
+      return {
+        html: dom.serialize(),
+        source: hasMicrodata ? "microdata" : "synthesized",
+      };
     } catch (error) {
       // eslint-disable-next-line no-console
       console.error("Failed to inject JSON-LD", error);
-      return html;
+      return unchanged;
     }
   }
 
@@ -309,6 +680,143 @@ export class PageRenderer {
   }
 }
 
+/**
+ * @typedef {{
+ *   html: string,
+ *   status: number,
+ *   headers: Record<string, string>,
+ *   finalUrl: string,
+ *   redirects: Array<{url: string, status: number}>,
+ *   metrics: RenderMetrics,
+ *   data?: Awaited<ReturnType<typeof extractStructuredData>> & {rawHtml?: string},
+ * }} RenderResult
+ * `redirects` lists each hop before `finalUrl` with the status it answered;
+ * `data` is only extracted for `format: "json"`.
+ */
+
+/**
+ * @typedef {{
+ *   timings: Record<string, number>,
+ *   requests: {allowed: number, blocked: number},
+ *   upstreamStatus?: number,
+ *   bytes: {raw?: number, cleaned?: number},
+ *   jsonLdSource: "microdata" | "synthesized" | "none",
+ * }} RenderMetrics
+ * Timings are milliseconds per phase (`navigation`, `ready`, `fetch`, `clean`,
+ * `jsonLd`, `extract` for JSON output) plus `total`; bytes are measured before
+ * and after cleanHTML.
+ */
+
+/**
+ * Runs one render phase and records its duration in timings[phase]. Entries
+ * logged during the phase carry its name, and its end is logged with the duration.
+ */
+async function measure(timings, phase, fn) {
+  const startedAt = Date.now();
+  try {
+    return await withLogContext({ phase }, fn);
+  } finally {
+    const durationMs = Date.now() - startedAt;
+    timings[phase] = durationMs;
+    withLogContext({ phase, durationMs }, () =>
+      logger.info(`Phase ${phase} took ${durationMs}ms`)
+    );
+  }
+}
+
+/**
+ * Later layers override earlier ones, except headers, which merge by name, and
+ * cookies, which accumulate.
+ */
+function layerOptions(layers) {
+  const present = layers.filter(Boolean);
+  return {
+    ...Object.assign({}, ...present),
+    headers: mergeHeaders(...present.map((layer) => layer.headers)),
+    cookies: present.flatMap((layer) => layer.cookies ?? []),
+  };
+}
+
+/**
+ * Shortens the readiness wait to the budget navigation left, minus the capture reserve.
+ */
+function capReadinessWait(readiness, elapsedMs) {
+  const reserveMs = Math.min(CAPTURE_RESERVE_MS, readiness.budgetMs / 4);
+  const remainingMs = readiness.budgetMs - elapsedMs - reserveMs;
+  return {
+    ...readiness,
+    maxWaitMs: Math.max(0, Math.min(readiness.maxWaitMs, remainingMs)),
+  };
+}
+
+/**
+ * Records the whole render as timings.total and logs it as phase `total`.
+ */
+function logTotal(metrics, startedAt) {
+  const durationMs = Date.now() - startedAt;
+  metrics.timings.total = durationMs;
+  withLogContext({ phase: "total", durationMs }, () =>
+    logger.info(`Render finished in ${durationMs}ms`)
+  );
+}
+
+function basicAuthorization({ username, password }) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.replace(/\.$/, "").toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+function isMainFrameNavigation(page, request) {
+  return request.isNavigationRequest() && request.frame() === page.mainFrame();
+}
+
+function isRedirectedNavigation(page, request) {
+  return (
+    isMainFrameNavigation(page, request) && request.redirectChain().length > 0
+  );
+}
+
+function describeRedirects(response) {
+  return describeRedirectChain(response?.request().redirectChain() ?? []);
+}
+
+function describeRedirectChain(chain) {
+  return chain.map((request) => ({
+    url: request.url(),
+    status: request.response()?.status(),
+  }));
+}
+
+/**
+ * @param {string} url
+ * @param {import("puppeteer").HTTPRequest} redirectedRequest the aborted request
+ *   to the redirect target
+ * @param {RenderMetrics} metrics
+ */
+function buildRedirectResult(url, redirectedRequest, metrics) {
+  const redirects = describeRedirectChain(redirectedRequest.redirectChain());
+  return {
+    html: "",
+    status: redirects.at(-1).status,
+    headers: { location: redirectedRequest.url() },
+    finalUrl: url,
+    redirects,
+    metrics: { ...metrics, upstreamStatus: redirects.at(-1).status },
+  };
+}
+
+function formatRuleHits(ruleHits) {
+  return Array.from(ruleHits.entries())
+    .map(([ruleId, hits]) => `${ruleId}=${hits}`)
+    .join(", ");
+}
+
 function parseSnapshotFlag(value) {
   if (!value) {
     return false;
@@ -1,6 +1,12 @@
 import { strict as assert } from "assert";
+import { AsyncResource } from "async_hooks";
 import { test } from "node:test";
 import { PageRenderer } from "./pageRenderer.js";
+import { renderConfig } from "../config/renderConfig.js";
+import { UrlPolicyError } from "../errors/urlPolicyError.js";
+import { UrlPolicy } from "../utils/urlPolicy.js";
+import { getLogContext, withLogContext } from "./logger.js";
+import { createRenderProfiles } from "./renderProfiles.js";
 
 // Mock Puppeteer and dependencies
 class MockClient {
@@ -60,6 +66,25 @@ class MockBrowser {
   }
 }
 
+const createResponse = (
+  status,
+  { url = "https://example.com/", chain = [] } = {}
+) => ({
+  status: () => status,
+  url: () => url,
+  request: () => ({ redirectChain: () => chain }),
+});
+
+const createRedirectRequest = (url, status) => ({
+  url: () => url,
+  response: () => ({ status: () => status }),
+});
+
+// Resolves every host to a public address, so renders do not depend on DNS.
+const publicUrlPolicy = new UrlPolicy({
+  lookup: async () => [{ address: "93.184.215.14", family: 4 }],
+});
+
 // Mock puppeteer module
 const mockPuppeteer = {
   launch: async () => new MockBrowser(),
@@ -409,3 +434,912 @@ test("PageRenderer - sendWithTimeout provides correct timeout error message", as
     assert.match(error.message, new RegExp(`${timeoutMs}ms`));
   }
 });
+
+test("PageRenderer - render borrows a pooled browser with an isolated context", async () => {
+  const page = new MockPage();
+  page.evaluate = async () => undefined;
+  const context = {
+    closed: false,
+    newPage: async () => page,
+    close: async () => {
+      context.closed = true;
+    },
+  };
+  const lease = {
+    browser: { createBrowserContext: async () => context },
+  };
+  const pool = {
+    acquired: 0,
+    released: [],
+    acquire: async () => {
+      pool.acquired += 1;
+      return lease;
+    },
+    release: (entry) => pool.released.push(entry),
+  };
+  const renderer = new PageRenderer({
+    browserPool: pool,
+    urlPolicy: publicUrlPolicy,
+  });
+
+  const html = await renderer.render("https://example.com/");
+
+  assert.match(html, /content/);
+  assert.equal(page.gotoUrl, "https://example.com/");
+  assert.equal(pool.acquired, 1);
+  assert.deepEqual(pool.released, [lease]);
+  assert.ok(context.closed);
+});
+
+test("PageRenderer - render releases the pooled browser when rendering fails", async () => {
+  const page = new MockPage();
+  page.goto = async () => {
+    throw new Error("navigation failed");
+  };
+  const context = {
+    newPage: async () => page,
+    close: async () => {},
+  };
+  const lease = { browser: { createBrowserContext: async () => context } };
+  const released = [];
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => lease,
+      release: (entry) => released.push(entry),
+    },
+  });
+
+  await assert.rejects(
+    () => renderer.render("https://example.com/"),
+    /navigation failed/
+  );
+  assert.deepEqual(released, [lease]);
+});
+
+test("PageRenderer - render applies per-request options", async () => {
+  const page = new MockPage();
+  const evaluateArgs = [];
+  page.evaluate = async (_fn, ...args) => {
+    evaluateArgs.push(args);
+  };
+  page.setViewport = async (viewport) => {
+    page.viewport = viewport;
+  };
+  page.goto = async (url, options) => {
+    page.gotoUrl = url;
+    page.gotoOptions = options;
+  };
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  const html = await renderer.render("https://example.com/", {
+    userAgent: "AuditBot/1.0",
+    viewport: { width: 390, height: 844 },
+    timeoutMs: 5000,
+    stableMs: 200,
+    clean: false,
+    jsonLd: "off",
+  });
+
+  assert.equal(html, "<html><body>content</body></html>");
+  assert.equal(page.userAgent, "AuditBot/1.0");
+  assert.deepEqual(page.viewport, { width: 390, height: 844 });
+  assert.deepEqual(page.gotoOptions, { timeout: 5000 });
+  // The DOM wait keeps a quarter of the 5s budget for capturing the page.
+  const [quietMs, maxWaitMs] = evaluateArgs[0];
+  assert.equal(quietMs, 200);
+  assert.ok(maxWaitMs > 3700 && maxWaitMs <= 3750, `waited ${maxWaitMs}ms`);
+});
+
+test("PageRenderer - injectJsonLd honours the requested mode", async () => {
+  const renderer = new PageRenderer();
+  const html = "<html><head></head><body><h1>Plain</h1></body></html>";
+
+  assert.equal(await renderer.injectJsonLd(html, "off"), html);
+  assert.equal(await renderer.injectJsonLd(html, "microdata"), html);
+  assert.match(
+    await renderer.injectJsonLd(html, "synthesized"),
+    /<script type="application\/ld\+json"/
+  );
+});
+
+test("PageRenderer - render aborts requests matched by the blocking rules", async () => {
+  const { renderMetrics } = await import("../metrics/index.js");
+  const blockedBy = (source) =>
+    renderMetrics.blockedRequests.series.get(JSON.stringify([source]))?.value ??
+    0;
+  const before = {
+    analytics: blockedBy("analytics"),
+    image: blockedBy("type:image"),
+  };
+  const page = new MockPage();
+  page.evaluate = async () => undefined;
+  const outcomes = {};
+  const fireRequest = (url, resourceType) =>
+    page.listeners.request({
+      url: () => url,
+      resourceType: () => resourceType,
+      abort: () => {
+        outcomes[url] = "aborted";
+      },
+      continue: () => {
+        outcomes[url] = "continued";
+      },
+    });
+  page.goto = async () => {
+    fireRequest("https://www.google-analytics.com/g/collect", "ping");
+    fireRequest("https://example.com/analytics-dashboard.js", "script");
+    fireRequest("https://example.com/logo.png", "image");
+  };
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  const result = await renderer.renderResult("https://example.com/", {
+    blockResourceTypes: ["image"],
+  });
+
+  assert.deepEqual(outcomes, {
+    "https://www.google-analytics.com/g/collect": "aborted",
+    "https://example.com/analytics-dashboard.js": "continued",
+    "https://example.com/logo.png": "aborted",
+  });
+  assert.deepEqual(renderer.blockingRules.getHitCounts(), {
+    analytics: 1,
+    "type:image": 1,
+  });
+  assert.deepEqual(result.metrics.requests, { allowed: 1, blocked: 2 });
+  assert.equal(blockedBy("analytics"), before.analytics + 1);
+  assert.equal(blockedBy("type:image"), before.image + 1);
+});
+
+test("PageRenderer - waitUntilReady dispatches on the readiness strategy", async () => {
+  const renderer = new PageRenderer();
+  const calls = [];
+  renderer.waitForDOMStable = async (_page, quietMs, maxWaitMs) => {
+    calls.push(["dom-stable", quietMs, maxWaitMs]);
+  };
+  const readiness = renderer.resolveReadiness({
+    stableMs: 100,
+    timeoutMs: 900,
+  });
+
+  await renderer.waitUntilReady(new MockPage(), readiness);
+  await renderer.waitUntilReady(
+    new MockPage(),
+    { ...readiness, strategy: "network-idle" },
+    { inflight: 0, lastActivity: 0 }
+  );
+
+  assert.equal(readiness.strategy, "dom-stable");
+  assert.deepEqual(calls, [["dom-stable", 100, 900]]);
+});
+
+test("PageRenderer - waitUntilReady only swallows timeouts in best-effort mode", async () => {
+  const renderer = new PageRenderer();
+  renderer.waitForDOMStable = async () => {
+    throw new Error("exceeded max wait time for DOM stability");
+  };
+  const readiness = renderer.resolveReadiness({});
+
+  await assert.rejects(
+    () => renderer.waitUntilReady(new MockPage(), readiness),
+    /exceeded max wait time/
+  );
+  await renderer.waitUntilReady(new MockPage(), {
+    ...readiness,
+    bestEffort: true,
+  });
+});
+
+test("PageRenderer - renderResult fits the readiness wait into the remaining budget", async () => {
+  const page = new MockPage();
+  page.goto = async () => {
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    return createResponse(200);
+  };
+  page.evaluate = async () => undefined;
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+  const waits = [];
+  renderer.waitForDOMStable = async (_page, _quietMs, maxWaitMs) => {
+    waits.push(maxWaitMs);
+  };
+
+  await renderer.renderResult("https://example.com/", { timeoutMs: 400 });
+  await renderer.renderResult("https://example.com/");
+
+  // 400ms budget - 150ms navigation - 100ms reserve.
+  assert.ok(waits[0] > 0 && waits[0] <= 150, `waited ${waits[0]}ms`);
+  assert.equal(waits[1], renderConfig.readiness.maxWaitMs);
+});
+
+test("PageRenderer - renderResult passes through the navigation status", async () => {
+  const page = new MockPage();
+  page.goto = async () => createResponse(404);
+  page.evaluate = async () => undefined;
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  const result = await renderer.renderResult("https://example.com/missing");
+
+  assert.equal(result.status, 404);
+  assert.deepEqual(result.headers, {});
+  assert.match(result.html, /content/);
+  assert.equal(result.metrics.upstreamStatus, 404);
+  assert.equal(result.metrics.jsonLdSource, "synthesized");
+  assert.equal(result.metrics.bytes.raw, 33);
+  assert.equal(typeof result.metrics.bytes.cleaned, "number");
+  assert.deepEqual(Object.keys(result.metrics.timings), [
+    "navigation",
+    "ready",
+    "overlays",
+    "fetch",
+    "clean",
+    "jsonLd",
+    "total",
+  ]);
+});
+
+test("PageRenderer - renderResult prefers prerender meta tags", async () => {
+  const page = new MockPage();
+  page.goto = async () => createResponse(200);
+  page.evaluate = async (_fn, ...args) =>
+    typeof args[0] === "string" && args[0].includes("prerender-status-code")
+      ? [
+          ["prerender-status-code", "301"],
+          ["prerender-header", "Location: https://example.com/new"],
+        ]
+      : undefined;
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  const result = await renderer.renderResult("https://example.com/old");
+
+  assert.equal(result.status, 301);
+  assert.deepEqual(result.headers, { location: "https://example.com/new" });
+});
+
+test("PageRenderer - renderResult cleans against the final URL of a redirect chain", async () => {
+  const page = new MockPage();
+  page.goto = async () =>
+    createResponse(200, {
+      url: "https://www.example.com/new",
+      chain: [
+        createRedirectRequest("http://example.com/old", 301),
+        createRedirectRequest("https://example.com/old", 302),
+      ],
+    });
+  page.evaluate = async () => undefined;
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  const result = await renderer.renderResult("http://example.com/old");
+
+  assert.equal(result.status, 200);
+  assert.equal(result.finalUrl, "https://www.example.com/new");
+  assert.deepEqual(result.redirects, [
+    { url: "http://example.com/old", status: 301 },
+    { url: "https://example.com/old", status: 302 },
+  ]);
+  assert.match(
+    result.html,
+    /<link rel="canonical" href="https:\/\/www\.example\.com\/new">/
+  );
+});
+
+test("PageRenderer - renderResult returns the first redirect when followRedirects is off", async () => {
+  const page = new MockPage();
+  const mainFrame = {};
+  page.mainFrame = () => mainFrame;
+  page.goto = async () => {
+    page.listeners.request({
+      url: () => "https://example.com/new",
+      isNavigationRequest: () => true,
+      frame: () => mainFrame,
+      redirectChain: () => [
+        createRedirectRequest("https://example.com/old", 308),
+      ],
+      abort: () => {
+        page.aborted = true;
+      },
+    });
+    throw new Error("net::ERR_FAILED");
+  };
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  const result = await renderer.renderResult("https://example.com/old", {
+    followRedirects: false,
+  });
+
+  assert.equal(page.aborted, true);
+  assert.equal(result.status, 308);
+  assert.deepEqual(result.headers, { location: "https://example.com/new" });
+  assert.equal(result.html, "");
+  assert.deepEqual(result.redirects, [
+    { url: "https://example.com/old", status: 308 },
+  ]);
+});
+
+test("PageRenderer - renderResult extracts structured data for format=json", async () => {
+  const page = new MockPage();
+  page.goto = async () => createResponse(200);
+  page.evaluate = async () => undefined;
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  const html = await renderer.renderResult("https://example.com/");
+  const json = await renderer.renderResult("https://example.com/", {
+    format: "json",
+    rawHtml: true,
+  });
+
+  assert.equal(html.data, undefined);
+  assert.equal(json.data.rawHtml, "<html><body>content</body></html>");
+  assert.deepEqual(json.data.links, []);
+  assert.equal(json.data.jsonLd["@context"], "https://schema.org");
+  assert.equal(typeof json.metrics.timings.extract, "number");
+});
+
+test("PageRenderer - renderResult records outcomes in the metrics registry", async () => {
+  const { renderMetrics } = await import("../metrics/index.js");
+  const countOf = (outcome) =>
+    renderMetrics.renders.series.get(JSON.stringify([outcome]))?.value ?? 0;
+  const page = new MockPage();
+  page.evaluate = async () => undefined;
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+  const before = { success: countOf("success"), error: countOf("error") };
+
+  await renderer.renderResult("https://example.com/");
+  page.goto = async () => {
+    throw new Error("navigation failed");
+  };
+  await assert.rejects(() => renderer.renderResult("https://example.com/"));
+
+  assert.equal(countOf("success"), before.success + 1);
+  assert.equal(countOf("error"), before.error + 1);
+});
+
+test("PageRenderer - renderResult rejects a target the URL policy denies", async () => {
+  let acquired = false;
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => {
+        acquired = true;
+      },
+      release: () => {},
+    },
+  });
+
+  await assert.rejects(
+    () => renderer.renderResult("http://169.254.169.254/latest/meta-data/"),
+    (error) => error instanceof UrlPolicyError && error.statusCode === 403
+  );
+  assert.equal(acquired, false);
+});
+
+test("PageRenderer - render aborts subrequests and redirects the URL policy denies", async () => {
+  const page = new MockPage();
+  const mainFrame = {};
+  page.mainFrame = () => mainFrame;
+  page.evaluate = async () => undefined;
+  const outcomes = {};
+  const fireRequest = (url, { navigation = false } = {}) =>
+    page.listeners.request({
+      url: () => url,
+      resourceType: () => (navigation ? "document" : "script"),
+      isNavigationRequest: () => navigation,
+      frame: () => (navigation ? mainFrame : {}),
+      abort: (reason) => {
+        outcomes[url] = `aborted: ${reason}`;
+      },
+      continue: () => {
+        outcomes[url] = "continued";
+      },
+    });
+  let redirectToPrivate = false;
+  page.goto = async () => {
+    fireRequest("https://example.com/app.js");
+    fireRequest("http://10.0.0.5/internal.js");
+    if (redirectToPrivate) {
+      fireRequest("http://127.0.0.1/admin", { navigation: true });
+      await new Promise(setImmediate);
+      throw new Error("net::ERR_ACCESS_DENIED");
+    }
+    return createResponse(200);
+  };
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  const result = await renderer.renderResult("https://example.com/");
+
+  assert.deepEqual(outcomes, {
+    "https://example.com/app.js": "continued",
+    "http://10.0.0.5/internal.js": "aborted: accessdenied",
+  });
+  assert.deepEqual(result.metrics.requests, { allowed: 1, blocked: 1 });
+
+  redirectToPrivate = true;
+  await assert.rejects(
+    () => renderer.renderResult("https://example.com/"),
+    (error) =>
+      error instanceof UrlPolicyError &&
+      error.message ===
+        "URL http://127.0.0.1/admin is not allowed: address 127.0.0.1 is private."
+  );
+});
+
+test("PageRenderer - rejectUnknownHosts also applies to redirects and the final URL", async () => {
+  const page = new MockPage();
+  const mainFrame = {};
+  page.mainFrame = () => mainFrame;
+  page.evaluate = async () => undefined;
+  const outcomes = {};
+  const fireRequest = (url, { navigation = false } = {}) =>
+    page.listeners.request({
+      url: () => url,
+      resourceType: () => (navigation ? "document" : "script"),
+      isNavigationRequest: () => navigation,
+      frame: () => (navigation ? mainFrame : {}),
+      headers: () => ({}),
+      abort: (reason) => {
+        outcomes[url] = `aborted: ${reason}`;
+      },
+      continue: () => {
+        outcomes[url] = "continued";
+      },
+    });
+  let finalUrl = "https://shop.example/";
+  page.goto = async () => {
+    fireRequest("https://shop.example/", { navigation: true });
+    fireRequest("https://cdn.example.com/app.js");
+    if (finalUrl === "https://elsewhere.example/") {
+      fireRequest(finalUrl, { navigation: true });
+      await new Promise(setImmediate);
+      throw new Error("net::ERR_ACCESS_DENIED");
+    }
+    return createResponse(200, { url: finalUrl });
+  };
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    profiles: createRenderProfiles({
+      rejectUnknownHosts: true,
+      profiles: [{ id: "shop", hosts: ["shop.example"] }],
+    }),
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  await renderer.renderResult("https://shop.example/");
+  assert.deepEqual(outcomes, {
+    "https://shop.example/": "continued",
+    "https://cdn.example.com/app.js": "continued",
+  });
+
+  finalUrl = "https://elsewhere.example/";
+  await assert.rejects(
+    () => renderer.renderResult("https://shop.example/"),
+    (error) =>
+      error instanceof UrlPolicyError &&
+      error.message ===
+        "URL https://elsewhere.example/ is not allowed: its host has no render profile."
+  );
+  assert.equal(outcomes[finalUrl], "aborted: accessdenied");
+
+  // A navigation the interception did not see is caught on the response.
+  finalUrl = "https://other.example/landing";
+  await assert.rejects(
+    () => renderer.renderResult("https://shop.example/"),
+    /URL https:\/\/other\.example\/landing is not allowed/
+  );
+});
+
+test("PageRenderer - render applies the profile matching the host", async () => {
+  const page = new MockPage();
+  const evaluateArgs = [];
+  page.evaluate = async (_fn, ...args) => {
+    evaluateArgs.push(args);
+  };
+  const outcomes = {};
+  page.goto = async () => {
+    page.listeners.request({
+      url: () => "https://www.shop.example/",
+      resourceType: () => "document",
+      headers: () => ({}),
+      abort: () => {},
+      continue: (overrides) => {
+        outcomes.documentHeaders = overrides?.headers;
+      },
+    });
+    page.listeners.request({
+      url: () => "https://cdn.example.com/hero.png",
+      resourceType: () => "image",
+      abort: () => {
+        outcomes.image = "aborted";
+      },
+      continue: () => {
+        outcomes.image = "continued";
+      },
+    });
+  };
+  const cookies = [];
+  const context = {
+    newPage: async () => page,
+    setCookie: async (...added) => cookies.push(...added),
+    close: async () => {},
+  };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    profiles: createRenderProfiles({
+      profiles: [
+        {
+          id: "shop",
+          hosts: ["*.shop.example"],
+          options: { userAgent: "ShopBot/1.0", stableMs: 300 },
+          headers: { "X-Prerender": "1" },
+          cookies: [
+            { name: "consent", value: "all" },
+            { name: "ab", value: "b", domain: ".shop.example" },
+          ],
+          blocking: { resourceTypes: ["image"] },
+        },
+      ],
+    }),
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  await renderer.render("https://www.shop.example/", { stableMs: 200 });
+
+  assert.equal(page.userAgent, "ShopBot/1.0");
+  assert.deepEqual(outcomes.documentHeaders, { "X-Prerender": "1" });
+  assert.deepEqual(cookies, [
+    { domain: "www.shop.example", name: "consent", value: "all" },
+    { domain: ".shop.example", name: "ab", value: "b" },
+  ]);
+  assert.equal(outcomes.image, "aborted");
+  // The request's own options win over the profile's.
+  assert.equal(evaluateArgs[0][0], 200);
+});
+
+test("PageRenderer - render layers env, profile and request page settings", async () => {
+  const page = new MockPage();
+  page.evaluate = async () => {};
+  page.setExtraHTTPHeaders = async (headers) => {
+    page.extraHeaders = headers;
+  };
+  const continued = {};
+  page.goto = async () => {
+    [
+      "https://staging.example/",
+      "https://assets.staging.example/app.js",
+      "https://cdn.third-party.example/lib.js",
+    ].forEach((requestUrl) => {
+      page.listeners.request({
+        url: () => requestUrl,
+        resourceType: () => "script",
+        headers: () => ({ accept: "*/*" }),
+        abort: () => {},
+        continue: (overrides) => {
+          continued[requestUrl] = overrides?.headers;
+        },
+      });
+    });
+  };
+  const cookies = [];
+  const context = {
+    newPage: async () => page,
+    setCookie: async (...added) => cookies.push(...added),
+    close: async () => {},
+  };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    pageRequest: {
+      headers: { "X-Env": "1", "X-Prerender": "env" },
+      cookies: [{ name: "env", value: "1" }],
+      basicAuth: { username: "env", password: "env-secret" },
+      acceptLanguage: "en",
+    },
+    profiles: createRenderProfiles({
+      profiles: [
+        {
+          id: "staging",
+          hosts: ["staging.example", "*.staging.example"],
+          headers: { "x-prerender": "profile" },
+          basicAuth: "staging:secret",
+          acceptLanguage: "de-DE",
+        },
+      ],
+    }),
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  await renderer.render("https://staging.example/", {
+    headers: { "X-Token": "page-token" },
+    cookies: [{ name: "session", value: "abc" }],
+  });
+
+  const scoped = {
+    accept: "*/*",
+    "X-Env": "1",
+    "x-prerender": "profile",
+    "X-Token": "page-token",
+    Authorization: `Basic ${Buffer.from("staging:secret").toString("base64")}`,
+    "Accept-Language": "de-DE",
+  };
+  assert.deepEqual(page.extraHeaders, { "Accept-Language": "de-DE" });
+  assert.deepEqual(continued, {
+    "https://staging.example/": scoped,
+    "https://assets.staging.example/app.js": scoped,
+    // Third-party hosts get neither the headers nor the credentials.
+    "https://cdn.third-party.example/lib.js": undefined,
+  });
+  assert.deepEqual(cookies, [
+    { domain: "staging.example", name: "env", value: "1" },
+    { domain: "staging.example", name: "session", value: "abc" },
+  ]);
+});
+
+test("PageRenderer - render contains requests Chrome refuses to continue", async () => {
+  const page = new MockPage();
+  page.evaluate = async () => {};
+  page.goto = async () => {
+    page.listeners.request({
+      url: () => "https://example.com/",
+      resourceType: () => "document",
+      headers: () => ({}),
+      abort: async () => {},
+      continue: async () => {
+        throw new Error("Unsafe header");
+      },
+    });
+  };
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on("unhandledRejection", onUnhandled);
+
+  try {
+    await renderer.render("https://example.com/", {
+      headers: { "X-Token": "t" },
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+  } finally {
+    process.off("unhandledRejection", onUnhandled);
+  }
+
+  assert.deepEqual(unhandled, []);
+});
+
+test("PageRenderer - page events log under the render they belong to", async () => {
+  // CDP events come in on the browser's socket, in the context of the render
+  // that launched the browser.
+  let socket;
+  const seen = [];
+  const browser = {
+    createBrowserContext: async () => {
+      socket ??= new AsyncResource("CDPSocket");
+      const page = new MockPage();
+      page.evaluate = async () => {};
+      page.goto = async (url) => {
+        socket.runInAsyncScope(() =>
+          page.listeners.request({
+            url: () => url,
+            resourceType: () => "document",
+            headers: () => ({}),
+            abort: () => {},
+            continue: () => seen.push([url, getLogContext().requestId]),
+          })
+        );
+      };
+      return { newPage: async () => page, close: async () => {} };
+    },
+  };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    browserPool: { acquire: async () => ({ browser }), release: () => {} },
+  });
+
+  for (const requestId of ["first-render", "second-render"]) {
+    await withLogContext({ requestId }, () =>
+      renderer.render(`https://example.com/${requestId}`)
+    );
+  }
+
+  assert.deepEqual(seen, [
+    ["https://example.com/first-render", "first-render"],
+    ["https://example.com/second-render", "second-render"],
+  ]);
+});
+
+test("PageRenderer - renderResult dismisses overlays unless turned off", async () => {
+  const page = new MockPage();
+  page.evaluate = async () => undefined;
+  const context = { newPage: async () => page, close: async () => {} };
+  const dismissed = [];
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    overlayRules: {
+      dismiss: async (dismissedPage) => {
+        dismissed.push(dismissedPage);
+        return { clicked: ["onetrust"], removed: ["onetrust", "promo"] };
+      },
+    },
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+  const { renderMetrics } = await import("../metrics/index.js");
+  const count = (rule) =>
+    renderMetrics.dismissedOverlays.series.get(JSON.stringify([rule]))?.value ??
+    0;
+  const before = count("onetrust");
+
+  const result = await renderer.renderResult("https://example.com/");
+  const skipped = await renderer.renderResult("https://example.com/", {
+    dismissOverlays: false,
+  });
+
+  assert.deepEqual(dismissed, [page]);
+  assert.equal(count("onetrust"), before + 1);
+  assert.equal(typeof result.metrics.timings.overlays, "number");
+  assert.equal(skipped.metrics.timings.overlays, undefined);
+});
+
+test("PageRenderer - renderResult keeps rendering when overlays cannot be dismissed", async () => {
+  const page = new MockPage();
+  page.evaluate = async () => undefined;
+  const context = { newPage: async () => page, close: async () => {} };
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    overlayRules: {
+      dismiss: async () => {
+        throw new Error("Execution context was destroyed");
+      },
+    },
+    browserPool: {
+      acquire: async () => ({
+        browser: { createBrowserContext: async () => context },
+      }),
+      release: () => {},
+    },
+  });
+
+  const result = await renderer.renderResult("https://example.com/");
+
+  assert.equal(result.status, 200);
+});
+
+test("PageRenderer - render rejects hosts without a profile when configured", async () => {
+  let acquired = false;
+  const renderer = new PageRenderer({
+    urlPolicy: publicUrlPolicy,
+    profiles: createRenderProfiles({
+      rejectUnknownHosts: true,
+      profiles: [{ id: "shop", hosts: ["shop.example"] }],
+    }),
+    browserPool: {
+      acquire: async () => {
+        acquired = true;
+      },
+      release: () => {},
+    },
+  });
+
+  await assert.rejects(
+    () => renderer.render("https://other.example/"),
+    (error) =>
+      error instanceof UrlPolicyError &&
+      /has no render profile/.test(error.message)
+  );
+  assert.equal(acquired, false);
+});
@@ -0,0 +1,72 @@
+const META_SELECTOR =
+  'meta[name="prerender-status-code" i], meta[name="prerender-header" i]';
+const HEADER_NAME_REGEX = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+// Headers a page may set on the API and proxy responses: ones that describe the
+// page to a crawler. Anything else (CORS, cookies, framing, the renderer's own
+// headers) stays under the server's control.
+const ALLOWED_HEADERS = new Set([
+  "cache-control",
+  "content-language",
+  "link",
+  "location",
+  "vary",
+  "x-robots-tag",
+]);
+
+/**
+ * Reads the `prerender-status-code` and `prerender-header` meta tags SPAs use to
+ * signal soft 404s and redirects, e.g.
+ * `<meta name="prerender-status-code" content="301">` and
+ * `<meta name="prerender-header" content="Location: https://example.com/new">`.
+ * Only `Location`, `Cache-Control`, `Link`, `Content-Language`, `Vary` and
+ * `X-Robots-Tag` headers are taken.
+ * @param {import("puppeteer").Page} page
+ * @returns {Promise<{status?: number, headers: Record<string, string>}>}
+ */
+export async function readPrerenderMeta(page) {
+  const entries = await page.evaluate(
+    (selector) =>
+      Array.from(document.querySelectorAll(selector), (meta) => [
+        meta.getAttribute("name"),
+        meta.getAttribute("content") ?? "",
+      ]),
+    META_SELECTOR
+  );
+  return parsePrerenderMeta(entries ?? []);
+}
+
+/**
+ * Validates raw meta tag values; malformed ones are ignored so a typo in the page
+ * cannot break the response.
+ * @param {Array<[string, string]>} entries [name, content] pairs in document order
+ * @returns {{status?: number, headers: Record<string, string>}}
+ */
+export function parsePrerenderMeta(entries) {
+  const meta = { status: undefined, headers: {} };
+
+  entries.forEach(([name, content]) => {
+    const value = String(content).trim();
+    if (name.toLowerCase() === "prerender-status-code") {
+      const status = /^\d{3}$/.test(value) ? Number(value) : NaN;
+      if (status >= 200 && status <= 599) {
+        meta.status = status;
+      }
+      return;
+    }
+
+    const separatorIndex = value.indexOf(":");
+    const headerName = value.slice(0, separatorIndex).trim().toLowerCase();
+    const headerValue = value.slice(separatorIndex + 1).trim();
+    if (
+      separatorIndex > 0 &&
+      HEADER_NAME_REGEX.test(headerName) &&
+      ALLOWED_HEADERS.has(headerName) &&
+      headerValue !== "" &&
+      !/[\r\n]/.test(headerValue)
+    ) {
+      meta.headers[headerName] = headerValue;
+    }
+  });
+
+  return meta;
+}
@@ -0,0 +1,59 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { parsePrerenderMeta, readPrerenderMeta } from "./prerenderMeta.js";
+
+test("parsePrerenderMeta - reads the status code and headers", () => {
+  assert.deepEqual(
+    parsePrerenderMeta([
+      ["prerender-status-code", "301"],
+      ["Prerender-Header", "Location: https://example.com/new?a=1"],
+      ["prerender-header", "Cache-Control: max-age=60"],
+      ["prerender-header", "X-Robots-Tag: noindex"],
+      ["prerender-header", "Link: <https://example.com/>; rel=canonical"],
+    ]),
+    {
+      status: 301,
+      headers: {
+        location: "https://example.com/new?a=1",
+        "cache-control": "max-age=60",
+        "x-robots-tag": "noindex",
+        link: "<https://example.com/>; rel=canonical",
+      },
+    }
+  );
+});
+
+test("parsePrerenderMeta - the last status tag wins", () => {
+  const meta = parsePrerenderMeta([
+    ["prerender-status-code", "200"],
+    ["prerender-status-code", "404"],
+  ]);
+
+  assert.equal(meta.status, 404);
+});
+
+test("parsePrerenderMeta - ignores malformed and unlisted headers", () => {
+  assert.deepEqual(
+    parsePrerenderMeta([
+      ["prerender-status-code", "soon"],
+      ["prerender-status-code", "99"],
+      ["prerender-status-code", "600"],
+      ["prerender-header", "no separator"],
+      ["prerender-header", ": empty name"],
+      ["prerender-header", "Bad Name: x"],
+      ["prerender-header", "Content-Type: application/json"],
+      ["prerender-header", "Set-Cookie: session=1"],
+      ["prerender-header", "Access-Control-Allow-Origin: *"],
+      ["prerender-header", "X-Request-Id: spoofed"],
+      ["prerender-header", "Content-Security-Policy: default-src *"],
+      ["prerender-header", "X-Empty:"],
+    ]),
+    { status: undefined, headers: {} }
+  );
+});
+
+test("readPrerenderMeta - tolerates pages without meta tags", async () => {
+  const meta = await readPrerenderMeta({ evaluate: async () => [] });
+
+  assert.deepEqual(meta, { status: undefined, headers: {} });
+});
@@ -0,0 +1,114 @@
+/**
+ * Ways to decide that a rendered page is ready to be captured.
+ * - `dom-stable`: no DOM mutations for the quiet window (PageRenderer.waitForDOMStable).
+ * - `network-idle`: no requests in flight for the quiet window.
+ * - `selector`: an element matching a CSS selector exists.
+ * - `prerender-ready`: the page sets `window.prerenderReady = true`.
+ */
+export const READY_STRATEGIES = [
+  "dom-stable",
+  "network-idle",
+  "selector",
+  "prerender-ready",
+];
+
+const POLL_INTERVAL_MS = 50;
+
+/**
+ * Counts in-flight requests of a page. Attach it before navigation so the
+ * document's own subresources are counted too.
+ * @param {import("puppeteer").Page} page
+ * @returns {{inflight: number, lastActivity: number}}
+ */
+export function createNetworkMonitor(page) {
+  const monitor = { inflight: 0, lastActivity: Date.now() };
+  const onStart = () => {
+    monitor.inflight += 1;
+    monitor.lastActivity = Date.now();
+  };
+  const onEnd = () => {
+    monitor.inflight = Math.max(0, monitor.inflight - 1);
+    monitor.lastActivity = Date.now();
+  };
+
+  page.on("request", onStart);
+  // Aborted (blocked) requests end with requestfailed.
+  page.on("requestfinished", onEnd);
+  page.on("requestfailed", onEnd);
+  return monitor;
+}
+
+/**
+ * Resolves once no request has been in flight for quietMs.
+ * Polls Node-side counters instead of Puppeteer's wait helpers, whose options
+ * differ across versions.
+ * @param {{inflight: number, lastActivity: number}} monitor
+ * @param {number} quietMs
+ * @param {number} maxWaitMs
+ */
+export function waitForNetworkIdle(monitor, quietMs, maxWaitMs) {
+  const startedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const interval = setInterval(() => {
+      const now = Date.now();
+      if (monitor.inflight === 0 && now - monitor.lastActivity >= quietMs) {
+        clearInterval(interval);
+        resolve();
+      } else if (now - startedAt >= maxWaitMs) {
+        clearInterval(interval);
+        reject(
+          new Error(
+            `network not idle after ${maxWaitMs}ms (${monitor.inflight} requests in flight)`
+          )
+        );
+      }
+    }, POLL_INTERVAL_MS);
+  });
+}
+
+/**
+ * Resolves once `selector` matches an element, or when no selector is given,
+ * once the page sets `window.prerenderReady = true`.
+ * @param {import("puppeteer").Page} page
+ * @param {string | undefined} selector
+ * @param {number} maxWaitMs
+ */
+export async function waitForPageSignal(page, selector, maxWaitMs) {
+  await page.evaluate(
+    (selector, maxWait, pollInterval) => {
+      const isReady = () =>
+        selector
+          ? document.querySelector(selector) !== null
+          : window.prerenderReady === true;
+
+      return new Promise((resolve, reject) => {
+        if (isReady()) {
+          resolve();
+          return;
+        }
+
+        const interval = setInterval(() => {
+          if (isReady()) {
+            clearInterval(interval);
+            clearTimeout(timeout);
+            resolve();
+          }
+        }, pollInterval);
+        const timeout = setTimeout(() => {
+          clearInterval(interval);
+          reject(
+            new Error(
+              selector
+                ? `selector "${selector}" not found within ${maxWait}ms`
+                : `window.prerenderReady not set within ${maxWait}ms`
+            )
+          );
+        }, maxWait);
+      });
+    },
+    selector,
+    maxWaitMs,
+    POLL_INTERVAL_MS
+  );
+}
@@ -0,0 +1,83 @@
+import { strict as assert } from "assert";
+import { EventEmitter } from "events";
+import { test } from "node:test";
+import {
+  createNetworkMonitor,
+  waitForNetworkIdle,
+  waitForPageSignal,
+} from "./readiness.js";
+
+const runInFakeWindow = async (globals, fn) => {
+  const previous = { window: globalThis.window, document: globalThis.document };
+  Object.assign(globalThis, globals);
+  try {
+    return await fn();
+  } finally {
+    Object.assign(globalThis, previous);
+  }
+};
+
+const evaluatingPage = () => ({
+  evaluate: async (fn, ...args) => fn(...args),
+});
+
+test("createNetworkMonitor - counts requests until they finish or fail", () => {
+  const page = new EventEmitter();
+  const monitor = createNetworkMonitor(page);
+
+  page.emit("request");
+  page.emit("request");
+  page.emit("requestfinished");
+  assert.equal(monitor.inflight, 1);
+
+  page.emit("requestfailed");
+  page.emit("requestfailed");
+  assert.equal(monitor.inflight, 0);
+});
+
+test("waitForNetworkIdle - resolves after a quiet window with nothing in flight", async () => {
+  const page = new EventEmitter();
+  const monitor = createNetworkMonitor(page);
+  page.emit("request");
+  setTimeout(() => page.emit("requestfinished"), 30);
+
+  const startedAt = Date.now();
+  await waitForNetworkIdle(monitor, 60, 2000);
+
+  assert.ok(Date.now() - startedAt >= 90);
+});
+
+test("waitForNetworkIdle - rejects while requests stay in flight", async () => {
+  const monitor = { inflight: 2, lastActivity: Date.now() };
+
+  await assert.rejects(
+    () => waitForNetworkIdle(monitor, 10, 120),
+    /network not idle after 120ms \(2 requests in flight\)/
+  );
+});
+
+test("waitForPageSignal - waits for window.prerenderReady", async () => {
+  const window = { prerenderReady: false };
+  setTimeout(() => {
+    window.prerenderReady = true;
+  }, 60);
+
+  await runInFakeWindow({ window }, () =>
+    waitForPageSignal(evaluatingPage(), undefined, 2000)
+  );
+});
+
+test("waitForPageSignal - waits for a selector and times out without it", async () => {
+  const elements = new Set(["#app"]);
+  const document = {
+    querySelector: (selector) => (elements.has(selector) ? {} : null),
+  };
+
+  await runInFakeWindow({ document }, async () => {
+    await waitForPageSignal(evaluatingPage(), "#app", 500);
+    await assert.rejects(
+      () => waitForPageSignal(evaluatingPage(), ".product", 120),
+      /selector "\.product" not found within 120ms/
+    );
+  });
+});
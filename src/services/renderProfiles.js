@@ -0,0 +1,166 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { createBlockingRules } from "../blocking/index.js";
+import { createOverlayRules } from "../overlays/index.js";
+import { parseRenderOptions } from "../utils/renderOptions.js";
+
+// Response-shaping options stay per request.
+const REQUEST_ONLY_OPTIONS = ["format", "rawHtml"];
+
+/**
+ * Per-site render settings, picked by the hostname of the URL being rendered.
+ * Exact hostnames win over glob patterns (`*` matches any run of characters,
+ * so `*.example.com` covers every subdomain); among globs the first listed wins.
+ */
+export class RenderProfiles {
+  /**
+   * @param {{profiles?: RenderProfile[], rejectUnknownHosts?: boolean}} [options]
+   */
+  constructor({ profiles = [], rejectUnknownHosts = false } = {}) {
+    this.profiles = profiles;
+    this.rejectUnknownHosts = rejectUnknownHosts;
+    this.byHostname = new Map();
+    this.globs = [];
+    profiles.forEach((profile) => {
+      profile.hosts.forEach((host) => {
+        if (!host.includes("*")) {
+          if (!this.byHostname.has(host)) {
+            this.byHostname.set(host, profile);
+          }
+          return;
+        }
+        const pattern = host
+          .split("*")
+          .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join(".*");
+        this.globs.push({ regex: new RegExp(`^${pattern}$`), profile });
+      });
+    });
+  }
+
+  /**
+   * @param {string} url
+   * @returns {RenderProfile | undefined}
+   */
+  match(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.replace(/\.$/, "").toLowerCase();
+    } catch {
+      return undefined;
+    }
+    return (
+      this.byHostname.get(hostname) ??
+      this.globs.find(({ regex }) => regex.test(hostname))?.profile
+    );
+  }
+}
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   hosts: string[],
+ *   options: object,
+ *   blockingRules?: import("../blocking/index.js").BlockingRules,
+ *   overlayRules?: import("../overlays/index.js").OverlayRules,
+ * }} RenderProfile
+ * `options` holds render options as parseRenderOptions returns them, including
+ * the profile's `headers`, `cookies`, `basicAuth` and `acceptLanguage`;
+ * `blockingRules` and `overlayRules` replace the global rules.
+ */
+
+/**
+ * Reads the profiles file; without one no profile applies and every host may be
+ * rendered.
+ * @param {string} [file] JSON `{rejectUnknownHosts?, profiles: [{id, hosts, options?, headers?, cookies?, basicAuth?, acceptLanguage?, blocking?, overlays?}]}`
+ * @returns {RenderProfiles}
+ */
+export function loadRenderProfiles(file) {
+  if (!file) {
+    return new RenderProfiles();
+  }
+
+  try {
+    const config = JSON.parse(readFileSync(file, "utf-8"));
+    return createRenderProfiles(config, path.dirname(file));
+  } catch (error) {
+    throw new Error(`[renderProfiles] ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {{rejectUnknownHosts?: boolean, profiles: object[]}} config
+ * @param {string} [baseDir] directory the blocking filter lists are relative to
+ * @returns {RenderProfiles}
+ */
+export function createRenderProfiles(config, baseDir = process.cwd()) {
+  const { rejectUnknownHosts = false, profiles } = config ?? {};
+  if (typeof rejectUnknownHosts !== "boolean") {
+    throw new Error('"rejectUnknownHosts" must be true or false.');
+  }
+  if (!Array.isArray(profiles)) {
+    throw new Error('"profiles" must be an array.');
+  }
+
+  const ids = new Set();
+  return new RenderProfiles({
+    rejectUnknownHosts,
+    profiles: profiles.map((profile, index) => {
+      const label = `profiles[${index}]`;
+      const id = profile?.id ?? `profile-${index + 1}`;
+      if (typeof id !== "string" || id.trim() === "") {
+        throw new Error(`${label}: "id" must be a non-empty string.`);
+      }
+      if (ids.has(id)) {
+        throw new Error(`${label}: duplicate profile id "${id}".`);
+      }
+      ids.add(id);
+      try {
+        return compileProfile(profile, id, baseDir);
+      } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+      }
+    }),
+  });
+}
+
+function compileProfile(profile, id, baseDir) {
+  const {
+    hosts,
+    options = {},
+    headers,
+    cookies,
+    basicAuth,
+    acceptLanguage,
+    blocking,
+    overlays,
+  } = profile ?? {};
+  if (
+    !Array.isArray(hosts) ||
+    hosts.length === 0 ||
+    !hosts.every((host) => typeof host === "string" && host.trim() !== "")
+  ) {
+    throw new Error('"hosts" must be a non-empty array of hostnames or globs.');
+  }
+  const requestOnly = REQUEST_ONLY_OPTIONS.find((field) =>
+    Object.hasOwn(options ?? {}, field)
+  );
+  if (requestOnly) {
+    throw new Error(`Option '${requestOnly}' can only be set per request.`);
+  }
+
+  return {
+    id,
+    hosts: hosts.map((host) => host.trim().toLowerCase()),
+    options: {
+      ...parseRenderOptions(options),
+      ...parseRenderOptions({ headers, cookies, basicAuth, acceptLanguage }),
+    },
+    blockingRules:
+      blocking === undefined
+        ? undefined
+        : createBlockingRules(blocking, baseDir),
+    overlayRules:
+      overlays === undefined ? undefined : createOverlayRules(overlays),
+  };
+}
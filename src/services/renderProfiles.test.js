@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import test from "node:test";
+import { createRenderProfiles, loadRenderProfiles } from "./renderProfiles.js";
+
+test("createRenderProfiles - prefers exact hostnames, then the first glob", () => {
+  const profiles = createRenderProfiles({
+    profiles: [
+      { id: "wildcard", hosts: ["*.example.com"] },
+      { id: "shop", hosts: ["shop.example.com", "SHOP.example.net"] },
+      { id: "later", hosts: ["*.com"] },
+    ],
+  });
+
+  assert.equal(profiles.match("https://shop.example.com/cart").id, "shop");
+  assert.equal(profiles.match("https://shop.example.net./").id, "shop");
+  assert.equal(profiles.match("https://blog.example.com/").id, "wildcard");
+  assert.equal(profiles.match("https://other.com/").id, "later");
+  assert.equal(profiles.match("https://example.org/"), undefined);
+  assert.equal(profiles.rejectUnknownHosts, false);
+});
+
+test("createRenderProfiles - parses options, page request settings and rules", () => {
+  const profiles = createRenderProfiles({
+    rejectUnknownHosts: true,
+    profiles: [
+      {
+        id: "spa",
+        hosts: ["app.example.com"],
+        options: {
+          userAgent: "ShopBot/2.0",
+          waitForSelector: "#app",
+          jsonLd: "microdata",
+          stripCss: "true",
+        },
+        headers: { "X-Prerender": "1" },
+        cookies: [{ name: "consent", value: "all", path: "/" }],
+        basicAuth: "staging:secret",
+        acceptLanguage: "de-DE",
+        blocking: { resourceTypes: ["image"], block: [] },
+        overlays: {
+          includeDefaults: false,
+          rules: [{ id: "promo", selectors: ["#promo"] }],
+        },
+      },
+    ],
+  });
+
+  const profile = profiles.match("https://app.example.com/");
+  assert.equal(profiles.rejectUnknownHosts, true);
+  assert.deepEqual(profile.options, {
+    userAgent: "ShopBot/2.0",
+    waitFor: "selector",
+    waitForSelector: "#app",
+    jsonLd: "microdata",
+    stripCss: true,
+    headers: { "X-Prerender": "1" },
+    cookies: [{ name: "consent", value: "all", path: "/" }],
+    basicAuth: { username: "staging", password: "secret" },
+    acceptLanguage: "de-DE",
+  });
+  assert.deepEqual(profile.blockingRules.resourceTypes, ["image"]);
+  assert.deepEqual(profile.overlayRules.rules, [
+    { id: "promo", selectors: ["#promo"], click: [], overlayOnly: false },
+  ]);
+});
+
+test("createRenderProfiles - rejects invalid profiles with their index", () => {
+  const invalid = [
+    [{ profiles: {} }, /"profiles" must be an array/],
+    [{ profiles: [{ hosts: [] }] }, /profiles\[0\]: "hosts"/],
+    [
+      { profiles: [{ hosts: ["a.com"], options: { timeoutMs: 0 } }] },
+      /profiles\[0\]: Field 'timeoutMs'/,
+    ],
+    [
+      { profiles: [{ hosts: ["a.com"], options: { format: "json" } }] },
+      /'format' can only be set per request/,
+    ],
+    [
+      { profiles: [{ hosts: ["a.com"], headers: { "Bad Header": "x" } }] },
+      /invalid header name/,
+    ],
+    [
+      {
+        profiles: [
+          { id: "dup", hosts: ["a.com"] },
+          { id: "dup", hosts: ["b.com"] },
+        ],
+      },
+      /profiles\[1\]: duplicate profile id "dup"/,
+    ],
+    [{ rejectUnknownHosts: "yes", profiles: [] }, /rejectUnknownHosts/],
+  ];
+
+  invalid.forEach(([config, message]) => {
+    assert.throws(() => createRenderProfiles(config), message);
+  });
+});
+
+test("loadRenderProfiles - matches nothing without a file and names the file on errors", async () => {
+  const file = path.join(
+    import.meta.dirname,
+    "..",
+    "..",
+    "tmp",
+    "render-profiles-tests",
+    "profiles.json"
+  );
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, "[");
+
+  const none = loadRenderProfiles(undefined);
+  assert.equal(none.match("https://example.com/"), undefined);
+  assert.equal(none.rejectUnknownHosts, false);
+  assert.throws(
+    () => loadRenderProfiles(file),
+    /^Error: \[renderProfiles\] .*profiles\.json: /
+  );
+});
@@ -0,0 +1,112 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { expandSitemap } from "../sitemap/index.js";
+import { renderBatch } from "./batchRenderer.js";
+import { logger } from "./logger.js";
+
+/**
+ * Expands a sitemap and renders every page into outputDir.
+ * Files are named with PageRenderer.buildSnapshotBaseName (without timestamps) so two
+ * runs of the same sitemap can be diffed directly; a manifest.json lists every page.
+ * @param {{
+ *   source: {url?: string, file?: string, content?: string | Buffer},
+ *   outputDir: string,
+ *   pageRenderer: import("./pageRenderer.js").PageRenderer,
+ *   processTracker: {track: Function},
+ *   since?: Date,
+ *   maxUrls?: number,
+ *   concurrency?: number,
+ *   fetchImpl?: typeof fetch,
+ *   beforeRender?: (urls: string[]) => unknown,
+ *   onResult?: (result: object) => unknown,
+ *   shouldStop?: () => boolean,
+ * }} options beforeRender gets the expanded URLs and may throw to abort the
+ *   crawl before anything is rendered or written
+ */
+export async function crawlSitemap(options) {
+  const {
+    source,
+    outputDir,
+    pageRenderer,
+    processTracker,
+    since,
+    maxUrls,
+    concurrency,
+    fetchImpl,
+    beforeRender = () => {},
+    onResult = () => {},
+    shouldStop,
+  } = options;
+
+  // Sitemap fetches obey the same URL policy as the renders.
+  const { entries, skippedSitemaps } = await expandSitemap(source, {
+    since,
+    maxUrls,
+    fetchImpl,
+    urlPolicy: pageRenderer.urlPolicy,
+  });
+  await beforeRender(entries.map((entry) => entry.loc));
+  logger.info(
+    `Crawling ${entries.length} sitemap URLs into ${outputDir} (${skippedSitemaps.length} sitemaps skipped)`
+  );
+
+  await fs.mkdir(outputDir, { recursive: true });
+  const fileNames = assignFileNames(entries, pageRenderer);
+  const manifest = [];
+
+  const summary = await renderBatch(
+    entries.map((entry) => entry.loc),
+    {
+      pageRenderer,
+      processTracker,
+      concurrency,
+      shouldStop,
+      onResult: async ({ html, ...result }) => {
+        const file = fileNames[result.index];
+        if (result.ok) {
+          await fs.writeFile(path.join(outputDir, file), html, "utf-8");
+        }
+
+        const record = {
+          ...result,
+          lastmod: entries[result.index].lastmod,
+          file: result.ok ? file : undefined,
+        };
+        manifest.push(record);
+        await onResult(record);
+      },
+    }
+  );
+
+  manifest.sort((a, b) => a.index - b.index);
+  await fs.writeFile(
+    path.join(outputDir, "manifest.json"),
+    JSON.stringify({ ...summary, skippedSitemaps, pages: manifest }, null, 2),
+    "utf-8"
+  );
+
+  return { ...summary, skippedSitemaps, outputDir };
+}
+
+/**
+ * Maps each entry to a unique file name; colliding base names get a numeric suffix
+ * in sitemap order so names stay stable between runs.
+ */
+function assignFileNames(entries, pageRenderer) {
+  const used = new Map();
+
+  return entries.map((entry) => {
+    const baseName = pageRenderer.buildSnapshotBaseName(parseUrl(entry.loc));
+    const count = (used.get(baseName) ?? 0) + 1;
+    used.set(baseName, count);
+    return count === 1 ? `${baseName}.html` : `${baseName}_${count}.html`;
+  });
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return undefined;
+  }
+}
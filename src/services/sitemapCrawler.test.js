@@ -0,0 +1,93 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { promises as fs } from "fs";
+import path from "path";
+import { PageRenderer } from "./pageRenderer.js";
+import { crawlSitemap } from "./sitemapCrawler.js";
+
+const tmpDir = path.join(
+  import.meta.dirname,
+  "..",
+  "..",
+  "tmp",
+  "crawler-tests"
+);
+
+const sitemap = `<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://shop.example/products/a</loc><lastmod>2025-02-01</lastmod></url>
+  <url><loc>https://shop.example/products/a?color=red</loc></url>
+  <url><loc>https://shop.example/broken</loc></url>
+</urlset>`;
+
+const createRenderer = () => {
+  const renderer = new PageRenderer({ browserPool: {} });
+  renderer.renderResult = async (url) => {
+    if (url.includes("broken")) {
+      throw new Error("navigation failed");
+    }
+    return { html: `<html>${url}</html>`, status: 200 };
+  };
+  return renderer;
+};
+
+test("crawlSitemap - writes pages with snapshot base names and a manifest", async () => {
+  const outputDir = path.join(tmpDir, "run");
+  await fs.rm(outputDir, { recursive: true, force: true });
+  const results = [];
+
+  const summary = await crawlSitemap({
+    source: { content: sitemap },
+    outputDir,
+    pageRenderer: createRenderer(),
+    processTracker: { track: async (fn) => fn() },
+    onResult: (result) => results.push(result),
+  });
+
+  assert.equal(summary.total, 3);
+  assert.equal(summary.succeeded, 2);
+  assert.equal(summary.failed, 1);
+  assert.equal(results.length, 3);
+  assert.ok(results.every((result) => result.html === undefined));
+
+  const first = await fs.readFile(
+    path.join(outputDir, "shop_example_products_a.html"),
+    "utf-8"
+  );
+  assert.equal(first, "<html>https://shop.example/products/a</html>");
+  const second = await fs.readFile(
+    path.join(outputDir, "shop_example_products_a_2.html"),
+    "utf-8"
+  );
+  assert.match(second, /color=red/);
+
+  const manifest = JSON.parse(
+    await fs.readFile(path.join(outputDir, "manifest.json"), "utf-8")
+  );
+  assert.deepEqual(
+    manifest.pages.map((page) => page.index),
+    [0, 1, 2]
+  );
+  assert.equal(manifest.pages[0].lastmod, "2025-02-01");
+  assert.equal(manifest.pages[2].ok, false);
+  assert.equal(manifest.pages[2].file, undefined);
+});
+
+test("crawlSitemap - fetches sitemaps under the renderer's URL policy", async () => {
+  let fetched = false;
+
+  await assert.rejects(
+    () =>
+      crawlSitemap({
+        source: { url: "http://127.0.0.1:8080/sitemap.xml" },
+        outputDir: path.join(tmpDir, "denied"),
+        pageRenderer: createRenderer(),
+        processTracker: { track: async (fn) => fn() },
+        fetchImpl: async () => {
+          fetched = true;
+        },
+      }),
+    /address 127\.0\.0\.1 is private/
+  );
+  assert.equal(fetched, false);
+});
@@ -0,0 +1,51 @@
+import { JSDOM } from "jsdom";
+import { jsonLdBuilder } from "../ldgen/index.js";
+import { parseMicrodata } from "../microdata-parser/index.js";
+
+/**
+ * Extracts the data behind `format=json` renders so indexing jobs do not have to
+ * re-parse the HTML.
+ * Microdata and the synthesized graph come from the cleaned HTML, matching what
+ * gets injected; metadata and links come from the rendered DOM, because cleaning
+ * drops most meta tags and rewrites `<base>`.
+ * @param {{rawHtml: string, cleanedHtml: string, url: string}} input url is the
+ *   final URL of the render, used to resolve relative links
+ * @returns {Promise<{
+ *   microdata: object,
+ *   jsonLd: object,
+ *   metadata: ReturnType<typeof jsonLdBuilder.extractMetadata>,
+ *   links: Array<{url: string, text: string, rel?: string}>,
+ * }>}
+ */
+export async function extractStructuredData({ rawHtml, cleanedHtml, url }) {
+  return {
+    microdata: await parseMicrodata(cleanedHtml),
+    jsonLd: JSON.parse(jsonLdBuilder.build(cleanedHtml)),
+    metadata: jsonLdBuilder.extractMetadata(rawHtml),
+    links: extractLinks(rawHtml, url),
+  };
+}
+
+/**
+ * Absolute http(s) links of the page, once per URL in document order.
+ */
+export function extractLinks(html, url) {
+  const { document } = new JSDOM(html, { url }).window;
+  const links = new Map();
+
+  document.querySelectorAll("a[href]").forEach((anchor) => {
+    // jsdom resolves href against the document URL and any <base>.
+    const href = anchor.href.split("#")[0];
+    if (!/^https?:/i.test(href) || links.has(href)) {
+      return;
+    }
+    const rel = anchor.getAttribute("rel")?.trim();
+    links.set(href, {
+      url: href,
+      text: anchor.textContent.replace(/\s+/g, " ").trim(),
+      ...(rel ? { rel } : {}),
+    });
+  });
+
+  return Array.from(links.values());
+}
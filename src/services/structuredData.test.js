@@ -0,0 +1,54 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { extractLinks, extractStructuredData } from "./structuredData.js";
+
+test("extractLinks - resolves, dedupes and keeps only http(s) links", () => {
+  const html = `
+    <html><head><base href="https://cdn.example.com/docs/"></head><body>
+      <a href="intro">  Getting
+        started </a>
+      <a href="intro#install">Install</a>
+      <a href="https://partner.example/" rel="nofollow">Partner</a>
+      <a href="mailto:team@example.com">Mail</a>
+      <a href="javascript:void(0)">Menu</a>
+    </body></html>`;
+
+  assert.deepEqual(extractLinks(html, "https://example.com/page"), [
+    { url: "https://cdn.example.com/docs/intro", text: "Getting started" },
+    {
+      url: "https://partner.example/",
+      text: "Partner",
+      rel: "nofollow",
+    },
+  ]);
+});
+
+test("extractStructuredData - reads metadata from the rendered DOM", async () => {
+  const rawHtml = `
+    <html lang="en"><head>
+      <title>Shoes</title>
+      <meta property="og:site_name" content="Shoe Shop">
+    </head><body><a href="/cart">Cart</a></body></html>`;
+  const cleanedHtml = `
+    <html lang="en"><head>
+      <title>Shoes</title>
+      <link rel="canonical" href="https://shop.example/shoes">
+    </head><body></body></html>`;
+
+  const data = await extractStructuredData({
+    rawHtml,
+    cleanedHtml,
+    url: "https://shop.example/shoes",
+  });
+
+  assert.equal(data.metadata.ogSiteName, "Shoe Shop");
+  assert.equal(Object.keys(data.microdata).length, 0);
+  assert.equal(data.jsonLd["@context"], "https://schema.org");
+  assert.equal(
+    data.jsonLd["@graph"].at(-1)["@id"],
+    "https://shop.example/shoes#webpage"
+  );
+  assert.deepEqual(data.links, [
+    { url: "https://shop.example/cart", text: "Cart" },
+  ]);
+});
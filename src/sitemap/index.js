@@ -0,0 +1,228 @@
+import { promises as fs } from "fs";
+import { JSDOM } from "jsdom";
+import { gunzipSync } from "zlib";
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const MAX_INDEX_DEPTH = 3;
+// Sitemaps are capped at 50 MB uncompressed by the protocol; the same cap
+// applies to downloads and to what a gzipped file may inflate to.
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+const MAX_SITEMAPS = 1_000;
+const FETCH_TIMEOUT_MS = 30_000;
+
+/**
+ * Parses a sitemap or sitemap index document.
+ * @param {string | Buffer} content XML, optionally gzipped
+ * @returns {{type: "urlset" | "sitemapindex", entries: Array<{loc: string, lastmod?: string}>}}
+ * @throws {Error} when the document is not well-formed XML or not a sitemap.
+ */
+export function parseSitemap(content) {
+  const xml = decodeSitemap(content);
+
+  let document;
+  try {
+    document = new JSDOM(xml, { contentType: "text/xml" }).window.document;
+  } catch (error) {
+    throw new Error(`Invalid sitemap XML: ${error.message}`);
+  }
+
+  const type = document.documentElement?.localName;
+  if (type !== "urlset" && type !== "sitemapindex") {
+    throw new Error(
+      `Unsupported sitemap root element <${type ?? "none"}>; expected <urlset> or <sitemapindex>.`
+    );
+  }
+
+  const entryTag = type === "urlset" ? "url" : "sitemap";
+  const entries = Array.from(
+    document.getElementsByTagNameNS("*", entryTag)
+  ).flatMap((node) => {
+    const loc = readChildText(node, "loc");
+    if (!loc) {
+      return [];
+    }
+    const lastmod = readChildText(node, "lastmod");
+    return [lastmod ? { loc, lastmod } : { loc }];
+  });
+
+  return { type, entries };
+}
+
+/**
+ * Expands a sitemap (following nested sitemap indexes) into page entries.
+ * Entries without lastmod are kept when filtering by `since`, since their freshness is unknown.
+ * @param {{url?: string, file?: string, content?: string | Buffer}} source
+ * @param {{since?: Date, maxUrls?: number, maxSitemaps?: number, fetchImpl?: typeof fetch, urlPolicy?: import("../utils/urlPolicy.js").UrlPolicy}} [options]
+ *   with a urlPolicy, every sitemap URL and redirect hop must pass it
+ * @returns {Promise<{entries: Array<{loc: string, lastmod?: string}>, skippedSitemaps: Array<{url: string, error: string}>}>}
+ */
+export async function expandSitemap(source, options = {}) {
+  const {
+    since,
+    maxUrls = Infinity,
+    maxSitemaps = MAX_SITEMAPS,
+    fetchImpl = fetch,
+    urlPolicy,
+  } = options;
+  const fetchOptions = { fetchImpl, urlPolicy };
+  const seenSitemaps = new Set();
+  const seenPages = new Set();
+  const entries = [];
+  const skippedSitemaps = [];
+
+  const visit = async (content, depth) => {
+    const sitemap = parseSitemap(content);
+
+    if (sitemap.type === "urlset") {
+      sitemap.entries.forEach((entry) => {
+        if (entries.length >= maxUrls || seenPages.has(entry.loc)) {
+          return;
+        }
+        if (since && !isModifiedSince(entry, since)) {
+          return;
+        }
+        seenPages.add(entry.loc);
+        entries.push(entry);
+      });
+      return;
+    }
+
+    if (depth >= MAX_INDEX_DEPTH) {
+      throw new Error(
+        `Sitemap indexes nested deeper than ${MAX_INDEX_DEPTH} levels.`
+      );
+    }
+
+    for (const child of sitemap.entries) {
+      if (entries.length >= maxUrls || seenSitemaps.has(child.loc)) {
+        continue;
+      }
+      if (since && !isModifiedSince(child, since)) {
+        continue;
+      }
+      if (seenSitemaps.size >= maxSitemaps) {
+        skippedSitemaps.push({
+          url: child.loc,
+          error: `More than ${maxSitemaps} sitemaps.`,
+        });
+        continue;
+      }
+      seenSitemaps.add(child.loc);
+
+      try {
+        await visit(await fetchSitemap(child.loc, fetchOptions), depth + 1);
+      } catch (error) {
+        skippedSitemaps.push({ url: child.loc, error: error.message });
+      }
+    }
+  };
+
+  await visit(await readSource(source, fetchOptions, seenSitemaps), 0);
+
+  return { entries, skippedSitemaps };
+}
+
+/**
+ * Downloads a sitemap as raw bytes so gzipped files can be detected by their magic number.
+ * Gives up after 30 seconds or 50 MB.
+ * @param {string} url
+ * @param {{fetchImpl?: typeof fetch, urlPolicy?: import("../utils/urlPolicy.js").UrlPolicy}} [options]
+ */
+export async function fetchSitemap(url, { fetchImpl = fetch, urlPolicy } = {}) {
+  const init = { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) };
+  const response = urlPolicy
+    ? await urlPolicy.fetch(url, init, fetchImpl)
+    : await fetchImpl(url, init);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch sitemap ${url}: HTTP ${response.status}`);
+  }
+  return readBody(response, url);
+}
+
+async function readBody(response, url) {
+  const tooLarge = () =>
+    new Error(
+      `Sitemap ${url} is larger than ${MAX_SITEMAP_BYTES / 1024 / 1024} MB.`
+    );
+  if (Number(response.headers?.get("content-length")) > MAX_SITEMAP_BYTES) {
+    throw tooLarge();
+  }
+  if (!response.body) {
+    const body = Buffer.from(await response.arrayBuffer());
+    if (body.length > MAX_SITEMAP_BYTES) {
+      throw tooLarge();
+    }
+    return body;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_SITEMAP_BYTES) {
+      await response.body.cancel().catch(() => {});
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function readSource(source, fetchOptions, seenSitemaps) {
+  if (source.content !== undefined) {
+    return source.content;
+  }
+
+  if (source.file) {
+    return fs.readFile(source.file);
+  }
+
+  if (source.url) {
+    seenSitemaps.add(source.url);
+    return fetchSitemap(source.url, fetchOptions);
+  }
+
+  throw new Error("Sitemap source requires a url, file or content.");
+}
+
+function decodeSitemap(content) {
+  if (!Buffer.isBuffer(content)) {
+    return String(content);
+  }
+
+  const isGzipped =
+    content.length > 2 &&
+    content[0] === GZIP_MAGIC[0] &&
+    content[1] === GZIP_MAGIC[1];
+  if (!isGzipped) {
+    return content.toString("utf-8");
+  }
+  try {
+    return gunzipSync(content, { maxOutputLength: MAX_SITEMAP_BYTES }).toString(
+      "utf-8"
+    );
+  } catch (error) {
+    throw new Error(
+      error.code === "ERR_BUFFER_TOO_LARGE"
+        ? `Gzipped sitemap inflates to more than ${MAX_SITEMAP_BYTES / 1024 / 1024} MB.`
+        : `Invalid gzipped sitemap: ${error.message}`
+    );
+  }
+}
+
+function readChildText(node, localName) {
+  const child = Array.from(node.children).find(
+    (element) => element.localName === localName
+  );
+  const value = child?.textContent?.trim();
+  return value ? value : undefined;
+}
+
+function isModifiedSince(entry, since) {
+  if (!entry.lastmod) {
+    return true;
+  }
+
+  const modified = Date.parse(entry.lastmod);
+  return Number.isNaN(modified) || modified >= since.getTime();
+}
@@ -0,0 +1,294 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { gzipSync } from "zlib";
+import { expandSitemap, parseSitemap } from "./index.js";
+import { UrlPolicy } from "../utils/urlPolicy.js";
+
+const urlset = (urls) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls
+  .map(
+    ({ loc, lastmod }) =>
+      `<url><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ""}</url>`
+  )
+  .join("\n")}
+</urlset>`;
+
+const sitemapIndex = (sitemaps) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps
+  .map(
+    ({ loc, lastmod }) =>
+      `<sitemap><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ""}</sitemap>`
+  )
+  .join("\n")}
+</sitemapindex>`;
+
+const mockFetch = (documents) => async (url) => {
+  if (!(url in documents)) {
+    return { ok: false, status: 404 };
+  }
+  return {
+    ok: true,
+    status: 200,
+    arrayBuffer: async () => Buffer.from(documents[url]),
+  };
+};
+
+test("parseSitemap - reads urlset entries with trimmed loc and lastmod", () => {
+  const result = parseSitemap(
+    urlset([
+      { loc: " https://example.com/a ", lastmod: "2025-01-02" },
+      { loc: "https://example.com/b" },
+    ])
+  );
+
+  assert.equal(result.type, "urlset");
+  assert.deepEqual(result.entries, [
+    { loc: "https://example.com/a", lastmod: "2025-01-02" },
+    { loc: "https://example.com/b" },
+  ]);
+});
+
+test("parseSitemap - reads sitemap index entries", () => {
+  const result = parseSitemap(
+    sitemapIndex([{ loc: "https://example.com/sitemap-1.xml" }])
+  );
+
+  assert.equal(result.type, "sitemapindex");
+  assert.deepEqual(result.entries, [
+    { loc: "https://example.com/sitemap-1.xml" },
+  ]);
+});
+
+test("parseSitemap - decompresses gzipped buffers", () => {
+  const gzipped = gzipSync(urlset([{ loc: "https://example.com/gz" }]));
+
+  const result = parseSitemap(gzipped);
+
+  assert.deepEqual(result.entries, [{ loc: "https://example.com/gz" }]);
+});
+
+test("parseSitemap - rejects malformed XML and non-sitemap documents", () => {
+  assert.throws(() => parseSitemap("<urlset><url>"), /Invalid sitemap XML/);
+  assert.throws(() => parseSitemap("<rss></rss>"), /Unsupported sitemap root/);
+});
+
+test("expandSitemap - follows sitemap indexes and deduplicates pages", async () => {
+  const fetchImpl = mockFetch({
+    "https://example.com/sitemap.xml": sitemapIndex([
+      { loc: "https://example.com/a.xml" },
+      { loc: "https://example.com/b.xml.gz" },
+    ]),
+    "https://example.com/a.xml": urlset([
+      { loc: "https://example.com/1" },
+      { loc: "https://example.com/2" },
+    ]),
+    "https://example.com/b.xml.gz": gzipSync(
+      urlset([
+        { loc: "https://example.com/2" },
+        { loc: "https://example.com/3" },
+      ])
+    ),
+  });
+
+  const { entries, skippedSitemaps } = await expandSitemap(
+    { url: "https://example.com/sitemap.xml" },
+    { fetchImpl }
+  );
+
+  assert.deepEqual(
+    entries.map((entry) => entry.loc),
+    ["https://example.com/1", "https://example.com/2", "https://example.com/3"]
+  );
+  assert.deepEqual(skippedSitemaps, []);
+});
+
+test("expandSitemap - filters by lastmod and keeps undated entries", async () => {
+  const { entries } = await expandSitemap(
+    {
+      content: urlset([
+        { loc: "https://example.com/old", lastmod: "2024-01-01" },
+        { loc: "https://example.com/new", lastmod: "2025-06-01T10:00:00Z" },
+        { loc: "https://example.com/undated" },
+      ]),
+    },
+    { since: new Date("2025-01-01") }
+  );
+
+  assert.deepEqual(
+    entries.map((entry) => entry.loc),
+    ["https://example.com/new", "https://example.com/undated"]
+  );
+});
+
+test("expandSitemap - skips child sitemaps that fail to load", async () => {
+  const fetchImpl = mockFetch({
+    "https://example.com/ok.xml": urlset([{ loc: "https://example.com/1" }]),
+  });
+
+  const { entries, skippedSitemaps } = await expandSitemap(
+    {
+      content: sitemapIndex([
+        { loc: "https://example.com/missing.xml" },
+        { loc: "https://example.com/ok.xml" },
+      ]),
+    },
+    { fetchImpl }
+  );
+
+  assert.equal(entries.length, 1);
+  assert.equal(skippedSitemaps.length, 1);
+  assert.match(skippedSitemaps[0].error, /HTTP 404/);
+});
+
+test("expandSitemap - stops at maxUrls", async () => {
+  const { entries } = await expandSitemap(
+    {
+      content: urlset([
+        { loc: "https://example.com/1" },
+        { loc: "https://example.com/2" },
+      ]),
+    },
+    { maxUrls: 1 }
+  );
+
+  assert.equal(entries.length, 1);
+});
+
+test("expandSitemap - rejects when the root sitemap cannot be fetched", async () => {
+  await assert.rejects(
+    () =>
+      expandSitemap(
+        { url: "https://example.com/sitemap.xml" },
+        { fetchImpl: mockFetch({}) }
+      ),
+    /HTTP 404/
+  );
+});
+
+test("parseSitemap - refuses gzip bombs", () => {
+  const bomb = gzipSync(Buffer.alloc(51 * 1024 * 1024));
+
+  assert.throws(() => parseSitemap(bomb), /inflates to more than 50 MB/);
+});
+
+test("expandSitemap - refuses oversized downloads and passes a timeout signal", async () => {
+  const signals = [];
+  const chunk = new Uint8Array(1024 * 1024);
+  let pulled = 0;
+  const fetchImpl = async (url, init) => {
+    signals.push(init.signal);
+    if (url.endsWith("declared.xml")) {
+      return {
+        ok: true,
+        status: 200,
+        headers: new Headers({ "content-length": String(60 * 1024 * 1024) }),
+        arrayBuffer: async () => assert.fail("body should not be read"),
+      };
+    }
+    // No content-length: the stream is cut off once it passes the cap.
+    return new Response(
+      new ReadableStream({
+        pull(controller) {
+          pulled++;
+          controller.enqueue(chunk);
+        },
+      })
+    );
+  };
+
+  const { entries, skippedSitemaps } = await expandSitemap(
+    {
+      content: sitemapIndex([
+        { loc: "https://example.com/declared.xml" },
+        { loc: "https://example.com/streamed.xml" },
+      ]),
+    },
+    { fetchImpl }
+  );
+
+  assert.deepEqual(entries, []);
+  assert.deepEqual(
+    skippedSitemaps.map(({ error }) => error),
+    [
+      "Sitemap https://example.com/declared.xml is larger than 50 MB.",
+      "Sitemap https://example.com/streamed.xml is larger than 50 MB.",
+    ]
+  );
+  assert.ok(pulled <= 52);
+  assert.ok(signals.every((signal) => signal instanceof AbortSignal));
+});
+
+test("expandSitemap - fetches at most maxSitemaps sitemaps", async () => {
+  const children = Array.from({ length: 5 }, (_, i) => ({
+    loc: `https://example.com/sitemap-${i}.xml`,
+  }));
+  let fetched = 0;
+  const fetchImpl = async () => {
+    fetched++;
+    return {
+      ok: true,
+      status: 200,
+      arrayBuffer: async () => Buffer.from(urlset([])),
+    };
+  };
+
+  const { skippedSitemaps } = await expandSitemap(
+    { content: sitemapIndex(children) },
+    { fetchImpl, maxSitemaps: 3 }
+  );
+
+  assert.equal(fetched, 3);
+  assert.deepEqual(
+    skippedSitemaps.map(({ url }) => url),
+    ["https://example.com/sitemap-3.xml", "https://example.com/sitemap-4.xml"]
+  );
+});
+
+test("expandSitemap - checks sitemap URLs and redirects against the urlPolicy", async () => {
+  const urlPolicy = new UrlPolicy({
+    lookup: async () => [{ address: "93.184.215.14", family: 4 }],
+  });
+  const fetchImpl = async (url, init) => {
+    assert.equal(init.redirect, "manual");
+    if (url === "https://example.com/moved.xml") {
+      return {
+        ok: false,
+        status: 301,
+        headers: new Headers({ location: "http://192.168.0.1/sitemap.xml" }),
+      };
+    }
+    return mockFetch({
+      "https://example.com/sitemap.xml": sitemapIndex([
+        { loc: "http://169.254.169.254/latest/meta-data/" },
+        { loc: "https://example.com/moved.xml" },
+        { loc: "https://example.com/ok.xml" },
+      ]),
+      "https://example.com/ok.xml": urlset([{ loc: "https://example.com/1" }]),
+    })(url);
+  };
+
+  const { entries, skippedSitemaps } = await expandSitemap(
+    { url: "https://example.com/sitemap.xml" },
+    { fetchImpl, urlPolicy }
+  );
+
+  assert.deepEqual(entries, [{ loc: "https://example.com/1" }]);
+  assert.deepEqual(
+    skippedSitemaps.map(({ url }) => url),
+    [
+      "http://169.254.169.254/latest/meta-data/",
+      "https://example.com/moved.xml",
+    ]
+  );
+  assert.match(skippedSitemaps[1].error, /192\.168\.0\.1.* is not allowed/);
+  await assert.rejects(
+    () =>
+      expandSitemap(
+        { url: "http://127.0.0.1/sitemap.xml" },
+        { fetchImpl, urlPolicy }
+      ),
+    /address 127\.0\.0\.1 is private/
+  );
+});
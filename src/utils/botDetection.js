@@ -0,0 +1,61 @@
+/**
+ * User-agent substrings of crawlers and link unfurlers that should receive prerendered HTML.
+ * Matching is case-insensitive.
+ */
+export const DEFAULT_BOT_USER_AGENTS = [
+  "googlebot",
+  "google-inspectiontool",
+  "bingbot",
+  "yandex",
+  "baiduspider",
+  "duckduckbot",
+  "slurp",
+  "applebot",
+  "petalbot",
+  "facebookexternalhit",
+  "facebookcatalog",
+  "twitterbot",
+  "linkedinbot",
+  "slackbot",
+  "discordbot",
+  "telegrambot",
+  "whatsapp",
+  "pinterest",
+  "embedly",
+  "redditbot",
+  "skypeuripreview",
+];
+
+// Static assets are always proxied; only documents are worth rendering.
+const STATIC_EXTENSION_REGEX =
+  /\.(?:js|mjs|css|map|json|xml|txt|ico|png|jpe?g|gif|svg|webp|avif|bmp|woff2?|ttf|otf|eot|mp4|webm|mp3|wav|pdf|zip|gz)$/i;
+
+/**
+ * Builds a predicate telling whether a user agent belongs to a known bot.
+ * @param {string[]} [patterns] case-insensitive substrings
+ * @returns {(userAgent: string | undefined) => boolean}
+ */
+export function createBotMatcher(patterns = DEFAULT_BOT_USER_AGENTS) {
+  const normalized = patterns
+    .map((pattern) => pattern.trim().toLowerCase())
+    .filter(Boolean);
+
+  return (userAgent) => {
+    if (typeof userAgent !== "string" || userAgent === "") {
+      return false;
+    }
+    const lower = userAgent.toLowerCase();
+    return normalized.some((pattern) => lower.includes(pattern));
+  };
+}
+
+/**
+ * Only GET/HEAD requests for documents (not static assets) are prerendered.
+ * @param {{method: string, path: string}} req
+ */
+export function isPrerenderableRequest(req) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return false;
+  }
+  return !STATIC_EXTENSION_REGEX.test(req.path ?? "");
+}
@@ -0,0 +1,61 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import {
+  createBotMatcher,
+  DEFAULT_BOT_USER_AGENTS,
+  isPrerenderableRequest,
+} from "./botDetection.js";
+
+test("createBotMatcher - recognizes common crawlers case-insensitively", () => {
+  const isBot = createBotMatcher();
+
+  assert.ok(
+    isBot(
+      "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"
+    )
+  );
+  assert.ok(isBot("Mozilla/5.0 (compatible; bingbot/2.0)"));
+  assert.ok(isBot("facebookexternalhit/1.1"));
+  assert.ok(isBot("Slackbot-LinkExpanding 1.0"));
+});
+
+test("createBotMatcher - ignores browsers and empty user agents", () => {
+  const isBot = createBotMatcher();
+
+  assert.equal(
+    isBot(
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/131.0 Safari/537.36"
+    ),
+    false
+  );
+  assert.equal(isBot(""), false);
+  assert.equal(isBot(undefined), false);
+});
+
+test("createBotMatcher - accepts a custom pattern list", () => {
+  const isBot = createBotMatcher(["MyCrawler", " "]);
+
+  assert.ok(isBot("mycrawler/1.0"));
+  assert.equal(isBot("Googlebot"), false);
+});
+
+test("DEFAULT_BOT_USER_AGENTS - are lowercase substrings", () => {
+  DEFAULT_BOT_USER_AGENTS.forEach((pattern) => {
+    assert.equal(pattern, pattern.toLowerCase());
+  });
+});
+
+test("isPrerenderableRequest - accepts GET/HEAD document requests only", () => {
+  assert.ok(isPrerenderableRequest({ method: "GET", path: "/products/shoe" }));
+  assert.ok(isPrerenderableRequest({ method: "HEAD", path: "/" }));
+  assert.ok(isPrerenderableRequest({ method: "GET", path: "/page.html" }));
+  assert.equal(isPrerenderableRequest({ method: "POST", path: "/" }), false);
+  assert.equal(
+    isPrerenderableRequest({ method: "GET", path: "/static/app.js" }),
+    false
+  );
+  assert.equal(
+    isPrerenderableRequest({ method: "GET", path: "/img/Logo.PNG" }),
+    false
+  );
+});
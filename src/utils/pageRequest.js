@@ -0,0 +1,289 @@
+import {ValidationError} from "../errors/validationError.js";
+
+// Parsers for what a render sends to the target site besides the URL: extra
+// headers, cookies, basic auth credentials and Accept-Language. They validate
+// render options, profiles and env defaults alike, so they must not depend on
+// renderConfig.
+
+const MAX_HEADER_VALUE_LENGTH = 8192;
+const MAX_COOKIES = 50;
+const MAX_CREDENTIAL_LENGTH = 256;
+const MAX_ACCEPT_LANGUAGE_LENGTH = 200;
+// RFC 9110 token characters.
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// The Fetch standard's forbidden request headers plus the hop-by-hop ones:
+// Chrome refuses to send them and fails the intercepted request instead.
+const FORBIDDEN_HEADER_NAMES = new Set([
+  "accept-charset",
+  "accept-encoding",
+  "access-control-request-headers",
+  "access-control-request-method",
+  "connection",
+  "content-length",
+  "cookie",
+  "cookie2",
+  "date",
+  "dnt",
+  "expect",
+  "host",
+  "keep-alive",
+  "origin",
+  "referer",
+  "set-cookie",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+  "via",
+]);
+const FORBIDDEN_HEADER_PREFIXES = ["proxy-", "sec-"];
+// A language range with an optional weight, e.g. "de-CH" or "*;q=0.5".
+const LANGUAGE_RANGE =
+  "(?:[A-Za-z]{1,8}(?:-[A-Za-z0-9]{1,8})*|\\*)(?:\\s*;\\s*q=[01](?:\\.\\d{1,3})?)?";
+const ACCEPT_LANGUAGE_PATTERN = new RegExp(
+  `^${LANGUAGE_RANGE}(?:\\s*,\\s*${LANGUAGE_RANGE})*$`
+);
+const REDACTED = "[redacted]";
+const isNonEmptyString = (value) => typeof value === "string" && value !== "";
+const isBoolean = (value) => typeof value === "boolean";
+const COOKIE_ATTRIBUTES = {
+  domain: isNonEmptyString,
+  path: isNonEmptyString,
+  secure: isBoolean,
+  httpOnly: isBoolean,
+  sameSite: (value) => ["Strict", "Lax", "None"].includes(value),
+  expires: Number.isFinite,
+};
+
+/**
+ * Accepts an object of header names to string values, as sent with every request
+ * of the page, or that object as a JSON string (query strings, env). Headers
+ * the browser manages itself (`Host`, `Content-Length`, `Connection`, `Cookie`,
+ * `Sec-*`, ...) are rejected; cookies go through `cookies`.
+ * @param {unknown} value
+ * @param {string} [field]
+ * @returns {Record<string, string>}
+ */
+export function parseHeaders(value, field = "headers") {
+  const headers = typeof value === "string" ? parseJson(value, field) : value;
+  if (
+    typeof headers !== "object" ||
+    headers === null ||
+    Array.isArray(headers)
+  ) {
+    throw new ValidationError(
+      `Field '${field}' must be an object of header names to values.`
+    );
+  }
+
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, headerValue]) => {
+      if (!HEADER_NAME_PATTERN.test(name)) {
+        throw new ValidationError(
+          `Field '${field}' has an invalid header name '${name}'.`
+        );
+      }
+      if (isForbiddenHeaderName(name)) {
+        throw new ValidationError(
+          `Field '${field}' cannot set the '${name}' header.`
+        );
+      }
+      if (
+        typeof headerValue !== "string" ||
+        headerValue.length > MAX_HEADER_VALUE_LENGTH ||
+        /[\r\n\0]/.test(headerValue)
+      ) {
+        throw new ValidationError(
+          `Field '${field}' must map '${name}' to a single-line string of at most ${MAX_HEADER_VALUE_LENGTH} characters.`
+        );
+      }
+      return [name, headerValue];
+    })
+  );
+}
+
+/**
+ * Accepts an array of `{name, value, domain?, path?, secure?, httpOnly?, sameSite?, expires?}`
+ * cookies, that array as a JSON string, or a `Cookie` header style string
+ * (`name=value; other=value`). Cookies without a domain are set for the host
+ * being rendered.
+ * @param {unknown} value
+ * @param {string} [field]
+ * @returns {Array<{name: string, value: string, domain?: string, path?: string, secure?: boolean, httpOnly?: boolean, sameSite?: string, expires?: number}>}
+ */
+export function parseCookies(value, field = "cookies") {
+  let cookies = value;
+  if (typeof value === "string") {
+    cookies = value.trim().startsWith("[")
+      ? parseJson(value, field)
+      : parseCookieHeader(value);
+  }
+  if (!Array.isArray(cookies) || cookies.length > MAX_COOKIES) {
+    throw new ValidationError(
+      `Field '${field}' must be an array of at most ${MAX_COOKIES} cookies.`
+    );
+  }
+
+  return cookies.map((cookie, index) => {
+    const label = `${field}[${index}]`;
+    if (typeof cookie !== "object" || cookie === null) {
+      throw new ValidationError(`Field '${label}' must be an object.`);
+    }
+    const {name, value: cookieValue, ...attributes} = cookie;
+    if (typeof name !== "string" || !HEADER_NAME_PATTERN.test(name)) {
+      throw new ValidationError(`Field '${label}.name' must be a cookie name.`);
+    }
+    if (typeof cookieValue !== "string" || /[;\r\n\0]/.test(cookieValue)) {
+      throw new ValidationError(
+        `Field '${label}.value' must be a string without ';' or line breaks.`
+      );
+    }
+
+    const parsed = {name, value: cookieValue};
+    for (const [attribute, attributeValue] of Object.entries(attributes)) {
+      const isValid = COOKIE_ATTRIBUTES[attribute];
+      if (!isValid) {
+        throw new ValidationError(
+          `Field '${label}' has an unknown attribute '${attribute}'.`
+        );
+      }
+      if (!isValid(attributeValue)) {
+        throw new ValidationError(
+          `Field '${label}.${attribute}' has an invalid value.`
+        );
+      }
+      parsed[attribute] = attributeValue;
+    }
+    return parsed;
+  });
+}
+
+/**
+ * Accepts `{username, password}` or `username:password` (split at the first
+ * colon, as in the Authorization header).
+ * @param {unknown} value
+ * @param {string} [field]
+ * @returns {{username: string, password: string}}
+ */
+export function parseBasicAuth(value, field = "basicAuth") {
+  let credentials = value;
+  if (typeof value === "string") {
+    const separator = value.indexOf(":");
+    credentials =
+      separator === -1
+        ? undefined
+        : {
+            username: value.slice(0, separator),
+            password: value.slice(separator + 1),
+          };
+  }
+
+  const {username, password} = credentials ?? {};
+  const isCredential = (part) =>
+    typeof part === "string" &&
+    part.length <= MAX_CREDENTIAL_LENGTH &&
+    !/[\r\n\0]/.test(part);
+  if (
+    !isCredential(username) ||
+    username === "" ||
+    username.includes(":") ||
+    !isCredential(password)
+  ) {
+    throw new ValidationError(
+      `Field '${field}' must be 'username:password' or {username, password}.`
+    );
+  }
+  return {username, password};
+}
+
+/**
+ * Accepts an `Accept-Language` value such as `de-CH, de;q=0.9, en;q=0.5`.
+ * @param {unknown} value
+ * @param {string} [field]
+ * @returns {string}
+ */
+export function parseAcceptLanguage(value, field = "acceptLanguage") {
+  if (
+    typeof value !== "string" ||
+    value.length > MAX_ACCEPT_LANGUAGE_LENGTH ||
+    !ACCEPT_LANGUAGE_PATTERN.test(value.trim())
+  ) {
+    throw new ValidationError(
+      `Field '${field}' must be an Accept-Language value, e.g. 'de-DE,de;q=0.9'.`
+    );
+  }
+  return value.trim();
+}
+
+/**
+ * Merges header objects; a later source replaces earlier headers of the same
+ * name regardless of case.
+ * @param {...(Record<string, string> | undefined)} sources
+ * @returns {Record<string, string>}
+ */
+export function mergeHeaders(...sources) {
+  const merged = new Map();
+  sources.forEach((headers) => {
+    Object.entries(headers ?? {}).forEach(([name, value]) => {
+      merged.set(name.toLowerCase(), [name, value]);
+    });
+  });
+  return Object.fromEntries(merged.values());
+}
+
+/**
+ * Copy of render options that is safe to hand back to clients: header and
+ * cookie values and the basic auth password are masked.
+ * @param {object} options
+ * @returns {object}
+ */
+export function redactCredentials(options) {
+  const redacted = {...options};
+  if (options.headers) {
+    redacted.headers = Object.fromEntries(
+      Object.keys(options.headers).map((name) => [name, REDACTED])
+    );
+  }
+  if (options.cookies) {
+    redacted.cookies = options.cookies.map((cookie) => ({
+      ...cookie,
+      value: REDACTED,
+    }));
+  }
+  if (options.basicAuth) {
+    redacted.basicAuth = {...options.basicAuth, password: REDACTED};
+  }
+  return redacted;
+}
+
+function isForbiddenHeaderName(name) {
+  const lowerName = name.toLowerCase();
+  return (
+    FORBIDDEN_HEADER_NAMES.has(lowerName) ||
+    FORBIDDEN_HEADER_PREFIXES.some((prefix) => lowerName.startsWith(prefix))
+  );
+}
+
+function parseCookieHeader(value) {
+  return value
+    .split(";")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const separator = pair.indexOf("=");
+      return separator === -1
+        ? {name: pair}
+        : {
+            name: pair.slice(0, separator).trim(),
+            value: pair.slice(separator + 1).trim(),
+          };
+    });
+}
+
+function parseJson(value, field) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new ValidationError(`Field '${field}' is not valid JSON.`);
+  }
+}
@@ -0,0 +1,148 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { ValidationError } from "../errors/validationError.js";
+import {
+  mergeHeaders,
+  parseAcceptLanguage,
+  parseBasicAuth,
+  parseCookies,
+  parseHeaders,
+} from "./pageRequest.js";
+
+test("parseHeaders - accepts header names mapped to single-line strings", () => {
+  assert.deepEqual(parseHeaders({ "X-Prerender": "1", Accept: "text/html" }), {
+    "X-Prerender": "1",
+    Accept: "text/html",
+  });
+  assert.throws(() => parseHeaders(["X-A"]), ValidationError);
+  assert.throws(() => parseHeaders({ "X A": "1" }), /invalid header name/);
+  assert.throws(() => parseHeaders({ "X-A": "1\r\nX-B: 2" }), /single-line/);
+  assert.throws(() => parseHeaders({ "X-A": 1 }), ValidationError);
+});
+
+test("parseHeaders - rejects headers the browser manages itself", () => {
+  for (const name of [
+    "Host",
+    "content-length",
+    "Connection",
+    "Transfer-Encoding",
+    "Cookie",
+    "Proxy-Authorization",
+    "Sec-Fetch-Mode",
+  ]) {
+    assert.throws(
+      () => parseHeaders({ [name]: "x" }),
+      (error) =>
+        error instanceof ValidationError &&
+        error.message === `Field 'headers' cannot set the '${name}' header.`
+    );
+  }
+  assert.deepEqual(parseHeaders({ Authorization: "Bearer t" }), {
+    Authorization: "Bearer t",
+  });
+});
+
+test("parseCookies - accepts cookies with known attributes", () => {
+  assert.deepEqual(
+    parseCookies([
+      { name: "consent", value: "all" },
+      {
+        name: "session",
+        value: "abc",
+        domain: ".example.com",
+        path: "/",
+        secure: true,
+        httpOnly: true,
+        sameSite: "Lax",
+        expires: 1_900_000_000,
+      },
+    ]),
+    [
+      { name: "consent", value: "all" },
+      {
+        name: "session",
+        value: "abc",
+        domain: ".example.com",
+        path: "/",
+        secure: true,
+        httpOnly: true,
+        sameSite: "Lax",
+        expires: 1_900_000_000,
+      },
+    ]
+  );
+
+  const invalid = [
+    {},
+    [{ name: "", value: "x" }],
+    [{ name: "a", value: "x;y" }],
+    [{ name: "a", value: "x", sameSite: "lax" }],
+    [{ name: "a", value: "x", maxAge: 60 }],
+  ];
+  for (const value of invalid) {
+    assert.throws(
+      () => parseCookies(value),
+      ValidationError,
+      JSON.stringify(value)
+    );
+  }
+});
+
+test("parseHeaders - accepts a JSON object string", () => {
+  assert.deepEqual(parseHeaders('{"X-Prerender":"1"}'), { "X-Prerender": "1" });
+  assert.throws(
+    () => parseHeaders("{", "RENDER_HEADERS"),
+    /'RENDER_HEADERS'.*JSON/
+  );
+});
+
+test("parseCookies - accepts JSON and Cookie header strings", () => {
+  assert.deepEqual(
+    parseCookies('[{"name":"a","value":"1","domain":"x.com"}]'),
+    [{ name: "a", value: "1", domain: "x.com" }]
+  );
+  assert.deepEqual(parseCookies("consent=all; session = abc=="), [
+    { name: "consent", value: "all" },
+    { name: "session", value: "abc==" },
+  ]);
+  assert.throws(() => parseCookies("consent"), /'cookies\[0\]\.value'/);
+});
+
+test("parseBasicAuth - accepts user:password strings and objects", () => {
+  assert.deepEqual(parseBasicAuth("editor:s3cret:with:colons"), {
+    username: "editor",
+    password: "s3cret:with:colons",
+  });
+  assert.deepEqual(parseBasicAuth({ username: "editor", password: "" }), {
+    username: "editor",
+    password: "",
+  });
+
+  const invalid = ["editor", ":secret", { username: "a:b", password: "x" }, {}];
+  for (const value of invalid) {
+    assert.throws(
+      () => parseBasicAuth(value),
+      /'basicAuth' must be 'username:password'/,
+      JSON.stringify(value)
+    );
+  }
+});
+
+test("parseAcceptLanguage - accepts weighted language ranges", () => {
+  assert.equal(
+    parseAcceptLanguage(" de-CH, de;q=0.9, en;q=0.5, *;q=0.1 "),
+    "de-CH, de;q=0.9, en;q=0.5, *;q=0.1"
+  );
+  assert.throws(() => parseAcceptLanguage("de\r\nX-A: 1"), ValidationError);
+  assert.throws(() => parseAcceptLanguage("en;q=2"), ValidationError);
+  assert.throws(() => parseAcceptLanguage(["en"]), ValidationError);
+});
+
+test("mergeHeaders - later sources replace headers regardless of case", () => {
+  assert.deepEqual(
+    mergeHeaders({ "X-Prerender": "1", Accept: "text/html" }, undefined, {
+      "x-prerender": "2",
+    }),
+    { "x-prerender": "2", Accept: "text/html" }
+  );
+});
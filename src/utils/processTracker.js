@@ -1,13 +1,19 @@
-import {promises as fs} from "fs";
+import {constants, promises as fs} from "fs";
 import {join, dirname} from "path";
+import {RenderQueue} from "./renderQueue.js";
 
 /**
- * ProcessTracker manages a file-based flag to track render process status.
- * Ensures the flag is always reset to 0, even on errors or abnormal termination.
+ * ProcessTracker runs renders through an in-process RenderQueue and mirrors
+ * its activity into a file-based flag for external watchdogs: the flag is 1
+ * while any tracked job is queued or running and is always reset to 0, even
+ * on errors or abnormal termination.
  */
 export class ProcessTracker {
-  constructor(tmpDir) {
+  constructor(tmpDir, {concurrency = 1, queue} = {}) {
     this.filePath = join(tmpDir, "process");
+    this.queue = queue ?? new RenderQueue({concurrency});
+    this.trackedJobs = 0;
+    this.flagWrite = Promise.resolve();
   }
 
   /**
@@ -25,6 +31,14 @@ export class ProcessTracker {
     }
   }
 
+  /**
+   * Rejects when the tmp directory holding the process file is not writable.
+   */
+  async checkWritable() {
+    await this.ensureDirectory();
+    await fs.access(dirname(this.filePath), constants.W_OK);
+  }
+
   /**
    * Writes the given value to the process file
    */
@@ -48,18 +62,40 @@ export class ProcessTracker {
   }
 
   /**
-   * Executes a function while tracking its execution.
-   * Ensures the process flag is reset to 0 even if the function throws an error.
+   * Executes a function through the render queue while tracking its execution.
+   * Ensures the process flag is reset to 0 once no tracked job is left, even if
+   * the function throws an error.
+   * @param {() => unknown} fn
+   * @param {{url?: string, id?: string}} [meta] job details reported by getStats()
    */
-  async track(fn) {
-    await this.start();
+  async track(fn, meta = {}) {
+    this.trackedJobs += 1;
+    await this.syncFlag();
     try {
-      return await fn();
+      return await this.queue.enqueue(() => fn(), meta);
     } finally {
-      await this.finish();
+      this.trackedJobs -= 1;
+      await this.syncFlag();
     }
   }
 
+  /**
+   * Serializes flag writes so overlapping jobs cannot leave a stale value behind.
+   */
+  syncFlag() {
+    this.flagWrite = this.flagWrite
+      .catch(() => {})
+      .then(() => this.writeValue(this.trackedJobs > 0 ? 1 : 0));
+    return this.flagWrite;
+  }
+
+  /**
+   * Reports queue counters and the URLs currently being rendered.
+   */
+  getStats() {
+    return this.queue.getStats();
+  }
+
   /**
    * Initializes the process file to 0
    */
@@ -407,3 +407,63 @@ test("ProcessTracker - ensureDirectory handles permission issues gracefully", as
   const dirStat = await fs.stat(path.dirname(tracker.filePath));
   assert.ok(dirStat.isDirectory());
 });
+
+test("ProcessTracker - overlapping tracks keep the flag at 1 until all finish", async () => {
+  const tracker = new ProcessTracker(path.join(tmpDir, "overlapping"), {
+    concurrency: 2,
+  });
+  let releaseSlow;
+  const slow = tracker.track(
+    () => new Promise((resolve) => (releaseSlow = resolve))
+  );
+
+  await tracker.track(async () => "fast");
+  assert.equal(await tracker.getProgress(), 1);
+
+  releaseSlow();
+  await slow;
+  assert.equal(await tracker.getProgress(), 0);
+});
+
+test("ProcessTracker - getStats reports queue counters", async () => {
+  const tracker = new ProcessTracker(path.join(tmpDir, "stats"));
+
+  await tracker.track(async () => "ok", { url: "https://example.com/" });
+  await tracker
+    .track(async () => {
+      throw new Error("boom");
+    })
+    .catch(() => {});
+
+  const stats = tracker.getStats();
+  assert.equal(stats.completed, 1);
+  assert.equal(stats.failed, 1);
+  assert.equal(stats.running, 0);
+  assert.equal(stats.queued, 0);
+  assert.deepEqual(stats.active, []);
+});
+
+test("ProcessTracker - getStats lists active job URLs", async () => {
+  const tracker = new ProcessTracker(path.join(tmpDir, "stats-active"));
+  let activeDuringRun;
+
+  await tracker.track(
+    async () => {
+      activeDuringRun = tracker.getStats().active;
+    },
+    { url: "https://example.com/page" }
+  );
+
+  assert.equal(activeDuringRun.length, 1);
+  assert.equal(activeDuringRun[0].url, "https://example.com/page");
+  assert.ok(activeDuringRun[0].id);
+});
+
+test("ProcessTracker - checkWritable creates the tmp dir and resolves", async () => {
+  const tracker = new ProcessTracker(path.join(tmpDir, "writable-check"));
+
+  await tracker.checkWritable();
+
+  const dirStat = await fs.stat(path.join(tmpDir, "writable-check"));
+  assert.ok(dirStat.isDirectory());
+});
@@ -0,0 +1,38 @@
+/**
+ * Token bucket allowing `requests` calls per `intervalMs`, refilled continuously,
+ * so a client may burst up to `requests` and then continues at the average rate.
+ */
+export class TokenBucket {
+  /**
+   * @param {{requests: number, intervalMs: number}} limit
+   * @param {() => number} [clock]
+   */
+  constructor({requests, intervalMs}, clock = Date.now) {
+    this.capacity = requests;
+    this.refillPerMs = requests / intervalMs;
+    this.clock = clock;
+    this.tokens = requests;
+    this.refilledAt = clock();
+  }
+
+  /**
+   * Takes `count` tokens when that many are available, otherwise none.
+   * @param {number} [count]
+   * @returns {number} 0 when the call is allowed, otherwise the milliseconds until
+   *   enough tokens have built up
+   */
+  take(count = 1) {
+    const now = this.clock();
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + (now - this.refilledAt) * this.refillPerMs
+    );
+    this.refilledAt = now;
+
+    if (this.tokens >= count) {
+      this.tokens -= count;
+      return 0;
+    }
+    return Math.ceil((count - this.tokens) / this.refillPerMs);
+  }
+}
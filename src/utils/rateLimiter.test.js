@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { TokenBucket } from "./rateLimiter.js";
+
+test("TokenBucket - allows a burst of requests, then reports the wait", () => {
+  let now = 0;
+  const bucket = new TokenBucket({ requests: 2, intervalMs: 1000 }, () => now);
+
+  assert.equal(bucket.take(), 0);
+  assert.equal(bucket.take(), 0);
+  assert.equal(bucket.take(), 500);
+
+  now = 250;
+  assert.equal(bucket.take(), 250);
+});
+
+test("TokenBucket - refills continuously up to its capacity", () => {
+  let now = 0;
+  const bucket = new TokenBucket({ requests: 2, intervalMs: 1000 }, () => now);
+  bucket.take();
+  bucket.take();
+
+  now = 500;
+  assert.equal(bucket.take(), 0);
+  assert.equal(bucket.take(), 500);
+
+  now = 60_000;
+  assert.equal(bucket.take(), 0);
+  assert.equal(bucket.take(), 0);
+  assert.notEqual(bucket.take(), 0);
+});
+
+test("TokenBucket - takes several tokens at once or none", () => {
+  let now = 0;
+  const bucket = new TokenBucket({ requests: 4, intervalMs: 1000 }, () => now);
+
+  assert.equal(bucket.take(3), 0);
+  assert.equal(bucket.take(3), 500);
+  assert.equal(bucket.take(), 0);
+});
@@ -0,0 +1,264 @@
+import {renderConfig} from "../config/renderConfig.js";
+import {ValidationError} from "../errors/validationError.js";
+import {READY_STRATEGIES} from "../services/readiness.js";
+import {
+  parseAcceptLanguage,
+  parseBasicAuth,
+  parseCookies,
+  parseHeaders,
+} from "./pageRequest.js";
+
+export const JSON_LD_MODES = ["auto", "off", "microdata", "synthesized"];
+
+// Puppeteer's ResourceType values.
+export const RESOURCE_TYPES = [
+  "document",
+  "stylesheet",
+  "image",
+  "media",
+  "font",
+  "script",
+  "texttrack",
+  "xhr",
+  "fetch",
+  "prefetch",
+  "eventsource",
+  "websocket",
+  "manifest",
+  "signedexchange",
+  "ping",
+  "cspviolationreport",
+  "preflight",
+  "other",
+];
+
+const MAX_TIMEOUT_MS = 300_000;
+const MAX_VIEWPORT_SIZE = 10_000;
+const MAX_USER_AGENT_LENGTH = 512;
+const MAX_SELECTOR_LENGTH = 500;
+
+const PARSERS = {
+  userAgent: parseUserAgent,
+  timeoutMs: (value) => parseMilliseconds(value, "timeoutMs"),
+  stableMs: (value) => parseMilliseconds(value, "stableMs"),
+  stripCss: (value) => parseBoolean(value, "stripCss"),
+  viewport: parseViewport,
+  blockResourceTypes: parseResourceTypes,
+  jsonLd: (value) => parseEnum(value, "jsonLd", JSON_LD_MODES),
+  clean: (value) => parseEnum(value, "clean", ["on", "off"]) === "on",
+  waitFor: (value) => parseEnum(value, "waitFor", READY_STRATEGIES),
+  waitForSelector: parseSelector,
+  bestEffort: (value) => parseBoolean(value, "bestEffort"),
+  followRedirects: (value) => parseBoolean(value, "followRedirects"),
+  dismissOverlays: (value) => parseBoolean(value, "dismissOverlays"),
+  format: (value) => parseEnum(value, "format", ["html", "json"]),
+  rawHtml: (value) => parseBoolean(value, "rawHtml"),
+  headers: parseHeaders,
+  cookies: parseCookies,
+  basicAuth: parseBasicAuth,
+  acceptLanguage: parseAcceptLanguage,
+};
+
+/**
+ * Validates per-request render overrides from a query string or JSON body.
+ * Only the fields that were provided end up in the result, so the output doubles
+ * as a stable cache key component.
+ * @param {Record<string, unknown>} [source] request fields without `url`
+ * @returns {{
+ *   userAgent?: string,
+ *   timeoutMs?: number,
+ *   stableMs?: number,
+ *   stripCss?: boolean,
+ *   viewport?: {width: number, height: number},
+ *   blockResourceTypes?: string[],
+ *   jsonLd?: "auto" | "off" | "microdata" | "synthesized",
+ *   clean?: boolean,
+ *   waitFor?: "dom-stable" | "network-idle" | "selector" | "prerender-ready",
+ *   waitForSelector?: string,
+ *   bestEffort?: boolean,
+ *   followRedirects?: boolean,
+ *   dismissOverlays?: boolean,
+ *   format?: "html" | "json",
+ *   rawHtml?: boolean,
+ *   headers?: Record<string, string>,
+ *   cookies?: Array<{name: string, value: string, domain?: string}>,
+ *   basicAuth?: {username: string, password: string},
+ *   acceptLanguage?: string,
+ * }}
+ * @throws {ValidationError} for unknown fields or invalid values.
+ */
+export function parseRenderOptions(source = {}) {
+  if (typeof source !== "object" || source === null || Array.isArray(source)) {
+    throw new ValidationError("Render options must be an object.");
+  }
+
+  const options = {};
+  for (const [field, value] of Object.entries(source)) {
+    const parse = PARSERS[field];
+    if (!parse) {
+      throw new ValidationError(
+        `Unknown render option '${field}'. Supported options: ${Object.keys(
+          PARSERS
+        ).join(", ")}.`
+      );
+    }
+    if (value !== undefined) {
+      options[field] = parse(value);
+    }
+  }
+
+  if (
+    options.stableMs !== undefined &&
+    options.timeoutMs !== undefined &&
+    options.stableMs >= options.timeoutMs
+  ) {
+    throw new ValidationError(
+      "Field 'stableMs' must be lower than 'timeoutMs'."
+    );
+  }
+  if (options.rawHtml !== undefined && options.format !== "json") {
+    throw new ValidationError(
+      "Field 'rawHtml' can only be used with format=json."
+    );
+  }
+
+  return resolveReadiness(options);
+}
+
+/**
+ * A bare `waitForSelector` implies `waitFor=selector`; `waitFor=selector` needs a
+ * selector from the request or READY_SELECTOR.
+ */
+function resolveReadiness(options) {
+  if (options.waitForSelector !== undefined) {
+    if (options.waitFor !== undefined && options.waitFor !== "selector") {
+      throw new ValidationError(
+        "Field 'waitForSelector' can only be used with waitFor=selector."
+      );
+    }
+    return {...options, waitFor: "selector"};
+  }
+
+  if (options.waitFor === "selector" && !renderConfig.readiness.selector) {
+    throw new ValidationError(
+      "Field 'waitForSelector' is required when waitFor=selector."
+    );
+  }
+  return options;
+}
+
+function parseUserAgent(value) {
+  if (
+    typeof value !== "string" ||
+    value.trim() === "" ||
+    value.length > MAX_USER_AGENT_LENGTH
+  ) {
+    throw new ValidationError(
+      `Field 'userAgent' must be a non-empty string of at most ${MAX_USER_AGENT_LENGTH} characters.`
+    );
+  }
+  return value.trim();
+}
+
+function parseSelector(value) {
+  if (
+    typeof value !== "string" ||
+    value.trim() === "" ||
+    value.length > MAX_SELECTOR_LENGTH
+  ) {
+    throw new ValidationError(
+      `Field 'waitForSelector' must be a non-empty CSS selector of at most ${MAX_SELECTOR_LENGTH} characters.`
+    );
+  }
+  return value.trim();
+}
+
+function parseMilliseconds(value, field) {
+  const parsed = parseInteger(value);
+  if (parsed === undefined || parsed <= 0 || parsed > MAX_TIMEOUT_MS) {
+    throw new ValidationError(
+      `Field '${field}' must be an integer between 1 and ${MAX_TIMEOUT_MS}.`
+    );
+  }
+  return parsed;
+}
+
+function parseBoolean(value, field) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === "true" || normalized === "1") {
+    return true;
+  }
+  if (normalized === "false" || normalized === "0") {
+    return false;
+  }
+  throw new ValidationError(`Field '${field}' must be true or false.`);
+}
+
+/**
+ * Accepts `{width, height}` (JSON) or `WIDTHxHEIGHT` (query string).
+ */
+function parseViewport(value) {
+  let width;
+  let height;
+  if (typeof value === "string") {
+    const match = /^(\d+)x(\d+)$/i.exec(value.trim());
+    [width, height] = match ? [Number(match[1]), Number(match[2])] : [];
+  } else if (typeof value === "object" && value !== null) {
+    width = parseInteger(value.width);
+    height = parseInteger(value.height);
+  }
+
+  const isValidSize = (size) =>
+    Number.isInteger(size) && size > 0 && size <= MAX_VIEWPORT_SIZE;
+  if (!isValidSize(width) || !isValidSize(height)) {
+    throw new ValidationError(
+      `Field 'viewport' must be WIDTHxHEIGHT or {width, height} with sizes between 1 and ${MAX_VIEWPORT_SIZE}.`
+    );
+  }
+  return {width, height};
+}
+
+/**
+ * Accepts an array or a comma-separated list; an empty list blocks nothing by type.
+ */
+function parseResourceTypes(value) {
+  const types =
+    typeof value === "string"
+      ? value.split(",").map((type) => type.trim()).filter(Boolean)
+      : value;
+  if (!Array.isArray(types)) {
+    throw new ValidationError(
+      "Field 'blockResourceTypes' must be an array or a comma-separated list."
+    );
+  }
+
+  const unknown = types.filter((type) => !RESOURCE_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Field 'blockResourceTypes' contains unknown types: ${unknown.join(", ")}.`
+    );
+  }
+  return [...new Set(types)].sort();
+}
+
+function parseEnum(value, field, allowed) {
+  if (typeof value !== "string" || !allowed.includes(value)) {
+    throw new ValidationError(
+      `Field '${field}' must be one of: ${allowed.join(", ")}.`
+    );
+  }
+  return value;
+}
+
+function parseInteger(value) {
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? value : undefined;
+  }
+  if (typeof value === "string" && /^\d+$/.test(value.trim())) {
+    return Number(value.trim());
+  }
+  return undefined;
+}
@@ -0,0 +1,135 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { ValidationError } from "../errors/validationError.js";
+import { parseRenderOptions } from "./renderOptions.js";
+
+test("parseRenderOptions - returns an empty object when nothing is set", () => {
+  assert.deepEqual(parseRenderOptions(), {});
+  assert.deepEqual(parseRenderOptions({}), {});
+});
+
+test("parseRenderOptions - parses query string values", () => {
+  assert.deepEqual(
+    parseRenderOptions({
+      userAgent: " CustomBot/2.0 ",
+      timeoutMs: "20000",
+      stableMs: "750",
+      stripCss: "false",
+      viewport: "1280x720",
+      blockResourceTypes: "media, image,media",
+      jsonLd: "microdata",
+      clean: "off",
+      followRedirects: "0",
+      dismissOverlays: "false",
+    }),
+    {
+      userAgent: "CustomBot/2.0",
+      timeoutMs: 20000,
+      stableMs: 750,
+      stripCss: false,
+      viewport: { width: 1280, height: 720 },
+      blockResourceTypes: ["image", "media"],
+      jsonLd: "microdata",
+      clean: false,
+      followRedirects: false,
+      dismissOverlays: false,
+    }
+  );
+});
+
+test("parseRenderOptions - parses JSON values", () => {
+  assert.deepEqual(
+    parseRenderOptions({
+      stripCss: true,
+      viewport: { width: 800, height: 600 },
+      blockResourceTypes: [],
+      clean: "on",
+      format: "json",
+      rawHtml: true,
+    }),
+    {
+      stripCss: true,
+      viewport: { width: 800, height: 600 },
+      blockResourceTypes: [],
+      clean: true,
+      format: "json",
+      rawHtml: true,
+    }
+  );
+});
+
+test("parseRenderOptions - rejects invalid values", () => {
+  const invalid = [
+    { timeoutMs: "0" },
+    { timeoutMs: 1.5 },
+    { stableMs: "soon" },
+    { stripCss: "yes" },
+    { viewport: "wide" },
+    { viewport: { width: 0, height: 600 } },
+    { blockResourceTypes: "image,video" },
+    { jsonLd: "rdfa" },
+    { clean: false },
+    { userAgent: "" },
+    { timeoutMs: 1000, stableMs: 1000 },
+    { format: "xml" },
+    { rawHtml: true },
+    { format: "html", rawHtml: "true" },
+  ];
+
+  for (const source of invalid) {
+    assert.throws(
+      () => parseRenderOptions(source),
+      ValidationError,
+      JSON.stringify(source)
+    );
+  }
+});
+
+test("parseRenderOptions - rejects unknown options", () => {
+  assert.throws(
+    () => parseRenderOptions({ snapshot: "true" }),
+    /Unknown render option 'snapshot'/
+  );
+});
+
+test("parseRenderOptions - resolves readiness options", () => {
+  assert.deepEqual(
+    parseRenderOptions({ waitFor: "network-idle", bestEffort: "true" }),
+    { waitFor: "network-idle", bestEffort: true }
+  );
+  assert.deepEqual(parseRenderOptions({ waitForSelector: " #app .ready " }), {
+    waitForSelector: "#app .ready",
+    waitFor: "selector",
+  });
+  assert.throws(
+    () => parseRenderOptions({ waitFor: "selector" }),
+    /'waitForSelector' is required/
+  );
+  assert.throws(
+    () =>
+      parseRenderOptions({ waitFor: "prerender-ready", waitForSelector: "#a" }),
+    /only be used with waitFor=selector/
+  );
+  assert.throws(() => parseRenderOptions({ waitFor: "load" }), ValidationError);
+});
+
+test("parseRenderOptions - parses what is sent to the target page", () => {
+  assert.deepEqual(
+    parseRenderOptions({
+      headers: '{"X-Prerender":"1"}',
+      cookies: "consent=all",
+      basicAuth: "editor:secret",
+      acceptLanguage: "de-DE,de;q=0.9",
+    }),
+    {
+      headers: { "X-Prerender": "1" },
+      cookies: [{ name: "consent", value: "all" }],
+      basicAuth: { username: "editor", password: "secret" },
+      acceptLanguage: "de-DE,de;q=0.9",
+    }
+  );
+  assert.throws(
+    () => parseRenderOptions({ basicAuth: "editor" }),
+    /'basicAuth' must be/
+  );
+});
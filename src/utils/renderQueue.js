@@ -0,0 +1,96 @@
+import {randomUUID} from "crypto";
+
+/**
+ * RenderQueue runs jobs in-process with bounded concurrency and keeps
+ * per-job ids plus queued/running/completed/failed counters.
+ */
+export class RenderQueue {
+  constructor({concurrency = 1} = {}) {
+    this.concurrency = concurrency;
+    this.pending = [];
+    this.active = new Map();
+    this.completed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * Schedules a job and resolves with its result once it ran.
+   * @param {() => unknown} fn job body, invoked without arguments
+   * @param {{url?: string, id?: string}} [meta] details reported while the job is active
+   */
+  enqueue(fn, meta = {}) {
+    const job = {
+      id: meta.id ?? randomUUID(),
+      url: meta.url,
+      enqueuedAt: new Date().toISOString(),
+      startedAt: undefined,
+    };
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({job, fn, resolve, reject});
+      this.drain();
+    });
+  }
+
+  /**
+   * Starts queued jobs while there are free slots.
+   */
+  drain() {
+    while (this.active.size < this.concurrency && this.pending.length > 0) {
+      const {job, fn, resolve, reject} = this.pending.shift();
+      job.startedAt = new Date().toISOString();
+      this.active.set(job.id, job);
+
+      Promise.resolve()
+        .then(() => fn())
+        .then(
+          (result) => {
+            this.settle(job, true);
+            resolve(result);
+          },
+          (error) => {
+            this.settle(job, false);
+            reject(error);
+          }
+        );
+    }
+  }
+
+  /**
+   * Books a finished job and frees its slot for the next queued one.
+   */
+  settle(job, isSuccess) {
+    this.active.delete(job.id);
+    if (isSuccess) {
+      this.completed += 1;
+    } else {
+      this.failed += 1;
+    }
+    this.drain();
+  }
+
+  /**
+   * Number of jobs that are queued or running.
+   */
+  get size() {
+    return this.pending.length + this.active.size;
+  }
+
+  /**
+   * Snapshot of the queue counters and the jobs currently running.
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      queued: this.pending.length,
+      running: this.active.size,
+      completed: this.completed,
+      failed: this.failed,
+      active: Array.from(this.active.values()).map(({id, url, startedAt}) => ({
+        id,
+        url,
+        startedAt,
+      })),
+    };
+  }
+}
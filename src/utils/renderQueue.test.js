@@ -0,0 +1,104 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { RenderQueue } from "./renderQueue.js";
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test("RenderQueue - defaults to a concurrency of 1", () => {
+  const queue = new RenderQueue();
+
+  assert.equal(queue.concurrency, 1);
+  assert.equal(queue.size, 0);
+});
+
+test("RenderQueue - resolves with the job result", async () => {
+  const queue = new RenderQueue();
+
+  const result = await queue.enqueue(async () => "done");
+
+  assert.equal(result, "done");
+  assert.equal(queue.getStats().completed, 1);
+});
+
+test("RenderQueue - rejects with the job error and counts it as failed", async () => {
+  const queue = new RenderQueue();
+
+  await assert.rejects(
+    () =>
+      queue.enqueue(() => {
+        throw new Error("boom");
+      }),
+    /boom/
+  );
+  assert.equal(queue.getStats().failed, 1);
+  assert.equal(queue.getStats().running, 0);
+});
+
+test("RenderQueue - never runs more jobs than the concurrency limit", async () => {
+  const queue = new RenderQueue({ concurrency: 2 });
+  const gates = [deferred(), deferred(), deferred()];
+  let running = 0;
+  let peak = 0;
+
+  const jobs = gates.map((gate) =>
+    queue.enqueue(async () => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await gate.promise;
+      running -= 1;
+    })
+  );
+
+  await flush();
+  assert.equal(queue.getStats().running, 2);
+  assert.equal(queue.getStats().queued, 1);
+
+  gates.forEach((gate) => gate.resolve());
+  await Promise.all(jobs);
+
+  assert.equal(peak, 2);
+  assert.equal(queue.getStats().completed, 3);
+});
+
+test("RenderQueue - reports active jobs with ids and urls", async () => {
+  const queue = new RenderQueue();
+  const gate = deferred();
+
+  const job = queue.enqueue(() => gate.promise, {
+    url: "https://example.com/",
+  });
+  await flush();
+
+  const [active] = queue.getStats().active;
+  assert.ok(active.id);
+  assert.equal(active.url, "https://example.com/");
+  assert.ok(active.startedAt);
+
+  gate.resolve();
+  await job;
+  assert.deepEqual(queue.getStats().active, []);
+});
+
+test("RenderQueue - honors a provided job id", async () => {
+  const queue = new RenderQueue();
+  let activeId;
+
+  await queue.enqueue(
+    () => {
+      activeId = queue.getStats().active[0].id;
+    },
+    { id: "custom-id" }
+  );
+
+  assert.equal(activeId, "custom-id");
+});
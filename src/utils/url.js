@@ -3,12 +3,13 @@ import {ValidationError} from "../errors/validationError.js";
 /**
  * Normalizes a provided URL string, ensuring it is HTTP(S) and returning the full URL.
  * @param {string} candidate
+ * @param {string} [field] field name used in validation messages
  * @returns {string}
  * @throws {ValidationError} when the input is empty, invalid, or not HTTP(S).
  */
-export function normalizeHttpUrl(candidate) {
+export function normalizeHttpUrl(candidate, field = "url") {
   if (typeof candidate !== "string" || candidate.trim().length === 0) {
-    throw new ValidationError("Field 'url' must be a non-empty string.");
+    throw new ValidationError(`Field '${field}' must be a non-empty string.`);
   }
 
   /** @type {URL} */
@@ -16,7 +17,7 @@ export function normalizeHttpUrl(candidate) {
   try {
     parsed = new URL(candidate.trim());
   } catch {
-    throw new ValidationError("Field 'url' must be a valid URL.");
+    throw new ValidationError(`Field '${field}' must be a valid URL.`);
   }
 
   if (!isHttpProtocol(parsed.protocol)) {
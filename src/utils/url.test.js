@@ -226,3 +226,10 @@ test("normalizeHttpUrl - handles query strings with multiple parameters", () =>
   assert.ok(result.includes("b=2"));
   assert.ok(result.includes("c=3"));
 });
+
+test("normalizeHttpUrl - names the provided field in validation messages", () => {
+  assert.throws(() => normalizeHttpUrl("nope", "callbackUrl"), {
+    name: "ValidationError",
+    message: /Field 'callbackUrl' must be a valid URL/,
+  });
+});
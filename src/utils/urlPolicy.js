@@ -0,0 +1,242 @@
+import {promises as dns} from "dns";
+import net from "net";
+import {UrlPolicyError} from "../errors/urlPolicyError.js";
+
+const NETWORK_SCHEMES = new Set(["http:", "https:", "ws:", "wss:"]);
+// Schemes that never leave the browser.
+const LOCAL_SCHEMES = new Set(["data:", "blob:", "about:"]);
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local (cloud metadata lives at 169.254.169.254),
+// carrier-grade NAT, benchmarking, multicast and reserved ranges, plus the
+// NAT64 and 6to4 prefixes that embed an arbitrary IPv4 address.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6")
+);
+
+/**
+ * Decides which URLs a render may fetch, to keep `/render` from being used to
+ * reach internal services (SSRF). Hosts are resolved and rejected when any of
+ * their addresses is private, loopback, link-local or reserved, unless
+ * allowPrivate is set. Host lists take hostnames, `*.example.com` wildcards, IPs
+ * and CIDR ranges; deny entries always win, allow entries exempt a host or
+ * range from the private-address check.
+ */
+export class UrlPolicy {
+  /**
+   * @param {{allowPrivate?: boolean, allowHosts?: string[], denyHosts?: string[], lookup?: (hostname: string) => Promise<Array<{address: string, family: number}>>}} [options]
+   */
+  constructor({
+    allowPrivate = false,
+    allowHosts = [],
+    denyHosts = [],
+    lookup = (hostname) => dns.lookup(hostname, {all: true, verbatim: true}),
+  } = {}) {
+    this.allowPrivate = allowPrivate;
+    this.allowHosts = compileHostList(allowHosts);
+    this.denyHosts = compileHostList(denyHosts);
+    this.lookup = lookup;
+  }
+
+  /**
+   * @param {string} url
+   * @param {Map<string, Promise<object>>} [cache] verdicts by hostname, so one
+   *   render resolves each host once
+   * @returns {Promise<{allowed: boolean, reason?: string}>}
+   */
+  async check(url, cache) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return deny("it is not a valid URL");
+    }
+    if (LOCAL_SCHEMES.has(parsed.protocol)) {
+      return {allowed: true};
+    }
+    if (!NETWORK_SCHEMES.has(parsed.protocol)) {
+      return deny(`scheme ${parsed.protocol} is not allowed`);
+    }
+
+    const hostname = parsed.hostname
+      .replace(/^\[(.*)\]$/, "$1")
+      .replace(/\.$/, "")
+      .toLowerCase();
+    if (!cache) {
+      return this.checkHost(hostname);
+    }
+    if (!cache.has(hostname)) {
+      cache.set(hostname, this.checkHost(hostname));
+    }
+    return cache.get(hostname);
+  }
+
+  /**
+   * @param {string} url
+   * @param {Map<string, Promise<object>>} [cache] see check()
+   * @throws {UrlPolicyError} when the policy rejects url
+   */
+  async assertAllowed(url, cache) {
+    const {allowed, reason} = await this.check(url, cache);
+    if (!allowed) {
+      throw new UrlPolicyError(`URL ${url} is not allowed: ${reason}.`);
+    }
+  }
+
+  /**
+   * fetch() for requests the server makes itself (sitemaps, job callbacks):
+   * the URL and every redirect hop are checked before they are requested.
+   * @param {string} url
+   * @param {RequestInit} [init]
+   * @param {typeof fetch} [fetchImpl]
+   * @returns {Promise<Response>}
+   * @throws {UrlPolicyError} when the policy rejects the URL or a redirect hop
+   */
+  async fetch(url, init = {}, fetchImpl = fetch) {
+    let current = url;
+    let request = init;
+    for (let redirects = 0; ; redirects++) {
+      await this.assertAllowed(current);
+      const response = await fetchImpl(current, {
+        ...request,
+        redirect: "manual",
+      });
+      const location = response.headers?.get("location");
+      if (!REDIRECT_STATUSES.has(response.status) || !location) {
+        return response;
+      }
+      await response.body?.cancel();
+      if (redirects === MAX_REDIRECTS) {
+        throw new Error(`${url} redirected more than ${MAX_REDIRECTS} times.`);
+      }
+
+      current = new URL(location, current).href;
+      // Same method rewrite as fetch's own redirect handling.
+      if (
+        response.status === 303 ||
+        ([301, 302].includes(response.status) && request.method === "POST")
+      ) {
+        request = {...request, method: "GET", body: undefined};
+      }
+    }
+  }
+
+  async checkHost(hostname) {
+    if (matchesName(this.denyHosts, hostname)) {
+      return deny(`host ${hostname} is denied`);
+    }
+    if (matchesName(this.allowHosts, hostname)) {
+      return {allowed: true};
+    }
+
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await this.lookup(hostname)).map(({address}) => address);
+      } catch (error) {
+        return deny(`host ${hostname} could not be resolved (${error.code})`);
+      }
+    }
+
+    for (const address of addresses.map(unmapIPv4)) {
+      const family = net.isIPv4(address) ? "ipv4" : "ipv6";
+      if (this.denyHosts.ranges.check(address, family)) {
+        return deny(`address ${address} is denied`);
+      }
+      if (
+        !this.allowPrivate &&
+        PRIVATE_RANGES.check(address, family) &&
+        !this.allowHosts.ranges.check(address, family)
+      ) {
+        return deny(
+          address === hostname
+            ? `address ${address} is private`
+            : `host ${hostname} resolves to private address ${address}`
+        );
+      }
+    }
+    return {allowed: true};
+  }
+}
+
+function deny(reason) {
+  return {allowed: false, reason};
+}
+
+function compileHostList(entries) {
+  const list = {names: new Set(), suffixes: [], ranges: new net.BlockList()};
+  entries.forEach((rawEntry) => {
+    const entry = rawEntry.trim().toLowerCase();
+    const [address, prefix] = entry.split("/");
+    if (net.isIP(address)) {
+      const family = net.isIPv4(address) ? "ipv4" : "ipv6";
+      const maxPrefix = family === "ipv4" ? 32 : 128;
+      if (prefix === undefined) {
+        list.ranges.addAddress(address, family);
+      } else if (/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix) {
+        list.ranges.addSubnet(address, Number(prefix), family);
+      } else {
+        throw new Error(`Invalid CIDR range "${rawEntry}".`);
+      }
+    } else if (entry.startsWith("*.")) {
+      list.suffixes.push(entry.slice(1));
+    } else if (entry !== "") {
+      list.names.add(entry);
+    }
+  });
+  return list;
+}
+
+function matchesName({names, suffixes}, hostname) {
+  return (
+    names.has(hostname) || suffixes.some((suffix) => hostname.endsWith(suffix))
+  );
+}
+
+/**
+ * `::ffff:127.0.0.1` and `::ffff:7f00:1` reach IPv4 hosts, so they are checked
+ * as IPv4.
+ */
+function unmapIPv4(address) {
+  const match = /^::ffff:(.+)$/i.exec(address);
+  if (!match) {
+    return address;
+  }
+  if (net.isIPv4(match[1])) {
+    return match[1];
+  }
+  const hex = /^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(match[1]);
+  if (!hex) {
+    return address;
+  }
+  const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join(".");
+}
@@ -0,0 +1,201 @@
+import { strict as assert } from "assert";
+import { test } from "node:test";
+import { UrlPolicy } from "./urlPolicy.js";
+import { UrlPolicyError } from "../errors/urlPolicyError.js";
+
+const hosts = {
+  "example.com": ["93.184.215.14"],
+  "intranet.example.com": ["10.0.0.8"],
+  "dual.example.com": ["93.184.215.14", "::1"],
+};
+const lookup = async (hostname) => {
+  if (!hosts[hostname]) {
+    throw Object.assign(new Error("not found"), { code: "ENOTFOUND" });
+  }
+  return hosts[hostname].map((address) => ({ address, family: 0 }));
+};
+
+test("UrlPolicy - allows public hosts and in-browser schemes", async () => {
+  const policy = new UrlPolicy({ lookup });
+
+  assert.deepEqual(await policy.check("https://example.com/a"), {
+    allowed: true,
+  });
+  assert.deepEqual(await policy.check("data:text/plain,hi"), { allowed: true });
+});
+
+test("UrlPolicy - rejects private, loopback, link-local and metadata addresses", async () => {
+  const policy = new UrlPolicy({ lookup });
+
+  for (const url of [
+    "http://169.254.169.254/latest/meta-data/",
+    "http://127.0.0.1:8080/",
+    "http://2130706433/",
+    "http://0x7f.1/",
+    "http://[::1]/",
+    "http://[::ffff:7f00:1]/",
+    "http://[fd00:ec2::254]/",
+    "http://[64:ff9b::7f00:1]/",
+    "http://[2002:7f00:1::]/",
+    "http://192.168.1.1/admin",
+    "http://intranet.example.com/",
+    "http://dual.example.com/",
+  ]) {
+    const { allowed } = await policy.check(url);
+    assert.equal(allowed, false, url);
+  }
+  assert.deepEqual(await policy.check("http://intranet.example.com/"), {
+    allowed: false,
+    reason: "host intranet.example.com resolves to private address 10.0.0.8",
+  });
+});
+
+test("UrlPolicy - rejects other schemes and unresolvable hosts", async () => {
+  const policy = new UrlPolicy({ lookup });
+
+  assert.deepEqual(await policy.check("file:///etc/passwd"), {
+    allowed: false,
+    reason: "scheme file: is not allowed",
+  });
+  assert.deepEqual(await policy.check("https://missing.test/"), {
+    allowed: false,
+    reason: "host missing.test could not be resolved (ENOTFOUND)",
+  });
+});
+
+test("UrlPolicy - applies allow and deny host lists", async () => {
+  const policy = new UrlPolicy({
+    lookup,
+    allowHosts: ["intranet.example.com", "192.168.10.0/24", "*.dev.test"],
+    denyHosts: ["example.com", "93.184.215.0/24"],
+  });
+
+  assert.equal(
+    (await policy.check("http://intranet.example.com/")).allowed,
+    true
+  );
+  assert.equal((await policy.check("http://192.168.10.7/")).allowed, true);
+  assert.equal((await policy.check("http://app.dev.test/")).allowed, true);
+  assert.equal((await policy.check("http://192.168.11.7/")).allowed, false);
+  assert.deepEqual(await policy.check("https://example.com/"), {
+    allowed: false,
+    reason: "host example.com is denied",
+  });
+  assert.deepEqual(await policy.check("https://dual.example.com/"), {
+    allowed: false,
+    reason: "address 93.184.215.14 is denied",
+  });
+});
+
+test("UrlPolicy - allowPrivate only keeps the deny list", async () => {
+  const policy = new UrlPolicy({
+    lookup,
+    allowPrivate: true,
+    denyHosts: ["169.254.169.254"],
+  });
+
+  assert.equal((await policy.check("http://127.0.0.1/")).allowed, true);
+  assert.equal((await policy.check("http://169.254.169.254/")).allowed, false);
+});
+
+test("UrlPolicy - resolves each host once per cache", async () => {
+  const lookups = [];
+  const policy = new UrlPolicy({
+    lookup: async (hostname) => {
+      lookups.push(hostname);
+      return lookup(hostname);
+    },
+  });
+  const cache = new Map();
+
+  await policy.check("https://example.com/a.js", cache);
+  await policy.check("https://example.com/b.css", cache);
+  await policy.check("https://example.com/c.png");
+
+  assert.deepEqual(lookups, ["example.com", "example.com"]);
+});
+
+test("UrlPolicy - assertAllowed throws UrlPolicyError", async () => {
+  const policy = new UrlPolicy({ lookup });
+
+  await policy.assertAllowed("https://example.com/");
+  await assert.rejects(
+    () => policy.assertAllowed("http://10.1.2.3/"),
+    (error) =>
+      error instanceof UrlPolicyError &&
+      error.statusCode === 403 &&
+      error.message ===
+        "URL http://10.1.2.3/ is not allowed: address 10.1.2.3 is private."
+  );
+});
+
+const redirect = (status, location) => ({
+  ok: false,
+  status,
+  headers: new Headers({ location }),
+});
+
+test("UrlPolicy - fetch checks every redirect hop", async () => {
+  const policy = new UrlPolicy({ lookup });
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    if (url === "https://example.com/start") {
+      return redirect(303, "/next");
+    }
+    if (url === "https://example.com/next") {
+      return redirect(302, "http://169.254.169.254/latest/meta-data/");
+    }
+    return { ok: true, status: 200 };
+  };
+
+  await assert.rejects(
+    () =>
+      policy.fetch(
+        "https://example.com/start",
+        { method: "POST", body: "{}" },
+        fetchImpl
+      ),
+    (error) =>
+      error instanceof UrlPolicyError &&
+      /169\.254\.169\.254/.test(error.message)
+  );
+  assert.deepEqual(
+    calls.map(({ url, init }) => [url, init.method, init.body, init.redirect]),
+    [
+      ["https://example.com/start", "POST", "{}", "manual"],
+      ["https://example.com/next", "GET", undefined, "manual"],
+    ]
+  );
+  await assert.rejects(
+    () => policy.fetch("http://10.1.2.3/", {}, fetchImpl),
+    UrlPolicyError
+  );
+  assert.equal(calls.length, 2);
+});
+
+test("UrlPolicy - fetch follows allowed redirects up to a limit", async () => {
+  const policy = new UrlPolicy({ lookup });
+  const fetchImpl = async (url) => {
+    const hop = Number(new URL(url).searchParams.get("hop") ?? 0);
+    if (url.includes("loop") || hop < 2) {
+      return redirect(307, `${url.split("?")[0]}?hop=${hop + 1}`);
+    }
+    return { ok: true, status: 200, url };
+  };
+
+  const response = await policy.fetch("https://example.com/a", {}, fetchImpl);
+
+  assert.equal(response.url, "https://example.com/a?hop=2");
+  await assert.rejects(
+    () => policy.fetch("https://example.com/loop", {}, fetchImpl),
+    /redirected more than 5 times/
+  );
+});
+
+test("UrlPolicy - rejects malformed CIDR ranges", () => {
+  assert.throws(
+    () => new UrlPolicy({ allowHosts: ["10.0.0.0/33"] }),
+    /Invalid CIDR range "10.0.0.0\/33"/
+  );
+});